@@ -2,15 +2,34 @@ const express = require('express')
 const multer = require('multer')
 const path = require('path')
 const fs = require('fs')
-const pdf = require('pdf-poppler')
 const Tesseract = require('tesseract.js')
 const OpenAI = require('openai')
 const { createClient } = require('@supabase/supabase-js')
 const cors = require('cors')
-const sharp = require('sharp')
-const { v4: uuidv4 } = require('uuid')
-const getPrompt = require('../utils/getPrompt')
 const OCRService = require('../services/ocrService')
+const { LLMService } = require('../services/llmService')
+const AuthService = require('../services/authService')
+const ExamTokenService = require('../services/examTokenService')
+const { ExtractionJobQueue } = require('../services/extractionJobQueue')
+const ExtractionPipeline = require('../services/extractionPipeline')
+const { ExtractionCache, CACHE_KINDS } = require('../services/extractionCache')
+const PdfTextLayer = require('../services/pdfTextLayer')
+const { ImagePreprocessor } = require('../services/imagePreprocessor')
+const { createSpeechToText } = require('../services/speechToText')
+const SpeakingEvaluator = require('../services/speakingEvaluator')
+const SpeakingRecordingService = require('../services/speakingRecordingService')
+const WritingEvaluator = require('../services/writingEvaluator')
+const WritingEvaluationService = require('../services/writingEvaluationService')
+const WritingBatchEvaluator = require('../services/writingBatchEvaluator')
+const { createRequireAuth, createRequireExamAccess, requirePermission, requireStaffPermission } = require('../middleware/auth')
+const { ROLES, PERMISSIONS, ROLE_PERMISSIONS, STAFF_ROLES, isValidRole, isStaffRole, hasPermission } = require('../utils/permissions')
+const scoring = require('../utils/scoring')
+const bandConversion = require('../utils/bandConversion')
+const { SPEAKING_CRITERIA, normaliseSpeakingCriteria, buildSpeakingAssessment, combineSpeakingDrafts } = require('../utils/speakingScoring')
+const { WRITING_TASKS, normaliseWritingCriteria, buildWritingAssessment } = require('../utils/writingScoring')
+const { analyseEssay } = require('../utils/essayStatistics')
+const { SECTION_PROFILES, getSectionProfile } = require('../utils/sectionProfiles')
+const { validateSectionStructure, validateTestSections } = require('../utils/structureValidator')
 const nodemailer = require("nodemailer")
 require("dotenv").config()
 const app = express()
@@ -33,6 +52,103 @@ const ocrService = new OCRService({
   maxRetries: 2
 })
 
+// Initialize the LLM provider layer used for extraction and evaluation
+const llm = new LLMService({ openai })
+
+// Initialize the content-addressed cache for rendered pages, OCR and LLM results
+const extractionCache = new ExtractionCache({
+  dir: process.env.EXTRACTION_CACHE_DIR || path.join(__dirname, 'extraction-cache')
+})
+
+// Initialize the PDF extraction pipeline shared by all sections
+const extractionPipeline = new ExtractionPipeline({
+  ocrService,
+  llm,
+  cache: extractionCache,
+  textLayer: new PdfTextLayer(),
+  uploadsDir: path.join(__dirname, 'uploads')
+})
+
+// Initialize speaking recording transcription and draft assessment
+const speakingRecordings = new SpeakingRecordingService(supabase, {
+  speechToText: createSpeechToText({ openai }),
+  evaluator: new SpeakingEvaluator({ llm })
+})
+
+// Initialize Writing draft evaluation and the examiner review store
+const writingEvaluator = new WritingEvaluator({ llm, uploadsDir: path.join(__dirname, 'uploads') })
+const writingEvaluations = new WritingEvaluationService(supabase)
+const writingBatches = new WritingBatchEvaluator(supabase, { evaluator: writingEvaluator, evaluations: writingEvaluations })
+
+// Initialize background extraction jobs (persisted in extraction_jobs)
+const extractionJobs = new ExtractionJobQueue(supabase)
+
+// Initialize admin authentication
+const authService = new AuthService(supabase)
+const requireAuth = createRequireAuth(authService)
+const requireAuthForStream = createRequireAuth(authService, { allowQueryToken: true })
+
+// Initialize student exam credentials (staff tokens are accepted on the same routes)
+const examTokenService = new ExamTokenService(supabase)
+const requireExamAccess = createRequireExamAccess(examTokenService, authService)
+
+// Students may only touch their own records; staff callers (no req.exam) were
+// checked by requireStaffPermission
+function isExamOwner(req, userId) {
+  return !req.exam || String(req.exam.userId) === String(userId)
+}
+
+function isExamTest(req, testId) {
+  return !req.exam || String(req.exam.testId) === String(testId)
+}
+
+// Section name in results[] → the band column its score lands in
+const SECTION_SCORE_FIELDS = {
+  Listening: 'listening_score',
+  Reading: 'reading_score',
+  Writing: 'writing_score',
+  Speaking: 'speaking_score'
+}
+
+// Results row as sent back to the caller: students never see score_breakdown,
+// which holds the expected answer for every question
+function resultForCaller(req, row) {
+  if (!req.exam || !row) return row
+  const { score_breakdown, ...visible } = row
+  return visible
+}
+
+function rejectForeignExamAccess(res) {
+  return res.status(403).json({
+    success: false,
+    error: 'This exam credential does not grant access to that record'
+  })
+}
+
+// Invalid section structures are rejected unless TEST_VALIDATION_MODE=warn or ?validation=warn
+const TEST_VALIDATION_MODE = process.env.TEST_VALIDATION_MODE === 'warn' ? 'warn' : 'strict'
+
+/**
+ * Schema-check the sections about to be saved. Sends a 422 and returns null
+ * when they are invalid and the request is in strict mode; otherwise returns
+ * the validation report to include in the response.
+ */
+function checkTestSections(req, res, sections) {
+  const validation = validateTestSections(sections)
+  const mode = req.query.validation === 'warn' ? 'warn' : TEST_VALIDATION_MODE
+
+  if (!validation.valid && mode === 'strict') {
+    res.status(422).json({
+      success: false,
+      message: 'Test structure is invalid',
+      validation
+    })
+    return null
+  }
+
+  return validation
+}
+
 // Middleware
 app.use(cors({
   origin: ['http://localhost:3000', 'https://novda-mock-exam.vercel.app', 'https://www.aplusacademy.uz', 'https://novda-mock-exam-demo.vercel.app', 'https://aplusacademy-mock-exam.vercel.app'], // your frontend port
@@ -61,7 +177,27 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage })
 
-app.post('/api/upload-listening-audio', upload.array('audio', 10), (req, res) => {
+// Speaking recordings are kept outside /uploads so they are not publicly served
+const recordingsDir = path.join(__dirname, 'recordings')
+const recordingUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      if (!fs.existsSync(recordingsDir)) {
+        fs.mkdirSync(recordingsDir, { recursive: true })
+      }
+      cb(null, recordingsDir)
+    },
+    filename: (req, file, cb) => {
+      cb(null, `speaking-${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(file.originalname)}`)
+    }
+  }),
+  limits: { fileSize: 25 * 1024 * 1024 }, // speech-to-text upload limit
+  fileFilter: (req, file, cb) => {
+    cb(null, file.mimetype.startsWith('audio/') || file.mimetype === 'video/webm')
+  }
+})
+
+app.post('/api/upload-listening-audio', requireAuth, requirePermission(PERMISSIONS.TESTS_AUTHOR), upload.array('audio', 10), (req, res) => {
   try {
     const fileUrls = req.files.map(file => `/uploads/${file.filename}`);
     res.json({ success: true, urls: fileUrls });
@@ -70,595 +206,138 @@ app.post('/api/upload-listening-audio', upload.array('audio', 10), (req, res) =>
     res.status(500).json({ success: false, message: 'Upload failed' });
   }
 });
-// Note: cleanOCRText function moved to OCRService.cleanOCRText
-
-// Helper function to merge duplicate parts
-function mergeDuplicateParts(parts) {
-  const mergedParts = []
-  const partMap = new Map()
-
-  parts.forEach(part => {
-    if (partMap.has(part.part)) {
-      // Merge questions from duplicate part
-      const existingPart = partMap.get(part.part)
-      // Ensure both parts have questions arrays before concatenating
-      const existingQuestions = existingPart.questions || []
-      const newQuestions = part.questions || []
-      existingPart.questions = existingQuestions.concat(newQuestions)
-    } else {
-      // Ensure the part has a questions array
-      partMap.set(part.part, { ...part, questions: part.questions || [] })
-    }
-  })
 
-  // Convert map back to array, sorted by part number
-  return Array.from(partMap.values()).sort((a, b) => a.part - b.part)
+// Every section runs the same extraction pipeline, configured by its profile
+for (const profile of Object.values(SECTION_PROFILES)) {
+  extractionJobs.registerHandler(profile.section, (job, input) => extractionPipeline.run(job, input, profile))
 }
 
-// Helper function to extract and upload images
-async function extractAndUploadImages(imageFiles, testId) {
-  const uploadedImages = []
-
-  for (const imageFile of imageFiles) {
-    try {
-      // Detect if this is a map/diagram using OCR
-      const ocrResult = await ocrService.extractText(imageFile)
-      const ocrText = ocrResult.text
-
-      const isMapImage = detectMapImage(ocrText)
-
-      let processedImagePath = imageFile
-
-      if (isMapImage) {
-        // Crop the image to focus on the map area
-        processedImagePath = await cropMapImage(imageFile, testId)
-      }
-
-      // Generate unique filename
-      const filename = `${testId}-${uuidv4()}.png`
-      const uploadPath = path.join(__dirname, 'uploads', filename)
-
-      // Copy processed image to uploads directory
-      fs.copyFileSync(processedImagePath, uploadPath)
-
-      const imageUrl = `http://localhost:3001/uploads/${filename}`
-      uploadedImages.push({
-        url: imageUrl,
-        filename: filename,
-        isMap: isMapImage
-      })
-
-      // Clean up temporary processed image if it was created
-      if (processedImagePath !== imageFile) {
-        fs.unlinkSync(processedImagePath)
-      }
-
-    } catch (error) {
-      console.error('Error processing image:', error)
-    }
+// Files multer already stored for a request that is rejected before they are used
+function removeUploadedFiles(req) {
+  const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat()
+  for (const file of [req.file, ...files].filter(Boolean)) {
+    fs.rmSync(file.path, { force: true })
   }
-
-  return uploadedImages
 }
 
-// Helper function to detect if an image contains a map
-function detectMapImage(ocrText) {
-  const mapKeywords = [
-    'map', 'plan', 'diagram', 'layout', 'floor plan', 'museum', 'building',
-    'entrance', 'exit', 'reception', 'café', 'shop', 'gallery', 'room',
-    'north', 'south', 'east', 'west', 'stairs', 'lift', 'elevator',
-    'parking', 'garden', 'path', 'route', 'direction', 'location'
-  ]
-
-  const lowerText = ocrText.toLowerCase()
-  return mapKeywords.some(keyword => lowerText.includes(keyword))
-}
-
-// Helper function to crop map images intelligently
-async function cropMapImage(imagePath, testId) {
+// Extraction endpoints: queue a background job and return its ID immediately
+app.post('/api/extract/:section', requireAuth, requirePermission(PERMISSIONS.TESTS_AUTHOR), upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'audio', maxCount: 4 }
+]), async (req, res) => {
   try {
-    const image = sharp(imagePath)
-    const metadata = await image.metadata()
-
-    // Calculate crop dimensions (80% width, 60% height, centered)
-    const cropWidth = Math.floor(metadata.width * 0.8)
-    const cropHeight = Math.floor(metadata.height * 0.6)
-    const left = Math.floor((metadata.width - cropWidth) / 2)
-    const top = Math.floor((metadata.height - cropHeight) / 2)
-
-    const croppedImagePath = path.join(__dirname, 'uploads', `temp-cropped-${testId}.png`)
-
-    await image
-      .extract({ left, top, width: cropWidth, height: cropHeight })
-      .png({ quality: 90 })
-      .toFile(croppedImagePath)
+    const profile = getSectionProfile(req.params.section)
+    const pdfFile = req.files?.['file']?.[0]
 
-    return croppedImagePath
-  } catch (error) {
-    console.error('Error cropping image:', error)
-    return imagePath // Return original if cropping fails
-  }
-}
-
-// Helper function to inject image objects into questions
-function injectImageObjects(structure, uploadedImages) {
-  if (!uploadedImages || uploadedImages.length === 0) return structure
-
-  const modifiedStructure = JSON.parse(JSON.stringify(structure))
-
-  // Find map-labelling questions and inject image before them
-  modifiedStructure.parts.forEach(part => {
-    const questions = part.questions || []
-    const newQuestions = []
-
-    for (let i = 0; i < questions.length; i++) {
-      const question = questions[i]
-
-      // Check if this is the first map-labelling question in this part
-      if (question.type === 'map-labelling' && !newQuestions.some(q => q.type === 'image')) {
-        // Find a map image to insert
-        const mapImage = uploadedImages.find(img => img.isMap)
-        if (mapImage) {
-          // Insert image object before map-labelling questions
-          newQuestions.push({
-            type: 'image',
-            questionId: `listening-${structure.test}-${part.part}-map`,
-            url: mapImage.url,
-            headline: 'Map'
-          })
-        }
-      }
-
-      newQuestions.push(question)
+    if (!profile) {
+      removeUploadedFiles(req)
+      return res.status(404).json({
+        success: false,
+        error: `Unknown section "${req.params.section}"`
+      })
     }
 
-    part.questions = newQuestions
-  })
-
-  return modifiedStructure
-}
-
-// Helper function to process base64 images from OpenAI response
-async function processBase64Images(structure) {
-  const modifiedStructure = JSON.parse(JSON.stringify(structure))
-
-  for (const part of modifiedStructure.parts) {
-    for (const question of part.questions) {
-      if (question.type === "image" && question.base64) {
-        try {
-          // Convert base64 to buffer
-          const base64Data = question.base64.replace(/^data:image\/png;base64,/, "")
-          const buffer = Buffer.from(base64Data, 'base64')
-
-          // Generate unique filename
-          const filename = `${question.questionId || `image-${Date.now()}`}.png`
-          const filepath = path.join(__dirname, 'uploads', filename)
-
-          // Write file to uploads directory
-          fs.writeFileSync(filepath, buffer)
-
-          // Create URL and update question
-          const imageUrl = `http://localhost:3001/uploads/${filename}`
-          question.url = imageUrl
-          delete question.base64
-
-          console.log(`✅ Processed base64 image: ${filename}`)
-        } catch (error) {
-          console.error('❌ Failed to process base64 image:', error)
-          // Keep base64 for manual handling
-        }
-      }
+    if (!pdfFile) {
+      removeUploadedFiles(req)
+      return res.status(400).json({
+        success: false,
+        error: 'No PDF file uploaded'
+      })
     }
-  }
-
-  return modifiedStructure
-}
-
-// Helper function to link matching questions with draggable variants
-function linkMatchingQuestions(structure) {
-  const modifiedStructure = JSON.parse(JSON.stringify(structure))
 
-  modifiedStructure.parts.forEach(part => {
-    let draggableVariants = []
-    const questions = part.questions || []
-
-    // Find divider with draggable variants
-    const divider = questions.find(q => q.type === 'divider' && q.draggableVariants)
-    if (divider && divider.draggableVariants) {
-      draggableVariants = divider.draggableVariants
+    // preprocess=all|off|deskew,binarise overrides OCR_PREPROCESS for this job
+    const preprocessParam = req.body.preprocess ?? req.query.preprocess
+    const preprocess = ImagePreprocessor.parseSteps(preprocessParam)
+    if (preprocess.invalid.length > 0) {
+      removeUploadedFiles(req)
+      return res.status(400).json({
+        success: false,
+        error: `Unknown preprocessing step(s): ${preprocess.invalid.join(', ')}`
+      })
     }
 
-    // Apply draggable variants to matching questions
-    questions.forEach(question => {
-      if (question.type === 'matching' && draggableVariants.length > 0) {
-        question.draggableVariants = draggableVariants
-      }
-    })
-  })
-
-  return modifiedStructure
-}
+    // Only sections that play audio keep it; anything else sent as `audio` is discarded
+    let audioFiles = req.files['audio'] || []
+    if (!profile.acceptsAudio) {
+      for (const file of audioFiles) fs.rmSync(file.path, { force: true })
+      audioFiles = []
+    }
 
-// Helper function to standardize question IDs (ensure hyphens, not en-dashes)
-function standardizeQuestionIds(structure) {
-  const modifiedStructure = JSON.parse(JSON.stringify(structure))
+    const job = await extractionJobs.create(profile.section, {
+      pdfPath: pdfFile.path,
+      originalName: pdfFile.originalname,
+      // rerun=true ignores cached pages, OCR and LLM results for this PDF and replaces them
+      rerun: req.body.rerun === 'true' || req.query.rerun === 'true',
+      // textLayer=false OCRs every page even when the PDF has embedded text
+      textLayer: !(req.body.textLayer === 'false' || req.query.textLayer === 'false'),
+      preprocess: preprocessParam !== undefined ? preprocess.steps : undefined,
+      audioFiles: audioFiles.map(f => ({ originalname: f.originalname, url: `/uploads/${f.filename}` }))
+    }, req.auth.userId)
 
-  modifiedStructure.parts.forEach(part => {
-    part.questions.forEach(question => {
-      if (question.questionId) {
-        question.questionId = question.questionId.replace(/[–—]/g, '-')
-      }
-      if (question.numberRange) {
-        question.numberRange = question.numberRange.replace(/[–—]/g, '-')
-      }
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status
     })
-  })
-
-  return modifiedStructure
-}
-
-// Enhanced post-processing validation functions
-function validateAndFixStructure(structure) {
-  console.log('🔧 Validating and fixing structure...')
-
-  // Ensure basic structure exists
-  if (!structure.test) structure.test = "1"
-  if (!structure.section) structure.section = "Listening"
-  if (!structure.parts || !Array.isArray(structure.parts)) {
-    structure.parts = []
-  }
-
-  // Validate each part
-  structure.parts.forEach((part, index) => {
-    if (!part.part) part.part = index + 1
-    if (!part.instructions) part.instructions = `Part ${part.part} instructions`
-    if (!part.questionsRange) {
-      const start = (part.part - 1) * 10 + 1
-      const end = part.part * 10
-      part.questionsRange = `${start}-${end}`
-    }
-    if (!part.questions || !Array.isArray(part.questions)) {
-      part.questions = []
-    }
-
-    // Validate each question
-    part.questions.forEach((question, qIndex) => {
-      if (!question.questionId) {
-        question.questionId = `listening-${structure.test}-${part.part}-${qIndex + 1}`
-      }
-      if (!question.number) {
-        question.number = (part.part - 1) * 10 + qIndex + 1
-      }
-      if (!question.type) {
-        question.type = autoDetectQuestionType(question)
-      }
-      if (!question.inputType) {
-        question.inputType = getInputTypeForQuestionType(question.type)
-      }
-      if (!question.answerConstraints) {
-        question.answerConstraints = getDefaultAnswerConstraints(question.type)
-      }
-      if (question.isInteractive === undefined) {
-        question.isInteractive = true
-      }
-      if (!question.answer) {
-        question.answer = { correct: "", accepted: [] }
-      }
+  } catch (error) {
+    console.error('Create extraction job error:', error)
+    removeUploadedFiles(req)
+    res.status(500).json({
+      success: false,
+      error: error.message
     })
-  })
-
-  console.log('✅ Structure validation complete')
-  return structure
-}
-
-function autoDetectQuestionType(question) {
-  const text = (question.text || question.questionText || '').toLowerCase()
-  const instructions = (question.instructions || '').toLowerCase()
-
-  // Type detection based on common patterns
-  if (text.includes('____') || text.includes('...')) {
-    if (instructions.includes('map') || instructions.includes('diagram') || instructions.includes('label')) {
-      return 'map-labelling'
-    }
-    if (instructions.includes('form') || instructions.includes('notes') || instructions.includes('table')) {
-      return 'form-fill'
-    }
-    return 'sentence-completion'
-  }
-
-  if (question.textList || question.options) {
-    if (instructions.includes('choose two') || instructions.includes('choose three')) {
-      return 'multi-select'
-    }
-    return 'multiple-choice'
-  }
-
-  if (question.draggableVariants || instructions.includes('match')) {
-    return 'matching'
-  }
-
-  if (instructions.includes('short answer') || instructions.includes('no more than')) {
-    return 'short-answer'
   }
+})
 
-  // Default fallback
-  return 'form-fill'
-}
-
-function getInputTypeForQuestionType(type) {
-  const typeMap = {
-    'form-fill': 'text',
-    'multiple-choice': 'radio',
-    'multi-select': 'checkbox',
-    'matching': 'drag',
-    'map-labelling': 'text',
-    'short-answer': 'text',
-    'sentence-completion': 'text'
-  }
-  return typeMap[type] || 'text'
-}
-
-function getDefaultAnswerConstraints(type) {
-  const constraintMap = {
-    'form-fill': 'ONE WORD AND/OR A NUMBER',
-    'multiple-choice': 'CHOOSE THE CORRECT LETTER A, B OR C',
-    'multi-select': 'CHOOSE TWO LETTERS A-E',
-    'matching': 'CHOOSE FROM THE BOX A-H',
-    'map-labelling': 'LABEL FROM MAP A-H',
-    'short-answer': 'NO MORE THAN THREE WORDS',
-    'sentence-completion': 'ONE WORD ONLY'
-  }
-  return constraintMap[type] || 'ONE WORD AND/OR A NUMBER'
-}
-
-function enforceQuestionNumbering(structure) {
-  console.log('🔢 Enforcing proper question numbering...')
-
-  structure.parts.forEach((part, partIndex) => {
-    part.questions.forEach((question, questionIndex) => {
-      if (question.type !== 'divider' && question.type !== 'image') {
-        const expectedNumber = (partIndex * 10) + questionIndex + 1
-        question.number = expectedNumber
+// List recent extraction jobs
+app.get('/api/extract/jobs', requireAuth, requirePermission(PERMISSIONS.TESTS_AUTHOR), async (req, res) => {
+  try {
+    const { limit = 20, section } = req.query
+    const jobs = await extractionJobs.list({ limit: Math.min(parseInt(limit) || 20, 100), section })
 
-        // Update question ID to match
-        if (question.questionId) {
-          question.questionId = `listening-${structure.test}-${part.part}-${expectedNumber}`
-        }
-      }
+    res.json({
+      success: true,
+      jobs
     })
-  })
-
-  console.log('✅ Question numbering complete')
-  return structure
-}
-
-function validateRequiredFields(structure) {
-  console.log('🔍 Validating required fields...')
-
-  const errors = []
-
-  // Check main structure
-  if (!structure.test) errors.push('Missing test number')
-  if (!structure.section) errors.push('Missing section name')
-  if (!structure.parts || !Array.isArray(structure.parts)) {
-    errors.push('Missing or invalid parts array')
-  }
-
-  // Check each part
-  structure.parts.forEach((part, partIndex) => {
-    if (!part.part) errors.push(`Part ${partIndex}: Missing part number`)
-    if (!part.instructions) errors.push(`Part ${partIndex}: Missing instructions`)
-    if (!part.questionsRange) errors.push(`Part ${partIndex}: Missing questionsRange`)
-    if (!part.questions || !Array.isArray(part.questions)) {
-      errors.push(`Part ${partIndex}: Missing or invalid questions array`)
-    }
-
-    // Check each question
-    part.questions.forEach((question, questionIndex) => {
-      if (question.type === 'divider' || question.type === 'image') return
-
-      if (!question.questionId) {
-        errors.push(`Part ${partIndex}, Question ${questionIndex}: Missing questionId`)
-      }
-      if (!question.number) {
-        errors.push(`Part ${partIndex}, Question ${questionIndex}: Missing number`)
-      }
-      if (!question.type) {
-        errors.push(`Part ${partIndex}, Question ${questionIndex}: Missing type`)
-      }
-      if (!question.inputType) {
-        errors.push(`Part ${partIndex}, Question ${questionIndex}: Missing inputType`)
-      }
-      if (question.isInteractive === undefined) {
-        errors.push(`Part ${partIndex}, Question ${questionIndex}: Missing isInteractive`)
-      }
-      if (!question.answer) {
-        errors.push(`Part ${partIndex}, Question ${questionIndex}: Missing answer object`)
-      }
+  } catch (error) {
+    console.error('List extraction jobs error:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
     })
-  })
-
-  if (errors.length > 0) {
-    console.log('⚠️  Validation errors found:', errors)
-  } else {
-    console.log('✅ All required fields validated')
   }
+})
 
-  return { valid: errors.length === 0, errors }
-}
-
-// Main processing endpoint
-app.post('/api/extract/listening', upload.fields([
-  { name: 'file', maxCount: 1 },
-  { name: 'audio', maxCount: 4 }
-]), async (req, res) => {
-  const tempDir = path.join(__dirname, 'uploads', `pdf-${Date.now()}`)
-
+// Get extraction job status, logs and (when completed) the final structure
+app.get('/api/extract/jobs/:id', requireAuth, requirePermission(PERMISSIONS.TESTS_AUTHOR), async (req, res) => {
   try {
-    // Create temporary directory
-    fs.mkdirSync(tempDir, { recursive: true })
-
-    const pdfFile = req.files['file'][0]
-    const audioFiles = req.files['audio'] || []
-
-    console.log('Processing PDF:', pdfFile.originalname)
-    console.log('Audio files:', audioFiles.map(f => f.originalname))
-
-    // Convert PDF to images
-    const options = {
-      format: 'png',
-      out_dir: tempDir,
-      out_prefix: 'page',
-      page: null,
-      density: 400 // Higher density for better OCR
-    }
-
-    await pdf.convert(pdfFile.path, options)
-
-    // Get all generated images
-    const imageFiles = fs.readdirSync(tempDir)
-      .filter(file => file.startsWith('page-') && file.endsWith('.png'))
-      .map(file => path.join(tempDir, file))
-
-    console.log(`Generated ${imageFiles.length} images`)
-
-    // Extract and upload images for maps/diagrams
-    const uploadedImages = await extractAndUploadImages(imageFiles, `listening-${Date.now()}`)
-
-    // Process each image with OCR
-    let combinedText = ''
-    for (const imageFile of imageFiles) {
-      console.log(`Processing image: ${imageFile}`)
-
-      const ocrResult = await ocrService.extractText(imageFile)
-      const cleanedText = OCRService.cleanOCRText(ocrResult.text)
-      combinedText += cleanedText + '\n\n'
-
-      console.log(`✅ OCR completed using ${ocrResult.service} with ${ocrResult.confidence.toFixed(2)} confidence`)
-    }
-
-    console.log('Combined OCR text length:', combinedText.length)
-
-    // Get the listening prompt
-    const prompt = await getPrompt.getStrictSystemPrompt('listening')
-
-    // Parse with GPT-4 (with retry logic)
-    let structure
-    let attempts = 0
-    const maxAttempts = 3
-
-    while (attempts < maxAttempts) {
-      attempts++
-      console.log(`GPT-4 attempt ${attempts}/${maxAttempts}`)
-
-      try {
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-4o',
-          messages: [
-            { role: 'system', content: prompt },
-            { role: 'user', content: combinedText }
-          ],
-          max_tokens: 8000, // GPT-4o has 128,000 token context window
-          temperature: 0.1
-        })
+    const job = await extractionJobs.get(req.params.id)
 
-        const rawResponse = completion.choices[0]?.message?.content
-
-        // Validate response
-        if (!rawResponse) {
-          console.error('Empty response from OpenAI')
-          if (attempts === maxAttempts) {
-            throw new Error('Empty response from OpenAI after all attempts')
-          }
-          continue
-        }
-
-        console.log('Raw GPT response length:', rawResponse.length)
-        console.log('Raw GPT response preview:', rawResponse.substring(0, 200) + '...')
-
-        // Parse JSON response with robust cleaning and fallback
-        try {
-          structure = OCRService.parseJsonSafely(rawResponse, `GPT-4 attempt ${attempts}`)
-          console.log('Successfully parsed JSON structure')
-          break // Success, exit retry loop
-        } catch (parseError) {
-          console.error(`JSON parse error (attempt ${attempts}):`, parseError)
-
-          if (attempts === maxAttempts) {
-            throw new Error(`Invalid JSON response from AI after ${maxAttempts} attempts: ${parseError.message}`)
-          }
-
-          // Wait before retry
-          await new Promise(resolve => setTimeout(resolve, 1000))
-        }
-      } catch (apiError) {
-        console.error(`OpenAI API error (attempt ${attempts}):`, apiError)
-
-        if (attempts === maxAttempts) {
-          throw new Error(`OpenAI API failed after ${maxAttempts} attempts: ${apiError.message}`)
-        }
-
-        // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, 2000))
-      }
-    }
-
-    // Apply enhanced post-processing pipeline
-    console.log('🚀 Starting enhanced post-processing pipeline...')
-
-    // Step 1: Merge duplicate parts
-    structure = mergeDuplicateParts(structure.parts ? structure.parts : [])
-    structure = { ...structure, parts: structure }
-
-    // Step 2: Validate and fix basic structure
-    structure = validateAndFixStructure(structure)
-
-    // Step 3: Inject image objects
-    structure = injectImageObjects(structure, uploadedImages)
-
-    // Step 4: Process base64 images from OpenAI
-    structure = await processBase64Images(structure)
-
-    // Step 5: Link matching questions with draggable variants
-    structure = linkMatchingQuestions(structure)
-
-    // Step 6: Standardize question IDs (ensure hyphens, not en-dashes)
-    structure = standardizeQuestionIds(structure)
-
-    // Step 7: Enforce proper question numbering
-    structure = enforceQuestionNumbering(structure)
-
-    // Step 8: Final validation
-    const validation = validateRequiredFields(structure)
-    if (!validation.valid) {
-      console.log('⚠️  Structure validation failed:', validation.errors)
-      // Continue processing but log errors for debugging
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      })
     }
 
-    console.log('✅ Enhanced post-processing pipeline complete')
-
-    // Clean up temporary files
-    fs.rmSync(tempDir, { recursive: true, force: true })
-    fs.unlinkSync(pdfFile.path)
-
     res.json({
       success: true,
-      structure,
-      uploadedImages: uploadedImages.map(img => ({
-        url: img.url,
-        filename: img.filename,
-        isMap: img.isMap
-      }))
+      job: {
+        id: job.id,
+        section: job.section,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        logs: job.logs,
+        error: job.error,
+        result: job.result,
+        createdAt: job.created_at,
+        startedAt: job.started_at,
+        finishedAt: job.finished_at
+      }
     })
-
   } catch (error) {
-    console.error('Processing error:', error)
-
-    // Clean up on error
-    if (fs.existsSync(tempDir)) {
-      fs.rmSync(tempDir, { recursive: true, force: true })
-    }
-
+    console.error('Get extraction job error:', error)
     res.status(500).json({
       success: false,
       error: error.message
@@ -666,175 +345,104 @@ app.post('/api/extract/listening', upload.fields([
   }
 })
 
-// Reading extraction endpoint
-app.post('/api/extract/reading', upload.fields([
-  { name: 'file', maxCount: 1 }
-]), async (req, res) => {
-  const tempDir = path.join(__dirname, 'uploads', `pdf-${Date.now()}`)
-
+// Server-sent events stream with live extraction progress
+// (OCR page progress/engine/confidence, LLM attempts, post-processing steps)
+app.get('/api/extract/jobs/:id/events', requireAuthForStream, requirePermission(PERMISSIONS.TESTS_AUTHOR), async (req, res) => {
   try {
-    // Create temporary directory
-    fs.mkdirSync(tempDir, { recursive: true })
-
-    const pdfFile = req.files['file'][0]
-
-    console.log('Processing Reading PDF:', pdfFile.originalname)
+    // Subscribes before reading the job so a terminal event can't slip in between
+    const followed = await extractionJobs.follow(req.params.id)
 
-    // Convert PDF to images
-    const options = {
-      format: 'png',
-      out_dir: tempDir,
-      out_prefix: 'page',
-      page: null,
-      density: 400 // Higher density for better OCR
+    if (!followed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      })
     }
 
-    await pdf.convert(pdfFile.path, options)
-
-    // Get all generated images
-    const imageFiles = fs.readdirSync(tempDir)
-      .filter(file => file.startsWith('page-') && file.endsWith('.png'))
-      .map(file => path.join(tempDir, file))
-
-    console.log(`Generated ${imageFiles.length} images`)
-
-    // Extract and upload images for diagrams/tables
-    const uploadedImages = await extractAndUploadImages(imageFiles, `reading-${Date.now()}`)
-
-    // Process each image with OCR
-    let combinedText = ''
-    for (const imageFile of imageFiles) {
-      console.log(`Processing image: ${imageFile}`)
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    })
+    res.flushHeaders()
 
-      const ocrResult = await ocrService.extractText(imageFile)
-      const cleanedText = OCRService.cleanOCRText(ocrResult.text)
-      combinedText += cleanedText + '\n\n'
+    const { job } = followed
 
-      console.log(`✅ OCR completed using ${ocrResult.service} with ${ocrResult.confidence.toFixed(2)} confidence`)
+    const send = (event) => {
+      res.write(`event: ${event.type}\n`)
+      res.write(`data: ${JSON.stringify(event)}\n\n`)
     }
 
-    console.log('Combined OCR text length:', combinedText.length)
-
-    // Get the reading prompt
-    const prompt = await getPrompt.getStrictSystemPrompt('reading')
-
-    // Parse with GPT-4 (with retry logic)
-    let structure
-    let attempts = 0
-    const maxAttempts = 3
-
-    while (attempts < maxAttempts) {
-      attempts++
-      console.log(`GPT-4 attempt ${attempts}/${maxAttempts}`)
-
-      try {
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-4o',
-          messages: [
-            { role: 'system', content: prompt },
-            { role: 'user', content: combinedText }
-          ],
-          max_tokens: 8000,
-          temperature: 0.1
-        })
-
-        const rawResponse = completion.choices[0]?.message?.content
-
-        // Validate response
-        if (!rawResponse) {
-          console.error('Empty response from OpenAI')
-          if (attempts === maxAttempts) {
-            throw new Error('Empty response from OpenAI after all attempts')
-          }
-          continue
-        }
-
-        console.log('Raw GPT response length:', rawResponse.length)
-        console.log('Raw GPT response preview:', rawResponse.substring(0, 200) + '...')
-
-        // Parse JSON response with robust cleaning and fallback
-        try {
-          structure = OCRService.parseJsonSafely(rawResponse, `GPT-4 Reading attempt ${attempts}`)
-          console.log('Successfully parsed JSON structure')
-          break // Success, exit retry loop
-        } catch (parseError) {
-          console.error(`JSON parse error (attempt ${attempts}):`, parseError)
-
-          if (attempts === maxAttempts) {
-            throw new Error(`Invalid JSON response from AI after ${maxAttempts} attempts: ${parseError.message}`)
-          }
-
-          // Wait before retry
-          await new Promise(resolve => setTimeout(resolve, 1000))
-        }
-      } catch (apiError) {
-        console.error(`OpenAI API error (attempt ${attempts}):`, apiError)
-
-        if (attempts === maxAttempts) {
-          throw new Error(`OpenAI API failed after ${maxAttempts} attempts: ${apiError.message}`)
-        }
+    // Current state first, so late subscribers know where the job is
+    send({
+      type: 'snapshot',
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      logs: job.logs,
+      error: job.error
+    })
 
-        // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, 2000))
-      }
+    const isFinished = ['completed', 'failed', 'cancelled'].includes(job.status)
+    if (isFinished || !followed.live) {
+      // Live events are only available from the instance running the job
+      followed.unsubscribe()
+      send({ type: 'end', status: job.status, live: false })
+      return res.end()
     }
 
-    // Apply enhanced post-processing pipeline for reading
-    console.log('🚀 Starting enhanced post-processing pipeline for reading...')
-
-    // Step 1: Merge duplicate parts
-    structure = mergeDuplicateParts(structure.parts ? structure.parts : [])
-    structure = { ...structure, parts: structure }
-
-    // Step 2: Validate and fix basic structure
-    structure = validateAndFixStructure(structure)
-
-    // Step 3: Inject image objects
-    structure = injectImageObjects(structure, uploadedImages)
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000)
 
-    // Step 4: Process base64 images from OpenAI
-    structure = await processBase64Images(structure)
+    followed.start((event) => {
+      send(event)
 
-    // Step 5: Link matching questions with draggable variants
-    structure = linkMatchingQuestions(structure)
-
-    // Step 6: Standardize question IDs (ensure hyphens, not en-dashes)
-    structure = standardizeQuestionIds(structure)
+      if (['completed', 'failed', 'cancelled'].includes(event.type)) {
+        send({ type: 'end', status: event.type, live: true })
+        cleanup()
+        res.end()
+      }
+    })
 
-    // Step 7: Enforce proper question numbering
-    structure = enforceQuestionNumbering(structure)
+    function cleanup() {
+      clearInterval(keepAlive)
+      followed.unsubscribe()
+    }
 
-    // Step 8: Final validation
-    const validation = validateRequiredFields(structure)
-    if (!validation.valid) {
-      console.log('⚠️  Reading structure validation failed:', validation.errors)
-      // Continue processing but log errors for debugging
+    req.on('close', cleanup)
+  } catch (error) {
+    console.error('Extraction events error:', error)
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      })
+    } else {
+      res.end()
     }
+  }
+})
 
-    console.log('✅ Enhanced post-processing pipeline for reading complete')
+// Cancel a queued or running extraction job
+app.post('/api/extract/jobs/:id/cancel', requireAuth, requirePermission(PERMISSIONS.TESTS_AUTHOR), async (req, res) => {
+  try {
+    const job = await extractionJobs.cancel(req.params.id)
 
-    // Clean up temporary files
-    fs.rmSync(tempDir, { recursive: true, force: true })
-    fs.unlinkSync(pdfFile.path)
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      })
+    }
 
     res.json({
       success: true,
-      structure,
-      uploadedImages: uploadedImages.map(img => ({
-        url: img.url,
-        filename: img.filename,
-        isMap: img.isMap
-      }))
+      jobId: job.id,
+      status: job.status,
+      cancelRequested: !!job.cancel_requested
     })
-
   } catch (error) {
-    console.error('Reading processing error:', error)
-
-    // Clean up on error
-    if (fs.existsSync(tempDir)) {
-      fs.rmSync(tempDir, { recursive: true, force: true })
-    }
-
+    console.error('Cancel extraction job error:', error)
     res.status(500).json({
       success: false,
       error: error.message
@@ -842,169 +450,79 @@ app.post('/api/extract/reading', upload.fields([
   }
 })
 
-// Writing extraction endpoint
-app.post('/api/extract/writing', upload.fields([
-  { name: 'file', maxCount: 1 }
-]), async (req, res) => {
-  const tempDir = path.join(__dirname, 'uploads', `pdf-${Date.now()}`)
+// Parse the kind/key/olderThanDays filters of the extraction cache endpoints
+function parseCacheFilters(query) {
+  const { kind, key, olderThanDays } = query
 
-  try {
-    // Create temporary directory
-    fs.mkdirSync(tempDir, { recursive: true })
-
-    const pdfFile = req.files['file'][0]
-
-    console.log('Processing Writing PDF:', pdfFile.originalname)
-
-    // Convert PDF to images
-    const options = {
-      format: 'png',
-      out_dir: tempDir,
-      out_prefix: 'page',
-      page: null,
-      density: 400 // Higher density for better OCR
-    }
-
-    await pdf.convert(pdfFile.path, options)
-
-    // Get all generated images
-    const imageFiles = fs.readdirSync(tempDir)
-      .filter(file => file.startsWith('page-') && file.endsWith('.png'))
-      .map(file => path.join(tempDir, file))
-
-    console.log(`Generated ${imageFiles.length} images`)
-
-    // Extract and upload images for Task 1 visuals (graphs, charts, etc.)
-    const uploadedImages = await extractAndUploadImages(imageFiles, `writing-${Date.now()}`)
-
-    // Process each image with OCR
-    let combinedText = ''
-    for (const imageFile of imageFiles) {
-      console.log(`Processing image: ${imageFile}`)
-
-      const ocrResult = await ocrService.extractText(imageFile)
-      const cleanedText = OCRService.cleanOCRText(ocrResult.text)
-      combinedText += cleanedText + '\n\n'
-
-      console.log(`✅ OCR completed using ${ocrResult.service} with ${ocrResult.confidence.toFixed(2)} confidence`)
-    }
-
-    console.log('Combined OCR text length:', combinedText.length)
-
-    // Get the writing prompt
-    const prompt = await getPrompt.getStrictSystemPrompt('writing')
-
-    // Parse with GPT-4 (with retry logic)
-    let structure
-    let attempts = 0
-    const maxAttempts = 3
-
-    while (attempts < maxAttempts) {
-      attempts++
-      console.log(`GPT-4 attempt ${attempts}/${maxAttempts}`)
-
-      try {
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-4o',
-          messages: [
-            { role: 'system', content: prompt },
-            { role: 'user', content: combinedText }
-          ],
-          max_tokens: 8000,
-          temperature: 0.1
-        })
-
-        const rawResponse = completion.choices[0]?.message?.content
-
-        // Validate response
-        if (!rawResponse) {
-          console.error('Empty response from OpenAI')
-          if (attempts === maxAttempts) {
-            throw new Error('Empty response from OpenAI after all attempts')
-          }
-          continue
-        }
-
-        console.log('Raw GPT response length:', rawResponse.length)
-        console.log('Raw GPT response preview:', rawResponse.substring(0, 200) + '...')
-
-        // Parse JSON response with robust cleaning and fallback
-        try {
-          structure = OCRService.parseJsonSafely(rawResponse, `GPT-4 Writing attempt ${attempts}`)
-          console.log('Successfully parsed JSON structure')
-          break // Success, exit retry loop
-        } catch (parseError) {
-          console.error(`JSON parse error (attempt ${attempts}):`, parseError)
-
-          if (attempts === maxAttempts) {
-            throw new Error(`Invalid JSON response from AI after ${maxAttempts} attempts: ${parseError.message}`)
-          }
-
-          // Wait before retry
-          await new Promise(resolve => setTimeout(resolve, 1000))
-        }
-      } catch (apiError) {
-        console.error(`OpenAI API error (attempt ${attempts}):`, apiError)
-
-        if (attempts === maxAttempts) {
-          throw new Error(`OpenAI API failed after ${maxAttempts} attempts: ${apiError.message}`)
-        }
-
-        // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, 2000))
-      }
-    }
-
-    // Apply enhanced post-processing pipeline for writing
-    console.log('🚀 Starting enhanced post-processing pipeline for writing...')
-
-    // Step 1: Merge duplicate parts
-    structure = mergeDuplicateParts(structure.parts ? structure.parts : [])
-    structure = { ...structure, parts: structure }
-
-    // Step 2: Validate and fix basic structure
-    structure = validateAndFixStructure(structure)
-
-    // Step 3: Inject image objects (for Task 1 visuals)
-    structure = injectImageObjects(structure, uploadedImages)
-
-    // Step 4: Process base64 images from OpenAI
-    structure = await processBase64Images(structure)
+  if (kind && !CACHE_KINDS.includes(kind)) {
+    return { error: `kind must be one of: ${CACHE_KINDS.join(', ')}` }
+  }
+  if (key && !ExtractionCache.isValidKey(key)) {
+    return { error: 'Invalid cache key' }
+  }
+  if (olderThanDays !== undefined && !(parseFloat(olderThanDays) >= 0)) {
+    return { error: 'olderThanDays must be a non-negative number' }
+  }
 
-    // Step 5: Standardize question IDs (ensure hyphens, not en-dashes)
-    structure = standardizeQuestionIds(structure)
+  return {
+    kind: kind || null,
+    key: key || null,
+    olderThanDays: olderThanDays !== undefined ? parseFloat(olderThanDays) : null
+  }
+}
 
-    // Step 6: Final validation
-    const validation = validateRequiredFields(structure)
-    if (!validation.valid) {
-      console.log('⚠️  Writing structure validation failed:', validation.errors)
-      // Continue processing but log errors for debugging
+// List extraction cache entries (rendered PDFs, page OCR, LLM structures); filters as for DELETE
+app.get('/api/extract/cache', requireAuth, requirePermission(PERMISSIONS.SYSTEM_STATUS), async (req, res) => {
+  try {
+    const filters = parseCacheFilters(req.query)
+    if (filters.error) {
+      return res.status(400).json({
+        success: false,
+        error: filters.error
+      })
     }
 
-    console.log('✅ Enhanced post-processing pipeline for writing complete')
-
-    // Clean up temporary files
-    fs.rmSync(tempDir, { recursive: true, force: true })
-    fs.unlinkSync(pdfFile.path)
+    const entries = await extractionCache.list(filters)
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000)
 
     res.json({
       success: true,
-      structure,
-      uploadedImages: uploadedImages.map(img => ({
-        url: img.url,
-        filename: img.filename,
-        isMap: img.isMap
-      }))
+      enabled: extractionCache.enabled,
+      totals: Object.fromEntries(CACHE_KINDS.map(kind => {
+        const ofKind = entries.filter(entry => entry.kind === kind)
+        return [kind, { count: ofKind.length, size: ofKind.reduce((sum, entry) => sum + entry.size, 0) }]
+      })),
+      entries: entries.slice(0, limit)
     })
-
   } catch (error) {
-    console.error('Writing processing error:', error)
+    console.error('List extraction cache error:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
 
-    // Clean up on error
-    if (fs.existsSync(tempDir)) {
-      fs.rmSync(tempDir, { recursive: true, force: true })
+// Purge extraction cache entries; ?kind, ?key and ?olderThanDays narrow what is removed
+app.delete('/api/extract/cache', requireAuth, requirePermission(PERMISSIONS.SYSTEM_MANAGE), async (req, res) => {
+  try {
+    const filters = parseCacheFilters(req.query)
+    if (filters.error) {
+      return res.status(400).json({
+        success: false,
+        error: filters.error
+      })
     }
 
+    const purged = await extractionCache.purge(filters)
+    console.log(`🧹 Purged ${purged.removed} extraction cache entr${purged.removed === 1 ? 'y' : 'ies'} (${purged.freedBytes} bytes)`)
+
+    res.json({
+      success: true,
+      ...purged
+    })
+  } catch (error) {
+    console.error('Purge extraction cache error:', error)
     res.status(500).json({
       success: false,
       error: error.message
@@ -1013,11 +531,14 @@ app.post('/api/extract/writing', upload.fields([
 })
 
 // Save listening structure endpoint
-app.post('/api/tests/:id/listening/save', async (req, res) => {
+app.post('/api/tests/:id/listening/save', requireAuth, requirePermission(PERMISSIONS.TESTS_AUTHOR), async (req, res) => {
   try {
     const { id } = req.params
     const { structure } = req.body
 
+    const validation = checkTestSections(req, res, { listening: structure })
+    if (!validation) return
+
     const { data, error } = await supabase
       .from('tests')
       .update({
@@ -1032,7 +553,8 @@ app.post('/api/tests/:id/listening/save', async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Listening structure saved successfully'
+      message: 'Listening structure saved successfully',
+      validation
     })
 
   } catch (error) {
@@ -1044,10 +566,53 @@ app.post('/api/tests/:id/listening/save', async (req, res) => {
   }
 })
 
+// Validate test section structures without saving them
+// Body: { section, structure } for one section, or { listening, reading, writing, speaking }
+app.post('/api/tests/validate', requireAuth, requirePermission(PERMISSIONS.TESTS_AUTHOR), async (req, res) => {
+  try {
+    const { section, structure, listening, reading, writing, speaking } = req.body
+
+    if (section) {
+      if (!getSectionProfile(section)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown section "${section}"`
+        })
+      }
+
+      const report = validateSectionStructure(section, structure)
+      return res.json({
+        success: true,
+        valid: report.valid,
+        sections: { [getSectionProfile(section).section]: report }
+      })
+    }
+
+    if (!listening && !reading && !writing && !speaking) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide { section, structure } or at least one of listening, reading, writing, speaking'
+      })
+    }
+
+    const validation = validateTestSections({ listening, reading, writing, speaking })
+    res.json({
+      success: true,
+      ...validation
+    })
+  } catch (error) {
+    console.error('Validate test error:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
 // Create new test endpoint
-app.post('/api/tests', async (req, res) => {
+app.post('/api/tests', requireAuth, requirePermission(PERMISSIONS.TESTS_AUTHOR), async (req, res) => {
   try {
-    const { title, edition, test_number, section, listening, reading, writing, listening_audios } = req.body
+    const { title, edition, test_number, section, module, listening, reading, writing, speaking, listening_audios } = req.body
 
     if (!title || !edition || !test_number || !section) {
       return res.status(400).json({
@@ -1056,6 +621,14 @@ app.post('/api/tests', async (req, res) => {
       });
     }
 
+    const validation = checkTestSections(req, res, {
+      listening: section === 'Listening' ? listening : null,
+      reading: section === 'Reading' ? reading : null,
+      writing: section === 'Writing' ? writing : null,
+      speaking: section === 'Speaking' ? speaking : null
+    })
+    if (!validation) return
+
     // 🔍 Step 1: Get existing row (if any)
     const { data: existing, error: fetchError } = await supabase
       .from('tests')
@@ -1072,9 +645,11 @@ app.post('/api/tests', async (req, res) => {
       edition: edition.trim(),
       test_number: parseInt(test_number),
       section,
+      module: module ? bandConversion.normaliseModule(module) : existing?.module ?? 'academic',
       listening: section === 'Listening' ? listening : existing?.listening ?? null,
       reading: section === 'Reading' ? reading : existing?.reading ?? null,
       writing: section === 'Writing' ? writing : existing?.writing ?? null,
+      speaking: section === 'Speaking' ? speaking : existing?.speaking ?? null,
       listening_audios: section === 'Listening' ? listening_audios : existing?.listening_audios ?? null,
     };
 
@@ -1087,7 +662,7 @@ app.post('/api/tests', async (req, res) => {
 
     if (error) throw error;
 
-    res.json({ success: true, test: data });
+    res.json({ success: true, test: data, validation });
   } catch (error) {
     console.error('Create test error:', error);
     res.status(500).json({
@@ -1098,7 +673,7 @@ app.post('/api/tests', async (req, res) => {
 });
 
 // Delete test endpoint
-app.delete('/api/tests/:id', async (req, res) => {
+app.delete('/api/tests/:id', requireAuth, requirePermission(PERMISSIONS.TESTS_AUTHOR), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -1138,7 +713,7 @@ app.delete('/api/tests/:id', async (req, res) => {
 })
 
 // Get all tests endpoint
-app.get('/api/tests', async (req, res) => {
+app.get('/api/tests', requireAuth, requirePermission(PERMISSIONS.TESTS_READ), async (req, res) => {
   try {
     const includeSections = req.query['include-sections'] === 'true'
     let query
@@ -1148,7 +723,7 @@ app.get('/api/tests', async (req, res) => {
     } else {
       query = supabase
         .from('tests')
-        .select('id, title, edition, test_number, section, created_at, updated_at, listening_audios')
+        .select('id, title, edition, test_number, section, module, created_at, updated_at, listening_audios')
     }
 
     const { data, error } = await query
@@ -1178,7 +753,7 @@ app.get('/api/tests', async (req, res) => {
 
 
 // Get single test endpoint
-app.get('/api/tests/:id', async (req, res) => {
+app.get('/api/tests/:id', requireAuth, requirePermission(PERMISSIONS.TESTS_READ), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -1207,10 +782,10 @@ app.get('/api/tests/:id', async (req, res) => {
 })
 
 // Update test endpoint
-app.put('/api/tests/:id', async (req, res) => {
+app.put('/api/tests/:id', requireAuth, requirePermission(PERMISSIONS.TESTS_AUTHOR), async (req, res) => {
   try {
     const { id } = req.params
-    const { title, edition, test_number, listening, reading, writing } = req.body
+    const { title, edition, test_number, module, listening, reading, writing, speaking } = req.body
 
     // Check if test exists
     const { data: existingTest, error: checkError } = await supabase
@@ -1226,6 +801,9 @@ app.put('/api/tests/:id', async (req, res) => {
       })
     }
 
+    const validation = checkTestSections(req, res, { listening, reading, writing, speaking })
+    if (!validation) return
+
     // Update the test
     const { data, error } = await supabase
       .from('tests')
@@ -1233,9 +811,11 @@ app.put('/api/tests/:id', async (req, res) => {
         title: title || existingTest.title,
         edition: edition || existingTest.edition,
         test_number: test_number || existingTest.test_number,
+        module: module ? bandConversion.normaliseModule(module) : existingTest.module,
         listening: listening || existingTest.listening,
         reading: reading || existingTest.reading,
         writing: writing || existingTest.writing,
+        speaking: speaking || existingTest.speaking,
         updated_at: new Date().toISOString()
       })
       .eq('id', id)
@@ -1247,6 +827,7 @@ app.put('/api/tests/:id', async (req, res) => {
     res.json({
       success: true,
       test: data,
+      validation,
       message: 'Test updated successfully'
     })
 
@@ -1259,8 +840,8 @@ app.put('/api/tests/:id', async (req, res) => {
   }
 })
 
-app.post('/api/admin/set-global-active-test', async (req, res) => {
-  const { test_id, admin_id } = req.body
+app.post('/api/admin/set-global-active-test', requireAuth, requirePermission(PERMISSIONS.EXAM_ASSIGN), async (req, res) => {
+  const { test_id } = req.body
 
   try {
     // 1. Deactivate all previous
@@ -1277,7 +858,7 @@ app.post('/api/admin/set-global-active-test', async (req, res) => {
       .upsert({
         test_id,
         is_active: true,
-        created_by: admin_id, // 👈 use this
+        created_by: req.auth.userId,
       }, { onConflict: ['test_id'] })
 
     if (upsertError) throw upsertError
@@ -1290,8 +871,8 @@ app.post('/api/admin/set-global-active-test', async (req, res) => {
 })
 
 
-app.post('/api/admin/assign-test-to-user', async (req, res) => {
-  const { user_id, test_id, admin_id } = req.body
+app.post('/api/admin/assign-test-to-user', requireAuth, requirePermission(PERMISSIONS.EXAM_ASSIGN), async (req, res) => {
+  const { user_id, test_id } = req.body
 
   try {
     // First, delete any existing test assignments for this user to ensure only one active assignment
@@ -1308,7 +889,7 @@ app.post('/api/admin/assign-test-to-user', async (req, res) => {
       .insert({
         user_id,
         test_id,
-        assigned_by: admin_id,
+        assigned_by: req.auth.userId,
       })
 
     if (insertError) throw insertError
@@ -1323,7 +904,7 @@ app.post('/api/admin/assign-test-to-user', async (req, res) => {
 
 
 // Enhanced image upload endpoint with better validation
-app.post('/api/upload-image', upload.single('image'), async (req, res) => {
+app.post('/api/upload-image', requireAuth, requirePermission(PERMISSIONS.TESTS_AUTHOR), upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -1412,7 +993,7 @@ app.post('/api/upload-image', upload.single('image'), async (req, res) => {
 })
 
 // Delete image endpoint
-app.delete('/api/delete-image', async (req, res) => {
+app.delete('/api/delete-image', requireAuth, requirePermission(PERMISSIONS.TESTS_AUTHOR), async (req, res) => {
   try {
     const { questionId, test, section, part } = req.body
 
@@ -1456,7 +1037,7 @@ app.delete('/api/delete-image', async (req, res) => {
 })
 
 // Batch create questions endpoint
-app.post('/api/questions/batch-create', async (req, res) => {
+app.post('/api/questions/batch-create', requireAuth, requirePermission(PERMISSIONS.TESTS_AUTHOR), async (req, res) => {
   try {
     const { test, section, type, questions, draggableVariants } = req.body
 
@@ -1533,7 +1114,7 @@ app.post('/api/questions/batch-create', async (req, res) => {
 })
 
 // Individual question create endpoint
-app.post('/api/questions/create', async (req, res) => {
+app.post('/api/questions/create', requireAuth, requirePermission(PERMISSIONS.TESTS_AUTHOR), async (req, res) => {
   try {
     const { test, section, questions, part, draggableVariants, imageUrl } = req.body
 
@@ -1604,7 +1185,7 @@ app.post('/api/questions/create', async (req, res) => {
 })
 
 // User Management Endpoints
-app.post('/api/users', async (req, res) => {
+app.post('/api/users', requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   try {
     const { full_name, email } = req.body
 
@@ -1633,7 +1214,7 @@ app.post('/api/users', async (req, res) => {
   }
 })
 
-app.get("/api/users/count", async (req, res) => {
+app.get("/api/users/count", requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   try {
     const { error, data } = await supabase.from("users").select("id")
 
@@ -1651,7 +1232,7 @@ app.get("/api/users/count", async (req, res) => {
   }
 })
 
-app.get('/api/users', async (req, res) => {
+app.get('/api/users', requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   const { offset = 0, limit = 10, search = '' } = req.query;
 
   try {
@@ -1687,7 +1268,7 @@ app.get('/api/users', async (req, res) => {
 
 
 // Delete user endpoint
-app.delete('/api/users/:id', async (req, res) => {
+app.delete('/api/users/:id', requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -1705,11 +1286,11 @@ app.delete('/api/users/:id', async (req, res) => {
       })
     }
 
-    // Don't allow deleting admin users
-    if (existingUser.role === 'admin') {
+    // Don't allow deleting staff accounts here (use the role management endpoint first)
+    if (isStaffRole(existingUser.role)) {
       return res.status(403).json({
         success: false,
-        message: 'Cannot delete admin users'
+        message: 'Cannot delete staff users'
       })
     }
 
@@ -1735,9 +1316,9 @@ app.delete('/api/users/:id', async (req, res) => {
 })
 
 // Exam Entry Approval Endpoints
-app.post('/api/users/approve-entry', async (req, res) => {
+app.post('/api/users/approve-entry', requireAuth, requirePermission(PERMISSIONS.APPROVALS_MANAGE), async (req, res) => {
   try {
-    const { approval_id, action, approved_by } = req.body
+    const { approval_id, action } = req.body
 
     // Validate action
     if (!['approve', 'reject'].includes(action)) {
@@ -1750,11 +1331,35 @@ app.post('/api/users/approve-entry', async (req, res) => {
     // Determine status based on action
     const status = action === 'approve' ? 'approved' : 'rejected'
 
+    // An approval grants a credential for one test attempt, so the test must be known up front
+    let examTest = null
+    if (action === 'approve') {
+      const { data: pendingApproval, error: pendingError } = await supabase
+        .from('exam_entry_approvals')
+        .select('user_id')
+        .eq('id', approval_id)
+        .maybeSingle()
+
+      if (pendingError) throw pendingError
+
+      if (pendingApproval) {
+        const resolved = await resolveExamTestForUser(pendingApproval.user_id)
+        examTest = resolved?.test || null
+
+        if (!examTest) {
+          return res.status(409).json({
+            success: false,
+            error: 'No test is assigned to this student and no global test is active'
+          })
+        }
+      }
+    }
+
     const { data, error } = await supabase
       .from('exam_entry_approvals')
       .update({
         status: status,
-        approved_by,
+        approved_by: req.auth.userId,
         approved_at: new Date().toISOString()
       })
       .eq('id', approval_id)
@@ -1770,9 +1375,14 @@ app.post('/api/users/approve-entry', async (req, res) => {
       })
     }
 
+    let approval = data[0]
+    if (action === 'approve') {
+      approval = await examTokenService.issueForApproval(approval.id, examTest.id)
+    }
+
     res.json({
       success: true,
-      approval: data[0]
+      approval
     })
   } catch (error) {
     console.error('Approve entry error:', error)
@@ -1785,7 +1395,7 @@ app.post('/api/users/approve-entry', async (req, res) => {
 
 app.post("/api/users/send-approval", async (req, res) => {
   try {
-    const { studentId } = req.body
+    const { studentId, requestKey } = req.body
 
     // Check if user exists
     const { data: existStudent, error: userError } = await supabase
@@ -1812,29 +1422,75 @@ app.post("/api/users/send-approval", async (req, res) => {
       throw approvalError
     }
 
-    // If no existing approval, create one
+    // If no existing approval, create one bound to this browser's request key
     if (!existingApproval) {
+      const newRequestKey = ExamTokenService.generateRequestKey()
+
       const { error: insertError } = await supabase
         .from("exam_entry_approvals")
         .insert({
           user_id: studentId,
-          status: 'pending'
+          status: 'pending',
+          request_key_hash: ExamTokenService.hashRequestKey(newRequestKey)
         })
 
       if (insertError) throw insertError
 
       return res.json({
         approved: false,
+        requestKey: newRequestKey,
         message: "Request submitted. Please wait for admin approval."
       })
     }
 
+    // Legacy pending rows without a key get bound to the first browser that polls
+    if (existingApproval.status === 'pending' && !existingApproval.request_key_hash) {
+      const newRequestKey = ExamTokenService.generateRequestKey()
+
+      const { error: keyError } = await supabase
+        .from("exam_entry_approvals")
+        .update({ request_key_hash: ExamTokenService.hashRequestKey(newRequestKey) })
+        .eq("id", existingApproval.id)
+
+      if (keyError) throw keyError
+
+      return res.json({
+        approved: false,
+        requestKey: newRequestKey,
+        message: "Please wait for admin approval."
+      })
+    }
+
+    const isApproved = existingApproval.status === 'approved'
+
+    // Only the browser that requested entry can claim the exam credential
+    if (isApproved) {
+      if (!ExamTokenService.requestKeyMatches(existingApproval, requestKey)) {
+        return res.status(403).json({
+          approved: false,
+          message: "This exam request was made from another device. Please ask the proctor for help."
+        })
+      }
+
+      const credential = examTokenService.signForApproval(existingApproval)
+      if (!credential) {
+        return res.status(403).json({
+          approved: false,
+          message: "Your exam session has expired. Please ask the proctor for help."
+        })
+      }
+
+      return res.json({
+        approved: true,
+        ...credential,
+        message: "You are approved! Redirecting to exam..."
+      })
+    }
+
     // Return approval status
     return res.json({
-      approved: existingApproval.status === 'approved',
-      message: existingApproval.status === 'approved'
-        ? "You are approved! Redirecting to exam..."
-        : "Please wait for admin approval."
+      approved: false,
+      message: "Please wait for admin approval."
     })
 
   } catch (error) {
@@ -1846,7 +1502,7 @@ app.post("/api/users/send-approval", async (req, res) => {
   }
 })
 
-app.get('/api/approvals', async (req, res) => {
+app.get('/api/approvals', requireAuth, requirePermission(PERMISSIONS.APPROVALS_MANAGE), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('exam_entry_approvals')
@@ -1872,9 +1528,9 @@ app.get('/api/approvals', async (req, res) => {
 })
 
 // Test Management Endpoints
-app.post('/api/tests/active', async (req, res) => {
+app.post('/api/tests/active', requireAuth, requirePermission(PERMISSIONS.EXAM_ASSIGN), async (req, res) => {
   try {
-    const { test_id, created_by } = req.body
+    const { test_id } = req.body
 
     // First, deactivate any existing active tests
     await supabase
@@ -1885,7 +1541,7 @@ app.post('/api/tests/active', async (req, res) => {
     // Then create new active test
     const { data, error } = await supabase
       .from('active_tests')
-      .insert([{ test_id, created_by, is_active: true }])
+      .insert([{ test_id, created_by: req.auth.userId, is_active: true }])
       .select()
 
     if (error) throw error
@@ -1903,7 +1559,7 @@ app.post('/api/tests/active', async (req, res) => {
   }
 })
 
-app.get('/api/tests/active', async (req, res) => {
+app.get('/api/tests/active', requireAuth, requirePermission(PERMISSIONS.TESTS_READ), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('active_tests')
@@ -1930,13 +1586,13 @@ app.get('/api/tests/active', async (req, res) => {
 })
 
 // User Assigned Tests Endpoints
-app.post('/api/user-assigned-tests', async (req, res) => {
+app.post('/api/user-assigned-tests', requireAuth, requirePermission(PERMISSIONS.EXAM_ASSIGN), async (req, res) => {
   try {
-    const { user_id, test_id, assigned_by } = req.body
+    const { user_id, test_id } = req.body
 
     const { data, error } = await supabase
       .from('user_assigned_tests')
-      .insert([{ user_id, test_id, assigned_by }])
+      .insert([{ user_id, test_id, assigned_by: req.auth.userId }])
       .select()
 
     if (error) throw error
@@ -1954,7 +1610,7 @@ app.post('/api/user-assigned-tests', async (req, res) => {
   }
 })
 
-app.get('/api/user-assigned-tests/:user_id', async (req, res) => {
+app.get('/api/user-assigned-tests/:user_id', requireAuth, requirePermission(PERMISSIONS.EXAM_ASSIGN), async (req, res) => {
   try {
     const { user_id } = req.params
 
@@ -1982,7 +1638,7 @@ app.get('/api/user-assigned-tests/:user_id', async (req, res) => {
 })
 
 // Delete user assigned test
-app.delete('/api/user-assigned-tests/:user_id/:test_id', async (req, res) => {
+app.delete('/api/user-assigned-tests/:user_id/:test_id', requireAuth, requirePermission(PERMISSIONS.EXAM_ASSIGN), async (req, res) => {
   try {
     const { user_id, test_id } = req.params
 
@@ -2010,10 +1666,12 @@ app.delete('/api/user-assigned-tests/:user_id/:test_id', async (req, res) => {
 })
 
 // Delete exam entry approval (called when writing section is completed)
-app.delete('/api/exam-entry-approvals/:user_id', async (req, res) => {
+app.delete('/api/exam-entry-approvals/:user_id', requireExamAccess, requireStaffPermission(PERMISSIONS.APPROVALS_MANAGE), async (req, res) => {
   try {
     const { user_id } = req.params
 
+    if (!isExamOwner(req, user_id)) return rejectForeignExamAccess(res)
+
     const { data, error } = await supabase
       .from('exam_entry_approvals')
       .delete()
@@ -2037,7 +1695,7 @@ app.delete('/api/exam-entry-approvals/:user_id', async (req, res) => {
 })
 
 // Results Management Endpoints
-app.post('/api/results', async (req, res) => {
+app.post('/api/results', requireExamAccess, requireStaffPermission(PERMISSIONS.RESULTS_MANAGE), async (req, res) => {
   try {
 
     const {
@@ -2048,16 +1706,26 @@ app.post('/api/results', async (req, res) => {
       overall_score, exam_taker_id, test_id
     } = req.body
 
+    if (!isExamOwner(req, exam_taker_id) || !isExamTest(req, test_id)) return rejectForeignExamAccess(res)
+
+    // Staff may record scores directly; a student's submission is auto-scored instead
+    let scores = { listening_score, reading_score, writing_score, overall_score }
+    if (req.exam) {
+      try {
+        scores = await scoreObjectiveSections(test_id, results)
+      } catch (scoringError) {
+        console.error('Auto-scoring error:', scoringError)
+        scores = {}
+      }
+    }
+
     const { data, error } = await supabase
       .from('results')
       .insert([{
         exam_taker_id,
         test_id,
         results,
-        listening_score,
-        reading_score,
-        writing_score,
-        overall_score
+        ...scores
       }])
       .select()
 
@@ -2065,7 +1733,7 @@ app.post('/api/results', async (req, res) => {
 
     res.json({
       success: true,
-      result: data[0]
+      result: resultForCaller(req, data[0])
     })
   } catch (error) {
     console.error('Save results error:', error)
@@ -2076,7 +1744,7 @@ app.post('/api/results', async (req, res) => {
   }
 })
 
-app.get("/api/results/count", async (req, res) => {
+app.get("/api/results/count", requireAuth, requirePermission(PERMISSIONS.RESULTS_READ), async (req, res) => {
   try {
     const { error, data } = await supabase.from("results").select("id")
 
@@ -2094,7 +1762,7 @@ app.get("/api/results/count", async (req, res) => {
   }
 })
 
-app.get('/api/results', async (req, res) => {
+app.get('/api/results', requireAuth, requirePermission(PERMISSIONS.RESULTS_READ), async (req, res) => {
   const { offset = 0, limit = 10, search = '' } = req.query
 
   try {
@@ -2136,7 +1804,7 @@ app.get('/api/results', async (req, res) => {
   }
 })
 
-app.get('/api/results/stat', async (req, res) => {
+app.get('/api/results/stat', requireAuth, requirePermission(PERMISSIONS.RESULTS_READ), async (req, res) => {
   try {
     let { data, error } = await supabase
       .from('results_search_view')
@@ -2169,10 +1837,12 @@ app.get('/api/results/stat', async (req, res) => {
   }
 })
 
-app.get('/api/results/user/:user_id', async (req, res) => {
+app.get('/api/results/user/:user_id', requireExamAccess, requireStaffPermission(PERMISSIONS.RESULTS_READ), async (req, res) => {
   try {
     const { user_id } = req.params
 
+    if (!isExamOwner(req, user_id)) return rejectForeignExamAccess(res)
+
     const { data, error } = await supabase
       .from('results')
       .select(`
@@ -2186,10 +1856,253 @@ app.get('/api/results/user/:user_id', async (req, res) => {
 
     res.json({
       success: true,
-      results: data
+      results: data.map(row => resultForCaller(req, row))
+    })
+  } catch (error) {
+    console.error('Get user results error:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+// Update result with scores and grading information
+app.patch('/api/results/:resultId/grade', requireAuth, requirePermission(PERMISSIONS.RESULTS_GRADE), async (req, res) => {
+  try {
+    const { resultId } = req.params
+    const {
+      results,
+      listening_score,
+      reading_score,
+      listening_raw_score,
+      reading_raw_score,
+      writing_score,
+      speaking_score,
+      overall_score
+    } = req.body
+
+    const { data: existingResult, error: fetchError } = await supabase
+      .from('results')
+      .select('listening_score, reading_score, writing_score, speaking_score, tests!results_test_id_fkey(module)')
+      .eq('id', resultId)
+      .single()
+
+    if (fetchError) throw fetchError
+
+    let updateData = {
+      reviewed_by: req.auth.userId,
+      reviewed_at: new Date().toISOString()
+    }
+
+    // Raw marks (/40) are converted to bands unless a band is given explicitly
+    if (listening_raw_score !== undefined) {
+      updateData.listening_raw_score = listening_raw_score
+      updateData.listening_score = bandConversion.listeningBand(listening_raw_score)
+    }
+    if (reading_raw_score !== undefined) {
+      updateData.reading_raw_score = reading_raw_score
+      updateData.reading_score = bandConversion.readingBand(reading_raw_score, existingResult.tests?.module)
+    }
+
+    // Add band scores if provided
+    if (listening_score !== undefined) updateData.listening_score = listening_score
+    if (reading_score !== undefined) updateData.reading_score = reading_score
+    if (writing_score !== undefined) updateData.writing_score = writing_score
+    if (speaking_score !== undefined) updateData.speaking_score = speaking_score
+    if (overall_score !== undefined) updateData.overall_score = overall_score
+
+    // Derive overall band from the four section bands when not given
+    updateData = withOverallScore(existingResult, updateData)
+
+    // Add updated results if provided
+    if (results !== undefined) updateData.results = results
+
+    const { data, error } = await supabase
+      .from('results')
+      .update(updateData)
+      .eq('id', resultId)
+      .select(`
+        *,
+        users!results_exam_taker_id_fkey(id, full_name, email),
+        tests!results_test_id_fkey(id, title, edition)
+      `, { count: 'exact' })
+
+    if (error) throw error
+
+    res.json({
+      success: true,
+      result: data[0]
+    })
+  } catch (error) {
+    console.error('Grade result error:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+// Speaking criteria for the examiner scoring form
+app.get('/api/speaking/criteria', requireAuth, requirePermission(PERMISSIONS.RESULTS_GRADE), (req, res) => {
+  res.json({
+    success: true,
+    criteria: SPEAKING_CRITERIA.map(({ key, label }) => ({ key, label, min: 0, max: 9 }))
+  })
+})
+
+// Record examiner scores for the four Speaking criteria and derive speaking_score
+app.put('/api/results/:resultId/speaking', requireAuth, requirePermission(PERMISSIONS.RESULTS_GRADE), async (req, res) => {
+  try {
+    const { resultId } = req.params
+    const { criteria: criteriaInput, notes } = req.body
+
+    const { criteria, errors } = normaliseSpeakingCriteria(criteriaInput)
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid speaking criteria',
+        details: errors
+      })
+    }
+
+    const { data: existingResult, error: fetchError } = await supabase
+      .from('results')
+      .select('listening_score, reading_score, writing_score, speaking_score')
+      .eq('id', resultId)
+      .maybeSingle()
+
+    if (fetchError) throw fetchError
+    if (!existingResult) {
+      return res.status(404).json({
+        success: false,
+        error: 'Result not found'
+      })
+    }
+
+    const assessment = buildSpeakingAssessment(criteria, { examinerId: req.auth.userId, notes: notes || null })
+
+    const updateData = withOverallScore(existingResult, {
+      speaking_assessment: assessment,
+      speaking_score: assessment.band,
+      reviewed_by: req.auth.userId,
+      reviewed_at: new Date().toISOString()
+    })
+
+    const { data, error } = await supabase
+      .from('results')
+      .update(updateData)
+      .eq('id', resultId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    // Drafts from the candidate's recordings have now been confirmed or overridden
+    await speakingRecordings.markReviewed(resultId)
+
+    res.json({
+      success: true,
+      speaking: assessment,
+      result: data
+    })
+  } catch (error) {
+    console.error('Speaking assessment error:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+// Candidate uploads the recording of one speaking answer (multipart field "recording")
+app.post('/api/results/:resultId/speaking/recordings', requireExamAccess, requireStaffPermission(PERMISSIONS.RESULTS_MANAGE), recordingUpload.single('recording'), async (req, res) => {
+  const discardUpload = () => {
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path)
+  }
+
+  try {
+    const { resultId } = req.params
+    const part = parseInt(req.body.part)
+    const { questionId } = req.body
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No audio recording uploaded'
+      })
+    }
+
+    if (![1, 2, 3].includes(part)) {
+      discardUpload()
+      return res.status(400).json({
+        success: false,
+        error: 'part must be 1, 2 or 3'
+      })
+    }
+
+    const { data: result, error: fetchError } = await supabase
+      .from('results')
+      .select('id, exam_taker_id, test_id')
+      .eq('id', resultId)
+      .maybeSingle()
+
+    if (fetchError) throw fetchError
+    if (!result) {
+      discardUpload()
+      return res.status(404).json({
+        success: false,
+        error: 'Result not found'
+      })
+    }
+
+    if (!isExamOwner(req, result.exam_taker_id) || !isExamTest(req, result.test_id)) {
+      discardUpload()
+      return rejectForeignExamAccess(res)
+    }
+
+    const recording = await speakingRecordings.create({
+      result_id: String(result.id),
+      exam_taker_id: String(result.exam_taker_id),
+      test_id: result.test_id ? String(result.test_id) : null,
+      part,
+      question_id: questionId || null,
+      file_path: req.file.path,
+      original_name: req.file.originalname,
+      mime_type: req.file.mimetype,
+      size_bytes: req.file.size
+    })
+
+    // Transcription and the draft assessment run in the background
+    speakingRecordings.process(recording.id)
+      .catch(error => console.error('Speaking recording processing error:', error))
+
+    res.status(202).json({
+      success: true,
+      recording: { id: recording.id, part: recording.part, questionId: recording.question_id, status: recording.status }
+    })
+  } catch (error) {
+    discardUpload()
+    console.error('Speaking recording upload error:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+// Recordings of a result with transcripts, per-recording drafts and a combined draft
+app.get('/api/results/:resultId/speaking/recordings', requireAuth, requirePermission(PERMISSIONS.RESULTS_GRADE), async (req, res) => {
+  try {
+    const recordings = await speakingRecordings.listForResult(req.params.resultId)
+
+    res.json({
+      success: true,
+      recordings: recordings.map(({ file_path, ...recording }) => recording),
+      draft: combineSpeakingDrafts(recordings.map(r => r.draft_assessment))
     })
   } catch (error) {
-    console.error('Get user results error:', error)
+    console.error('Get speaking recordings error:', error)
     res.status(500).json({
       success: false,
       error: error.message
@@ -2197,53 +2110,58 @@ app.get('/api/results/user/:user_id', async (req, res) => {
   }
 })
 
-// Update result with scores and grading information
-app.patch('/api/results/:resultId/grade', async (req, res) => {
+// Play back a recording (token may be passed as ?access_token= for <audio> elements)
+app.get('/api/speaking/recordings/:id/audio', requireAuthForStream, requirePermission(PERMISSIONS.RESULTS_GRADE), async (req, res) => {
   try {
-    const { resultId } = req.params
-    const {
-      results,
-      listening_score,
-      reading_score,
-      writing_score,
-      speaking_score,
-      overall_score,
-      reviewed_by
-    } = req.body
+    const recording = await speakingRecordings.get(req.params.id)
 
-    const updateData = {
-      reviewed_by,
-      reviewed_at: new Date().toISOString()
+    if (!recording || !fs.existsSync(recording.file_path)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recording not found'
+      })
     }
 
-    // Add scores if provided
-    if (listening_score !== undefined) updateData.listening_score = listening_score
-    if (reading_score !== undefined) updateData.reading_score = reading_score
-    if (writing_score !== undefined) updateData.writing_score = writing_score
-    if (speaking_score !== undefined) updateData.speaking_score = speaking_score
-    if (overall_score !== undefined) updateData.overall_score = overall_score
+    res.type(recording.mime_type || 'audio/webm')
+    res.sendFile(recording.file_path)
+  } catch (error) {
+    console.error('Stream speaking recording error:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
 
-    // Add updated results if provided
-    if (results !== undefined) updateData.results = results
+// Re-run transcription and the draft assessment (e.g. after a failure)
+app.post('/api/speaking/recordings/:id/assess', requireAuth, requirePermission(PERMISSIONS.RESULTS_GRADE), async (req, res) => {
+  try {
+    const recording = await speakingRecordings.get(req.params.id)
 
-    const { data, error } = await supabase
-      .from('results')
-      .update(updateData)
-      .eq('id', resultId)
-      .select(`
-        *,
-        users!results_exam_taker_id_fkey(id, full_name, email),
-        tests!results_test_id_fkey(id, title, edition)
-      `, { count: 'exact' })
+    if (!recording) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recording not found'
+      })
+    }
 
-    if (error) throw error
+    // null when the recording was removed while this request was running
+    const result = await speakingRecordings.process(recording.id)
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recording not found'
+      })
+    }
 
+    const { file_path, ...processed } = result
     res.json({
-      success: true,
-      result: data[0]
+      success: processed.status === 'draft-ready',
+      recording: processed,
+      ...(processed.status === 'failed' && { error: processed.error })
     })
   } catch (error) {
-    console.error('Grade result error:', error)
+    console.error('Speaking assessment error:', error)
     res.status(500).json({
       success: false,
       error: error.message
@@ -2252,7 +2170,7 @@ app.patch('/api/results/:resultId/grade', async (req, res) => {
 })
 
 // Send results email to exam taker
-app.post('/api/results/:resultId/send-email', async (req, res) => {
+app.post('/api/results/:resultId/send-email', requireAuth, requirePermission(PERMISSIONS.RESULTS_MANAGE), async (req, res) => {
   try {
     const { resultId } = req.params
 
@@ -2326,7 +2244,9 @@ app.post('/api/results/:resultId/send-email', async (req, res) => {
         testTitle: result.tests.title,
         mockExamDate: formattedDate,
         listening: result.listening_score,
+        listeningRaw: result.listening_raw_score,
         reading: result.reading_score,
+        readingRaw: result.reading_raw_score,
         writing: result.writing_score,
         speaking: result.speaking_score,
         overall: result.overall_score
@@ -2363,9 +2283,75 @@ app.post('/api/results/:resultId/send-email', async (req, res) => {
   }
 })
 
+// Helper function to auto-score submitted Listening/Reading sections against the test answer keys
+// Stores raw marks (/40) in *_raw_score and the converted band (/9) in *_score
+async function scoreObjectiveSections(testId, results, existingBreakdown = {}) {
+  const { data: test, error } = await supabase
+    .from('tests')
+    .select('listening, reading, module')
+    .eq('id', testId)
+    .single()
+
+  if (error) throw error
+
+  const updateData = {}
+  const breakdown = { ...(existingBreakdown || {}) }
+  const sections = [
+    {
+      name: 'Listening',
+      structure: test?.listening,
+      rawField: 'listening_raw_score',
+      bandField: 'listening_score',
+      toBand: raw => bandConversion.listeningBand(raw)
+    },
+    {
+      name: 'Reading',
+      structure: test?.reading,
+      rawField: 'reading_raw_score',
+      bandField: 'reading_score',
+      toBand: raw => bandConversion.readingBand(raw, test?.module)
+    }
+  ]
+
+  for (const section of sections) {
+    const submitted = scoring.getSubmittedSection(results, section.name)
+    if (submitted === undefined || !section.structure) continue
+
+    const sectionScore = scoring.scoreSection(section.structure, submitted)
+    const band = section.toBand(sectionScore.raw)
+    updateData[section.rawField] = sectionScore.raw
+    updateData[section.bandField] = band
+    breakdown[section.name] = { ...sectionScore, band }
+
+    console.log(`✅ Auto-scored ${section.name}: ${sectionScore.raw}/${scoring.MAX_RAW_SCORE} (band ${band})`)
+  }
+
+  if (Object.keys(updateData).length > 0) {
+    updateData.score_breakdown = breakdown
+  }
+
+  return updateData
+}
+
+// Helper function to derive overall_score from the four section bands
+// (only when it was not set explicitly and every band is available)
+function withOverallScore(existingRow, updateData) {
+  if (updateData.overall_score !== undefined) return updateData
+
+  const merged = { ...(existingRow || {}), ...updateData }
+  const overall = bandConversion.overallBand({
+    listening: merged.listening_score,
+    reading: merged.reading_score,
+    writing: merged.writing_score,
+    speaking: merged.speaking_score
+  })
+
+  return overall === null ? updateData : { ...updateData, overall_score: overall }
+}
+
 // SectionCompletion API endpoints
 // Create new result endpoint
-app.post('/api/results/create', async (req, res) => {
+app.post('/api/results/create', requireExamAccess, requireStaffPermission(PERMISSIONS.RESULTS_MANAGE), async (req, res) => {
   try {
     const { exam_taker_id, test_id, results } = req.body
 
@@ -2376,6 +2362,17 @@ app.post('/api/results/create', async (req, res) => {
       })
     }
 
+    if (!isExamOwner(req, exam_taker_id) || !isExamTest(req, test_id)) return rejectForeignExamAccess(res)
+
+    // Auto-score any Listening/Reading sections submitted with the result
+    let scores = {}
+    try {
+      scores = await scoreObjectiveSections(test_id, results)
+    } catch (scoringError) {
+      console.error('Auto-scoring error:', scoringError)
+      // Don't block saving the submission if scoring fails
+    }
+
     const { data, error } = await supabase
       .from('results')
       .insert([{
@@ -2386,7 +2383,8 @@ app.post('/api/results/create', async (req, res) => {
         listening_score: null,
         reading_score: null,
         writing_score: null,
-        overall_score: null
+        overall_score: null,
+        ...scores
       }])
       .select()
       .single()
@@ -2396,7 +2394,7 @@ app.post('/api/results/create', async (req, res) => {
     res.json({
       success: true,
       resultId: data.id,
-      result: data
+      result: resultForCaller(req, data)
     })
   } catch (error) {
     console.error('Create result error:', error)
@@ -2408,7 +2406,7 @@ app.post('/api/results/create', async (req, res) => {
 })
 
 // Get specific result endpoint with full details
-app.get('/api/results/:resultId', async (req, res) => {
+app.get('/api/results/:resultId', requireAuth, requirePermission(PERMISSIONS.RESULTS_READ), async (req, res) => {
   try {
     const { resultId } = req.params
     console.log('Fetching result with ID:', resultId)
@@ -2457,7 +2455,7 @@ app.get('/api/results/:resultId', async (req, res) => {
   }
 })
 
-app.put('/api/results/:resultId', async (req, res) => {
+app.put('/api/results/:resultId', requireExamAccess, requireStaffPermission(PERMISSIONS.RESULTS_MANAGE), async (req, res) => {
   try {
     const { resultId } = req.params
     const { results: newSections } = req.body
@@ -2475,12 +2473,29 @@ app.put('/api/results/:resultId', async (req, res) => {
     // 1. Get existing result row
     const { data: existingResult, error: fetchError } = await supabase
       .from('results')
-      .select('results')
+      .select('results, test_id, exam_taker_id, score_breakdown, listening_score, reading_score, writing_score, speaking_score')
       .eq('id', resultId)
       .single()
 
     if (fetchError) throw fetchError
 
+    if (!isExamOwner(req, existingResult.exam_taker_id) || !isExamTest(req, existingResult.test_id)) {
+      return rejectForeignExamAccess(res)
+    }
+
+    // Scored sections are final for students; only staff may resubmit them
+    if (req.exam) {
+      const scored = newSections
+        .map(section => Object.keys(section)[0])
+        .filter(name => SECTION_SCORE_FIELDS[name] && existingResult[SECTION_SCORE_FIELDS[name]] !== null)
+      if (scored.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Already scored section(s) cannot be resubmitted: ${scored.join(', ')}`
+        })
+      }
+    }
+
     let existingResults = existingResult.results || []
 
     // 2. Merge logic — remove old sections if they exist, then add new ones
@@ -2495,11 +2510,22 @@ app.put('/api/results/:resultId', async (req, res) => {
       existingResults.push({ [sectionName]: sectionData })
     }
 
-    // 3. Update the row in DB
+    // 3. Auto-score the newly submitted Listening/Reading sections
+    let scores = {}
+    try {
+      scores = await scoreObjectiveSections(existingResult.test_id, newSections, existingResult.score_breakdown)
+      scores = withOverallScore(existingResult, scores)
+    } catch (scoringError) {
+      console.error('Auto-scoring error:', scoringError)
+      // Don't block saving the submission if scoring fails
+    }
+
+    // 4. Update the row in DB
     const { data, error } = await supabase
       .from('results')
       .update({
         results: existingResults,
+        ...scores,
         updated_at: new Date().toISOString(),
       })
       .eq('id', resultId)
@@ -2510,7 +2536,7 @@ app.put('/api/results/:resultId', async (req, res) => {
 
     res.json({
       success: true,
-      result: data,
+      result: resultForCaller(req, data),
     })
   } catch (error) {
     console.error('Update result error:', error)
@@ -2523,10 +2549,12 @@ app.put('/api/results/:resultId', async (req, res) => {
 
 
 // Exam Session Management Endpoints
-app.post('/api/exam-sessions', async (req, res) => {
+app.post('/api/exam-sessions', requireExamAccess, requireStaffPermission(PERMISSIONS.EXAM_PREVIEW), async (req, res) => {
   try {
     const { user_id, test_id, session_data, current_section } = req.body
 
+    if (!isExamOwner(req, user_id) || !isExamTest(req, test_id)) return rejectForeignExamAccess(res)
+
     const { data, error } = await supabase
       .from('exam_sessions')
       .insert([{
@@ -2552,60 +2580,288 @@ app.post('/api/exam-sessions', async (req, res) => {
   }
 })
 
-app.put('/api/exam-sessions/:id', async (req, res) => {
-  try {
-    const { id } = req.params
-    const { session_data, current_section, status } = req.body
+app.put('/api/exam-sessions/:id', requireExamAccess, requireStaffPermission(PERMISSIONS.EXAM_PREVIEW), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { session_data, current_section, status } = req.body
+
+    if (req.exam) {
+      const { data: session, error: sessionError } = await supabase
+        .from('exam_sessions')
+        .select('user_id, test_id')
+        .eq('id', id)
+        .maybeSingle()
+
+      if (sessionError) throw sessionError
+
+      if (!session || !isExamOwner(req, session.user_id) || !isExamTest(req, session.test_id)) {
+        return rejectForeignExamAccess(res)
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('exam_sessions')
+      .update({
+        session_data,
+        current_section,
+        status,
+        last_activity: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+
+    if (error) throw error
+
+    res.json({
+      success: true,
+      session: data[0]
+    })
+  } catch (error) {
+    console.error('Update session error:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+app.get('/api/exam-sessions/:user_id', requireExamAccess, requireStaffPermission(PERMISSIONS.EXAM_PREVIEW, PERMISSIONS.RESULTS_READ), async (req, res) => {
+  try {
+    const { user_id } = req.params
+
+    if (!isExamOwner(req, user_id)) return rejectForeignExamAccess(res)
+
+    const { data, error } = await supabase
+      .from('exam_sessions')
+      .select(`
+        *,
+        tests(title, edition, test_number)
+      `)
+      .eq('user_id', user_id)
+      .eq('status', 'active')
+      .order('last_activity', { ascending: false })
+      .limit(1)
+
+    if (error) throw error
+
+    res.json({
+      success: true,
+      session: data[0] || null
+    })
+  } catch (error) {
+    console.error('Get session error:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+// Admin Authentication Endpoint
+app.post('/api/admin/login', async (req, res) => {
+  try {
+    const { email, password } = req.body
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      })
+    }
+
+    // Check if a staff account exists in users table
+    const { data: admin, error: adminError } = await supabase
+      .from('users')
+      .select('*')
+      .in('role', STAFF_ROLES)
+      .eq('email', email)
+      .single()
+
+    if (adminError || !admin) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      })
+    }
+
+    const { valid, needsRehash } = await authService.verifyPassword(admin, password)
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      })
+    }
+
+    // Migrate legacy plaintext passwords to bcrypt on first successful login
+    if (needsRehash) {
+      try {
+        await authService.migrateLegacyPassword(admin.id, password)
+      } catch (migrateError) {
+        console.error('Password migration error:', migrateError)
+        // Don't block login if the rehash fails; it will be retried next time
+      }
+    }
+
+    const tokens = await authService.createSession(admin, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      admin: {
+        id: admin.id,
+        full_name: admin.full_name,
+        email: admin.email,
+        role: admin.role,
+        permissions: ROLE_PERMISSIONS[admin.role] || []
+      },
+      ...tokens
+    })
+  } catch (error) {
+    console.error('Admin login error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    })
+  }
+})
+
+// Exchange a refresh token for a new access/refresh token pair
+app.post('/api/admin/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      })
+    }
+
+    const { user, ...tokens } = await authService.refresh(refreshToken)
+
+    res.json({
+      success: true,
+      admin: {
+        id: user.id,
+        full_name: user.full_name,
+        email: user.email,
+        role: user.role,
+        permissions: ROLE_PERMISSIONS[user.role] || []
+      },
+      ...tokens
+    })
+  } catch (error) {
+    console.warn('Token refresh rejected:', error.message)
+    res.status(401).json({
+      success: false,
+      message: 'Invalid or expired refresh token'
+    })
+  }
+})
+
+// Revoke the current session (access and refresh tokens)
+app.post('/api/admin/logout', requireAuth, async (req, res) => {
+  try {
+    const { allSessions } = req.body || {}
+
+    if (allSessions) {
+      await authService.revokeUserSessions(req.auth.userId)
+    } else {
+      await authService.revokeSession(req.auth.sessionId)
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    })
+  } catch (error) {
+    console.error('Admin logout error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    })
+  }
+})
+
+// Change password for the logged-in admin; other sessions are revoked
+app.post('/api/admin/change-password', requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current and new password are required'
+      })
+    }
+
+    if (newPassword.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be at least 8 characters'
+      })
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', req.auth.userId)
+      .single()
+
+    if (userError || !user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      })
+    }
 
-    const { data, error } = await supabase
-      .from('exam_sessions')
-      .update({
-        session_data,
-        current_section,
-        status,
-        last_activity: new Date().toISOString()
+    const { valid } = await authService.verifyPassword(user, currentPassword)
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
       })
-      .eq('id', id)
-      .select()
+    }
 
-    if (error) throw error
+    await authService.setPassword(user.id, newPassword)
+    await authService.revokeUserSessions(user.id, req.auth.sessionId)
 
     res.json({
       success: true,
-      session: data[0]
+      message: 'Password changed successfully'
     })
   } catch (error) {
-    console.error('Update session error:', error)
+    console.error('Change password error:', error)
     res.status(500).json({
       success: false,
-      error: error.message
+      message: 'Server error. Please try again.'
     })
   }
 })
 
-app.get('/api/exam-sessions/:user_id', async (req, res) => {
+// Role Management Endpoints
+app.get('/api/admin/roles', requireAuth, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
   try {
-    const { user_id } = req.params
-
-    const { data, error } = await supabase
-      .from('exam_sessions')
-      .select(`
-        *,
-        tests(title, edition, test_number)
-      `)
-      .eq('user_id', user_id)
-      .eq('status', 'active')
-      .order('last_activity', { ascending: false })
-      .limit(1)
+    const { data: staff, error } = await supabase
+      .from('users')
+      .select('id, full_name, email, role')
+      .in('role', STAFF_ROLES)
+      .order('full_name', { ascending: true })
 
     if (error) throw error
 
     res.json({
       success: true,
-      session: data[0] || null
+      roles: Object.values(ROLES).map(role => ({
+        role,
+        permissions: ROLE_PERMISSIONS[role]
+      })),
+      staff: staff || []
     })
   } catch (error) {
-    console.error('Get session error:', error)
+    console.error('Get roles error:', error)
     res.status(500).json({
       success: false,
       error: error.message
@@ -2613,54 +2869,86 @@ app.get('/api/exam-sessions/:user_id', async (req, res) => {
   }
 })
 
-// Admin Authentication Endpoint
-app.post('/api/admin/login', async (req, res) => {
+// Assign a role to a user (optionally setting an initial password for staff roles)
+app.put('/api/admin/users/:userId/role', requireAuth, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
   try {
-    const { email, password } = req.body
+    const { userId } = req.params
+    const { role, password } = req.body
 
-    // Check if admin exists in users table
-    const { data: admin, error: adminError } = await supabase
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${Object.values(ROLES).join(', ')}`
+      })
+    }
+
+    if (userId === req.auth.userId && role !== req.auth.role) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role'
+      })
+    }
+
+    const { data: existingUser, error: checkError } = await supabase
       .from('users')
-      .select('*')
-      .eq('role', 'admin')
-      .eq('email', email)
+      .select('id, role, password, password_hash')
+      .eq('id', userId)
       .single()
 
-    if (adminError || !admin) {
-      return res.status(401).json({
+    if (checkError || !existingUser) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid credentials'
+        error: 'User not found'
       })
     }
 
-    // Check password (in production, use proper hashing)
-    if (admin.password !== password) {
-      return res.status(401).json({
+    if (isStaffRole(role) && !password && !existingUser.password_hash && !existingUser.password) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid credentials'
+        error: 'A password is required when granting a staff role to a user without one'
       })
     }
 
+    if (password) {
+      if (password.length < 8) {
+        return res.status(400).json({
+          success: false,
+          error: 'Password must be at least 8 characters'
+        })
+      }
+      await authService.setPassword(userId, password)
+    }
+
+    const { data, error } = await supabase
+      .from('users')
+      .update({ role })
+      .eq('id', userId)
+      .select('id, full_name, email, role')
+      .single()
+
+    if (error) throw error
+
+    // Tokens carry the role, so force the user to sign in again
+    if (existingUser.role !== role) {
+      await authService.revokeUserSessions(userId)
+    }
+
     res.json({
       success: true,
-      admin: {
-        id: admin.id,
-        full_name: admin.full_name,
-        email: admin.email,
-        role: admin.role
-      }
+      user: { ...data, permissions: ROLE_PERMISSIONS[role] },
+      message: 'Role updated successfully'
     })
   } catch (error) {
-    console.error('Admin login error:', error)
+    console.error('Update role error:', error)
     res.status(500).json({
       success: false,
-      message: 'Server error. Please try again.'
+      error: error.message
     })
   }
 })
 
 // OCR Service Status Endpoint
-app.get('/api/ocr/status', async (req, res) => {
+app.get('/api/ocr/status', requireAuth, requirePermission(PERMISSIONS.SYSTEM_STATUS), async (req, res) => {
   try {
     const status = await ocrService.getServiceStatus()
     res.json({
@@ -2676,61 +2964,78 @@ app.get('/api/ocr/status', async (req, res) => {
   }
 })
 
+// LLM provider configuration and token usage since startup
+app.get('/api/llm/status', requireAuth, requirePermission(PERMISSIONS.SYSTEM_STATUS), (req, res) => {
+  res.json({
+    success: true,
+    ...llm.getServiceStatus()
+  })
+})
+
+// Helper function to resolve which test a user should take:
+// a specifically assigned test first, otherwise the globally active one
+async function resolveExamTestForUser(user_id) {
+  // First check if user has a specifically assigned test
+  const { data: assignedTest, error: assignedError } = await supabase
+    .from('user_assigned_tests')
+    .select(`
+      test_id,
+      tests (*)
+    `)
+    .eq('user_id', user_id)
+    .order('assigned_at', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+
+  if (assignedError && assignedError.code !== 'PGRST116') {
+    throw assignedError
+  }
+
+  // If user has assigned test, return it
+  if (assignedTest) {
+    return { test: assignedTest.tests, source: 'assigned' }
+  }
+
+  // Otherwise, get the globally active test
+  const { data: activeTest, error: activeError } = await supabase
+    .from('active_tests')
+    .select(`
+      test_id,
+      tests (*)
+    `)
+    .eq('is_active', true)
+    .maybeSingle()
+
+  if (activeError && activeError.code !== 'PGRST116') {
+    throw activeError
+  }
+
+  return activeTest ? { test: activeTest.tests, source: 'global' } : null
+}
+
 // Get User's Active Test Endpoint
-app.get('/api/exam/active/:user_id', async (req, res) => {
+app.get('/api/exam/active/:user_id', requireExamAccess, requireStaffPermission(PERMISSIONS.EXAM_PREVIEW, PERMISSIONS.APPROVALS_MANAGE), async (req, res) => {
   try {
     const { user_id } = req.params
 
-    // First check if user has a specifically assigned test
-    const { data: assignedTest, error: assignedError } = await supabase
-      .from('user_assigned_tests')
-      .select(`
-        test_id,
-        tests (*)
-      `)
-      .eq('user_id', user_id)
-      .order('assigned_at', { ascending: false })
-      .limit(1)
-      .maybeSingle()
-
-    if (assignedError && assignedError.code !== 'PGRST116') {
-      throw assignedError
-    }
-
-    // If user has assigned test, return it
-    if (assignedTest) {
-      return res.json({
-        success: true,
-        test: assignedTest.tests,
-        source: 'assigned'
-      })
-    }
-
-    // Otherwise, get the globally active test
-    const { data: activeTest, error: activeError } = await supabase
-      .from('active_tests')
-      .select(`
-        test_id,
-        tests (*)
-      `)
-      .eq('is_active', true)
-      .maybeSingle()
+    if (!isExamOwner(req, user_id)) return rejectForeignExamAccess(res)
 
-    if (activeError && activeError.code !== 'PGRST116') {
-      throw activeError
-    }
+    const resolved = await resolveExamTestForUser(user_id)
 
-    if (!activeTest) {
+    if (!resolved) {
       return res.status(404).json({
         success: false,
         message: 'No active test available'
       })
     }
 
+    // Students only get the test their credential was issued for
+    if (!isExamTest(req, resolved.test?.id)) return rejectForeignExamAccess(res)
+
     res.json({
       success: true,
-      test: activeTest.tests,
-      source: 'global'
+      test: resolved.test,
+      source: resolved.source
     })
 
   } catch (error) {
@@ -2743,10 +3048,12 @@ app.get('/api/exam/active/:user_id', async (req, res) => {
 })
 
 // Check User Exam Access Endpoint
-app.get('/api/exam/access/:user_id', async (req, res) => {
+app.get('/api/exam/access/:user_id', requireExamAccess, requireStaffPermission(PERMISSIONS.EXAM_PREVIEW, PERMISSIONS.APPROVALS_MANAGE), async (req, res) => {
   try {
     const { user_id } = req.params
 
+    if (!isExamOwner(req, user_id)) return rejectForeignExamAccess(res)
+
     // Check if user exists
     const { data: user, error: userError } = await supabase
       .from('users')
@@ -2774,7 +3081,7 @@ app.get('/api/exam/access/:user_id', async (req, res) => {
       throw approvalError
     }
 
-    const hasAccess = !!approval || user.role === 'admin'
+    const hasAccess = !!approval || hasPermission(user.role, PERMISSIONS.EXAM_PREVIEW)
 
     res.json({
       success: true,
@@ -2798,7 +3105,7 @@ app.get('/api/exam/access/:user_id', async (req, res) => {
 })
 
 // Email Results Endpoint
-app.post('/api/results/email', async (req, res) => {
+app.post('/api/results/email', requireAuth, requirePermission(PERMISSIONS.RESULTS_MANAGE), async (req, res) => {
   try {
     const { result_id, user_email, user_name } = req.body
 
@@ -2824,9 +3131,10 @@ Test: ${result.tests.title}
 Taken: ${new Date(result.taken_date).toLocaleDateString()}
 
 Your Scores:
-- Listening: ${result.listening_score || 'Pending'}/40
-- Reading: ${result.reading_score || 'Pending'}/40
-- Writing: ${result.writing_score || 'Pending'}/9
+- Listening: ${result.listening_score ?? 'Pending'}/9${result.listening_raw_score != null ? ` (${result.listening_raw_score}/40)` : ''}
+- Reading: ${result.reading_score ?? 'Pending'}/9${result.reading_raw_score != null ? ` (${result.reading_raw_score}/40)` : ''}
+- Writing: ${result.writing_score ?? 'Pending'}/9
+- Speaking: ${result.speaking_score ?? 'Pending'}/9
 - Overall Band Score: ${result.overall_score || 'Pending'}/9
 
 ${result.overall_score ?
@@ -2878,10 +3186,17 @@ IELTS Practice Team
   }
 })
 
-app.listen(port, '0.0.0.0', () => console.log(`Server running on port ${port}`));
+app.listen(port, '0.0.0.0', () => {
+  console.log(`Server running on port ${port}`)
+
+  // Resume extraction jobs interrupted by a restart
+  extractionJobs.recover()
+    .then(count => count > 0 && console.log(`🔁 Recovered ${count} interrupted extraction job(s)`))
+    .catch(error => console.error('Extraction job recovery error:', error))
+});
 
 // Update user endpoint
-app.put('/api/admin/users/:userId', async (req, res) => {
+app.put('/api/admin/users/:userId', requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   try {
     const { userId } = req.params
     const { full_name, email, id: newId } = req.body
@@ -2941,7 +3256,7 @@ app.put('/api/admin/users/:userId', async (req, res) => {
 })
 
 // Delete single user endpoint
-app.delete('/api/admin/users/:userId', async (req, res) => {
+app.delete('/api/admin/users/:userId', requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   try {
     const { userId } = req.params
 
@@ -2991,7 +3306,7 @@ app.delete('/api/admin/users/:userId', async (req, res) => {
 })
 
 // Delete multiple users endpoint
-app.delete('/api/admin/users', async (req, res) => {
+app.delete('/api/admin/users', requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   try {
     const { userIds } = req.body
 
@@ -3048,7 +3363,7 @@ app.delete('/api/admin/users', async (req, res) => {
 })
 
 // Delete single result endpoint
-app.delete('/api/admin/results/:resultId', async (req, res) => {
+app.delete('/api/admin/results/:resultId', requireAuth, requirePermission(PERMISSIONS.RESULTS_MANAGE), async (req, res) => {
   try {
     const { resultId } = req.params
 
@@ -3076,7 +3391,7 @@ app.delete('/api/admin/results/:resultId', async (req, res) => {
 })
 
 // Delete multiple results endpoint
-app.delete('/api/admin/results', async (req, res) => {
+app.delete('/api/admin/results', requireAuth, requirePermission(PERMISSIONS.RESULTS_MANAGE), async (req, res) => {
   try {
     const { resultIds } = req.body
 
@@ -3111,10 +3426,12 @@ app.delete('/api/admin/results', async (req, res) => {
 })
 
 // Update user ID after exam completion
-app.put('/api/users/:userId/update-id', async (req, res) => {
+app.put('/api/users/:userId/update-id', requireExamAccess, requireStaffPermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   try {
     const { userId } = req.params
 
+    if (!isExamOwner(req, userId)) return rejectForeignExamAccess(res)
+
     // Generate 8-digit ID
     const newId = Math.floor(10_000_000 + Math.random() * 90_000_000).toString()
 
@@ -3180,164 +3497,318 @@ app.put('/api/users/:userId/update-id', async (req, res) => {
   }
 })
 
-app.post('/api/writing/evaluate', async (req, res) => {
+// AI draft evaluation of a Writing response. With testId + part (or a resultId whose
+// test has a writing section) the model is given the actual task and Task 1 visual.
+// With a resultId the draft is stored against the result and task; an identical
+// essay reuses the stored draft unless rerun is set.
+app.post('/api/writing/evaluate', requireAuth, requirePermission(PERMISSIONS.RESULTS_GRADE), async (req, res) => {
   try {
-    const { text, taskType } = req.body || {}
+    const { text, taskType, resultId, rerun } = req.body || {}
     if (!text || typeof text !== 'string' || !text.trim()) {
       return res.status(400).json({ success: false, error: 'Missing text' })
     }
 
-    // Select prompts based on task type (task1 = Report, task2 = Essay)
-    let systemPrompt = ''
-    let userPrompt = ''
-    if (taskType === 'task1') {
-      systemPrompt = `You are an IELTS Writing Task 1 (Academic) examiner using the official British Council band descriptors:
-- Task Achievement (TA)
-- Coherence and Cohesion (CC)
-- Lexical Resource (LR)
-- Grammatical Range and Accuracy (GRA)
-
-Scoring rules:
-- Task Achievement is based on accurate description of data, clear comparisons, correct trend analysis, and coverage of key features.
-- Coherence and Cohesion: paragraph structure, logical flow, linking devices.
-- Lexical Resource: range of vocabulary, correct collocations, appropriateness.
-- Grammatical Range and Accuracy: variety of sentence structures, tense usage, agreement, punctuation.
-
-Important:
-- Give realistic scores (0.0–9.0, half bands allowed).
-- Be strict: do not overestimate.
-- Output must be only JSON, no extra explanation.
-- Excerpts in highlights must be short (5–10 words, exactly as in the essay).
-- Suggestions must be short, actionable, and relevant.
-
-Overall score = average of the four criteria, rounded to the nearest 0.5.`
-      userPrompt = `Evaluate the following IELTS Writing Task 1 essay.
-
-Return ONLY this JSON structure:
-{
-  "overallScore": number,
-  "criteria": {
-    "taskAchievement": number,
-    "coherenceAndCohesion": number,
-    "lexicalResource": number,
-    "grammaticalRangeAndAccuracy": number
-  },
-  "highlights": [
-    {
-      "type": "grammar" | "coherence" | "vocabulary",
-      "excerpt": string,
-      "suggestion": string
-    }
-  ],
-  "summary": string,
-  "statistics": {
-    "wordCount": number,
-    "uniqueWordCount": number,
-    "overusedWords": [string],
-    "topicRelevance": number
+    const part = req.body.part !== undefined ? parseInt(req.body.part) : null
+    if (part !== null && ![1, 2].includes(part)) {
+      return res.status(400).json({ success: false, error: 'part must be 1 or 2' })
+    }
+
+    const task = taskType || (part ? `task${part}` : 'task2')
+    if ((resultId || part) && !WRITING_TASKS.includes(task)) {
+      return res.status(400).json({ success: false, error: `taskType must be one of: ${WRITING_TASKS.join(', ')}` })
+    }
+
+    let testId = req.body.testId || null
+    if (!testId && resultId) {
+      const { data: result, error: resultError } = await supabase
+        .from('results')
+        .select('test_id')
+        .eq('id', resultId)
+        .maybeSingle()
+
+      if (resultError) throw resultError
+      testId = result?.test_id || null
+    }
+
+    let taskContext = null
+    if (testId) {
+      taskContext = await writingEvaluations.findTask(testId, part || WRITING_TASKS.indexOf(task) + 1)
+      // An explicitly requested test part must exist; one inferred from the result is best effort
+      if (!taskContext && req.body.testId) {
+        return res.status(404).json({ success: false, error: 'Writing task not found for this test and part' })
+      }
+    }
+    const contextTestId = taskContext ? String(testId) : null
+
+    if (resultId && !rerun) {
+      const stored = await writingEvaluations.findReusable(resultId, task, text, {
+        testId: contextTestId,
+        promptVersion: writingEvaluator.promptVersion
+      })
+      if (stored) {
+        return res.json({ success: true, evaluation: storedEvaluationView(stored), stored, reused: true })
+      }
+    }
+
+    const run = await writingEvaluator.evaluate({ text, taskType: task, task: taskContext })
+
+    if (!resultId) {
+      return res.json({ success: true, evaluation: run.evaluation, taskContext: run.taskContext })
+    }
+
+    const stored = await writingEvaluations.saveDraft({
+      resultId,
+      task,
+      text,
+      run,
+      testId: contextTestId,
+      createdBy: req.auth.userId
+    })
+    console.log(`✍️ Stored ${task} writing evaluation ${stored.id} for result ${resultId}`)
+
+    return res.json({ success: true, evaluation: run.evaluation, taskContext: run.taskContext, stored, reused: false })
+  } catch (error) {
+    console.error('Writing evaluate error:', error)
+    return res.status(500).json({ success: false, error: error.message || 'Server error' })
+  }
+})
+
+// Local essay statistics (word count by IELTS rules, length check, cohesion measures); no AI call
+app.post('/api/writing/statistics', requireAuth, requirePermission(PERMISSIONS.RESULTS_GRADE), (req, res) => {
+  const { text, taskType } = req.body || {}
+  if (typeof text !== 'string') {
+    return res.status(400).json({ success: false, error: 'Missing text' })
+  }
+
+  res.json({ success: true, statistics: analyseEssay(text, { taskType }) })
+})
+
+// Batch AI evaluation of every submitted Writing response without a writing_score.
+// Body: { testId?, limit?, rerun?, dryRun? }. Dry runs return the plan; real runs
+// return 202 and continue in the background (follow with GET .../batch/:batchId).
+app.post('/api/writing/evaluate/batch', requireAuth, requirePermission(PERMISSIONS.RESULTS_GRADE), async (req, res) => {
+  try {
+    const { testId, rerun } = req.body || {}
+    const limit = req.body?.limit !== undefined ? parseInt(req.body.limit) : null
+    const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true'
+
+    if (limit !== null && (Number.isNaN(limit) || limit < 1)) {
+      return res.status(400).json({ success: false, error: 'limit must be a positive integer' })
+    }
+
+    const batch = await writingBatches.createBatch({
+      testId: testId || null,
+      limit,
+      rerun: Boolean(rerun),
+      dryRun,
+      createdBy: req.auth.userId
+    })
+
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, batch })
+    }
+
+    writingBatches.run(batch.id)
+      .catch(error => console.error('Writing batch error:', error))
+
+    res.status(202).json({
+      success: true,
+      batch: { id: batch.id, status: batch.status, summary: batch.summary }
+    })
+  } catch (error) {
+    console.error('Writing batch create error:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+app.get('/api/writing/evaluate/batch/:batchId', requireAuth, requirePermission(PERMISSIONS.RESULTS_GRADE), async (req, res) => {
+  try {
+    const batch = await writingBatches.get(req.params.batchId)
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' })
+    }
+
+    res.json({ success: true, batch, running: writingBatches.isRunning(batch.id) })
+  } catch (error) {
+    console.error('Writing batch fetch error:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+// Re-run the pending and failed items of a batch (after a failure or a restart)
+app.post('/api/writing/evaluate/batch/:batchId/resume', requireAuth, requirePermission(PERMISSIONS.RESULTS_GRADE), async (req, res) => {
+  try {
+    const batch = await writingBatches.get(req.params.batchId)
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' })
+    }
+    if (writingBatches.isRunning(batch.id)) {
+      return res.status(409).json({ success: false, error: 'Batch is already running' })
+    }
+    if (batch.summary && batch.summary.pending === 0 && batch.summary.failed === 0) {
+      return res.status(400).json({ success: false, error: 'Batch has nothing left to evaluate' })
+    }
+
+    writingBatches.run(batch.id)
+      .catch(error => console.error('Writing batch error:', error))
+
+    res.status(202).json({
+      success: true,
+      batch: { id: batch.id, status: 'running', summary: batch.summary }
+    })
+  } catch (error) {
+    console.error('Writing batch resume error:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+// Stored row → the evaluation shape returned by a fresh run
+function storedEvaluationView(row) {
+  return {
+    overallScore: row.overall_score,
+    criteria: row.criteria,
+    highlights: row.highlights || [],
+    summary: row.summary,
+    statistics: row.statistics
   }
 }
 
-Essay:
-${text}`
-    } else {
-      // Default to Task 2 prompts (existing)
-      systemPrompt = `You are an IELTS Writing Task 2 examiner following the official British Council band descriptors:
-- Task Response (TR)
-- Coherence and Cohesion (CC)
-- Lexical Resource (LR)
-- Grammatical Range and Accuracy (GRA)
-
-You must evaluate the essay realistically, as a human examiner would — no generosity, no over-scoring.
-
-Output strictly in the given JSON format.
-No extra text, no Markdown, no explanations outside JSON.
-
-Highlighting rules:
-- "grammar" → tense, articles, agreement, prepositions, sentence structure
-- "coherence" → paragraphing, connections, ordering, linking words
-- "vocabulary" → overused words, wrong collocations, informal phrases
-- excerpt: short (5–10 words), exactly as in essay
-- suggestion: actionable and concise
-
-Scoring rules:
-- Score each criterion 0.0–9.0 (half bands allowed)
-- overallScore = average of 4 criteria (rounded to nearest 0.5)
-- Be strict but fair, never exceeding realistic IELTS levels.`
-      userPrompt = `Evaluate the following IELTS Writing Task 2 essay.
-
-Return ONLY this JSON structure:
-{
-  "overallScore": number,
-  "criteria": {
-    "taskAchievement": number,
-    "coherenceAndCohesion": number,
-    "lexicalResource": number,
-    "grammaticalRangeAndAccuracy": number
-  },
-  "highlights": [
-    {
-      "type": "grammar" | "coherence" | "vocabulary",
-      "excerpt": string,
-      "suggestion": string
-    }
-  ],
-  "summary": string,
-  "statistics": {
-    "wordCount": number,
-    "uniqueWordCount": number,
-    "overusedWords": [string],
-    "topicRelevance": number
+// Recompute results.writing_assessment / writing_score from the confirmed task evaluations.
+// writing_score is only written once both tasks are confirmed.
+async function applyWritingAssessment(resultId, reviewerId) {
+  const { data: existingResult, error: fetchError } = await supabase
+    .from('results')
+    .select('listening_score, reading_score, writing_score, speaking_score, writing_assessment')
+    .eq('id', resultId)
+    .maybeSingle()
+
+  if (fetchError) throw fetchError
+  if (!existingResult) return null
+
+  const assessment = buildWritingAssessment(await writingEvaluations.confirmedByTask(resultId))
+  const updateData = { writing_assessment: assessment }
+  if (assessment.band !== null) {
+    Object.assign(updateData, {
+      writing_score: assessment.band,
+      reviewed_by: reviewerId,
+      reviewed_at: new Date().toISOString()
+    })
+  } else if (existingResult.writing_assessment?.band != null) {
+    // A confirmed evaluation was rejected on re-review: its band and the overall band built on it no longer stand
+    Object.assign(updateData, {
+      writing_score: null,
+      overall_score: null,
+      reviewed_by: reviewerId,
+      reviewed_at: new Date().toISOString()
+    })
   }
+
+  const { data, error } = await supabase
+    .from('results')
+    .update(withOverallScore(existingResult, updateData))
+    .eq('id', resultId)
+    .select()
+    .single()
+
+  if (error) throw error
+  return { assessment, result: data }
 }
 
-Essay:
-${text}`
-    }
+// Stored Writing evaluations of a result with the currently confirmed assessment
+app.get('/api/results/:resultId/writing/evaluations', requireAuth, requirePermission(PERMISSIONS.RESULTS_GRADE), async (req, res) => {
+  try {
+    const { resultId } = req.params
+    const evaluations = await writingEvaluations.listForResult(resultId)
 
-    let parsed
-    let attempt = 0
-    const maxAttempts = 2
-    while (attempt < maxAttempts) {
-      attempt++
-      try {
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-4o-mini',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ],
-          temperature: 0.2,
-          max_tokens: 900
-        })
+    res.json({
+      success: true,
+      evaluations,
+      assessment: buildWritingAssessment(await writingEvaluations.confirmedByTask(resultId))
+    })
+  } catch (error) {
+    console.error('Writing evaluations fetch error:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
 
-        const content = completion.choices?.[0]?.message?.content || ''
-        if (!content) throw new Error('Empty response')
-        parsed = OCRService.parseJsonSafely(content, 'Writing Evaluation')
-        break
-      } catch (e) {
-        if (attempt >= maxAttempts) throw e
-        await new Promise(r => setTimeout(r, 500))
-      }
+// Examiner decision on a stored draft: accept it, adjust criteria, or reject it
+const WRITING_REVIEW_ACTIONS = { accept: 'accepted', adjust: 'adjusted', reject: 'rejected' }
+
+app.post('/api/writing/evaluations/:evaluationId/review', requireAuth, requirePermission(PERMISSIONS.RESULTS_GRADE), async (req, res) => {
+  try {
+    const { evaluationId } = req.params
+    const { action, criteria: criteriaInput, notes } = req.body || {}
+
+    const status = WRITING_REVIEW_ACTIONS[action]
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        error: `action must be one of: ${Object.keys(WRITING_REVIEW_ACTIONS).join(', ')}`
+      })
     }
 
-    // Normalize keys for UI (accept both excerpt/text, topicRelevance/topicRelevancePercentage)
-    try {
-      if (parsed?.highlights) {
-        parsed.highlights = parsed.highlights.map((h) => ({
-          type: h.type,
-          text: h.text || h.excerpt || '',
-          suggestion: h.suggestion || ''
-        }))
+    const evaluation = await writingEvaluations.get(evaluationId)
+    if (!evaluation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Writing evaluation not found'
+      })
+    }
+
+    let criteria = null
+    if (status !== 'rejected') {
+      // Examiner overrides are applied on top of the AI draft criteria
+      const overrides = status === 'adjusted'
+        ? normaliseWritingCriteria(criteriaInput, { partial: true })
+        : { criteria: {}, errors: [] }
+      const merged = normaliseWritingCriteria({ ...(evaluation.criteria || {}), ...overrides.criteria })
+      const errors = [...overrides.errors, ...merged.errors]
+
+      if (status === 'adjusted' && Object.keys(overrides.criteria).length === 0 && overrides.errors.length === 0) {
+        errors.push('criteria must include at least one criterion to adjust')
       }
-      if (parsed?.statistics) {
-        parsed.statistics.topicRelevancePercentage = parsed.statistics.topicRelevancePercentage ?? parsed.statistics.topicRelevance
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: status === 'accepted' ? 'AI draft criteria are incomplete; adjust them instead' : 'Invalid writing criteria',
+          details: errors
+        })
       }
-    } catch { }
+      criteria = merged.criteria
+    }
 
-    return res.json({ success: true, evaluation: parsed })
+    const reviewed = await writingEvaluations.review(evaluationId, {
+      action: status,
+      criteria,
+      notes: notes || null,
+      reviewerId: req.auth.userId
+    })
+
+    const applied = await applyWritingAssessment(evaluation.result_id, req.auth.userId)
+
+    res.json({
+      success: true,
+      evaluation: reviewed,
+      writing: applied?.assessment || null,
+      result: applied?.result || null
+    })
   } catch (error) {
-    console.error('Writing evaluate error:', error)
-    return res.status(500).json({ success: false, error: error.message || 'Server error' })
+    console.error('Writing evaluation review error:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
   }
 })
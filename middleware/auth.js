@@ -0,0 +1,130 @@
+const jwt = require('jsonwebtoken')
+const { hasPermission } = require('../utils/permissions')
+
+/**
+ * Express middleware for admin/staff authentication
+ *
+ * Expects `Authorization: Bearer <accessToken>` issued by POST /api/admin/login
+ * and attaches `req.auth = { userId, role, sessionId }` on success.
+ *
+ * With `allowQueryToken` the token may also be passed as `?access_token=`,
+ * for clients that cannot set headers (EventSource / SSE).
+ */
+function createRequireAuth(authService, options = {}) {
+  return async function requireAuth(req, res, next) {
+    const header = req.headers.authorization || ''
+    let [scheme, token] = header.split(' ')
+
+    if (!token && options.allowQueryToken && typeof req.query.access_token === 'string') {
+      scheme = 'Bearer'
+      token = req.query.access_token
+    }
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      })
+    }
+
+    try {
+      const payload = await authService.verifyAccessToken(token)
+
+      req.auth = {
+        userId: payload.sub,
+        role: payload.role,
+        sessionId: payload.sid
+      }
+
+      next()
+    } catch (error) {
+      console.warn('⚠️ Rejected access token:', error.message)
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired token'
+      })
+    }
+  }
+}
+
+/**
+ * Middleware for student-facing exam routes
+ *
+ * Accepts either a student exam token (issued when a proctor approves entry)
+ * or a staff access token. Students get `req.exam = { userId, testId, approvalId }`,
+ * staff get `req.auth` as with requireAuth. Handlers use req.exam to check ownership;
+ * follow it with requireStaffPermission so staff tokens are checked too.
+ */
+function createRequireExamAccess(examTokenService, authService) {
+  return async function requireExamAccess(req, res, next) {
+    const header = req.headers.authorization || ''
+    const [scheme, token] = header.split(' ')
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Exam credential required'
+      })
+    }
+
+    try {
+      const { type } = jwt.decode(token) || {}
+
+      if (type === 'access') {
+        const payload = await authService.verifyAccessToken(token)
+        req.auth = {
+          userId: payload.sub,
+          role: payload.role,
+          sessionId: payload.sid
+        }
+      } else {
+        req.exam = await examTokenService.verify(token)
+      }
+
+      next()
+    } catch (error) {
+      console.warn('⚠️ Rejected exam credential:', error.message)
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired exam credential'
+      })
+    }
+  }
+}
+
+/**
+ * Per-route permission guard. Use after requireAuth:
+ *   app.patch('/api/results/:id/grade', requireAuth, requirePermission('results:grade'), ...)
+ * Passes when the caller's role has any of the listed permissions.
+ */
+function requirePermission(...permissions) {
+  return function permissionGuard(req, res, next) {
+    const role = req.auth?.role
+
+    if (!role || !permissions.some(permission => hasPermission(role, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      })
+    }
+
+    next()
+  }
+}
+
+/**
+ * Permission guard for routes behind requireExamAccess:
+ *   app.put('/api/results/:id', requireExamAccess, requireStaffPermission('results:manage'), ...)
+ * Student exam credentials pass (the handler checks ownership); staff tokens
+ * need one of the listed permissions, as with requirePermission.
+ */
+function requireStaffPermission(...permissions) {
+  const permissionGuard = requirePermission(...permissions)
+
+  return function staffPermissionGuard(req, res, next) {
+    if (req.exam) return next()
+    return permissionGuard(req, res, next)
+  }
+}
+
+module.exports = { createRequireAuth, createRequireExamAccess, requirePermission, requireStaffPermission }
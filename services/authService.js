@@ -0,0 +1,216 @@
+const bcrypt = require('bcryptjs')
+const jwt = require('jsonwebtoken')
+const crypto = require('crypto')
+
+/**
+ * Authentication service for admin/staff accounts
+ *
+ * - Passwords are stored as bcrypt hashes in `users.password_hash`.
+ *   Legacy plaintext `users.password` values are still accepted once and
+ *   re-hashed on the next successful login (see supabase/migrations).
+ * - Sessions live in `auth_sessions`. Access tokens carry the session id (`sid`),
+ *   so revoking the session (logout / password change) invalidates them immediately.
+ * - Refresh tokens are rotated on every use; reusing an old refresh token
+ *   revokes the whole session.
+ */
+class AuthService {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.accessSecret = options.accessSecret || process.env.JWT_SECRET
+    this.refreshSecret = options.refreshSecret || process.env.JWT_REFRESH_SECRET || this.accessSecret
+    this.accessTtl = options.accessTtl || process.env.JWT_ACCESS_TTL || '15m'
+    this.refreshTtlSeconds = options.refreshTtlSeconds || parseInt(process.env.JWT_REFRESH_TTL_SECONDS || '', 10) || 7 * 24 * 60 * 60
+    this.saltRounds = options.saltRounds || 10
+
+    if (!this.accessSecret) {
+      console.warn('⚠️ JWT_SECRET is not set. Admin authentication will reject every request.')
+    }
+  }
+
+  async hashPassword(password) {
+    return bcrypt.hash(password, this.saltRounds)
+  }
+
+  /**
+   * Check a password against a user row.
+   * Returns { valid, needsRehash } — needsRehash is true for legacy plaintext rows.
+   */
+  async verifyPassword(user, password) {
+    if (!user || typeof password !== 'string' || !password) {
+      return { valid: false, needsRehash: false }
+    }
+
+    if (user.password_hash) {
+      return { valid: await bcrypt.compare(password, user.password_hash), needsRehash: false }
+    }
+
+    // Legacy plaintext password — compare in constant time, then migrate
+    if (typeof user.password === 'string' && user.password) {
+      const stored = Buffer.from(user.password)
+      const given = Buffer.from(password)
+      const valid = stored.length === given.length && crypto.timingSafeEqual(stored, given)
+      return { valid, needsRehash: valid }
+    }
+
+    return { valid: false, needsRehash: false }
+  }
+
+  // Replace a legacy plaintext password with a bcrypt hash
+  async migrateLegacyPassword(userId, password) {
+    const password_hash = await this.hashPassword(password)
+
+    const { error } = await this.supabase
+      .from('users')
+      .update({ password_hash, password: null })
+      .eq('id', userId)
+
+    if (error) throw error
+    console.log(`🔐 Migrated legacy password for user ${userId}`)
+  }
+
+  async setPassword(userId, password) {
+    const password_hash = await this.hashPassword(password)
+
+    const { error } = await this.supabase
+      .from('users')
+      .update({ password_hash, password: null, password_changed_at: new Date().toISOString() })
+      .eq('id', userId)
+
+    if (error) throw error
+  }
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { sub: String(user.id), role: user.role, sid: sessionId, type: 'access' },
+      this.accessSecret,
+      { expiresIn: this.accessTtl }
+    )
+  }
+
+  signRefreshToken(user, sessionId, refreshJti) {
+    return jwt.sign(
+      { sub: String(user.id), sid: sessionId, type: 'refresh' },
+      this.refreshSecret,
+      { expiresIn: this.refreshTtlSeconds, jwtid: refreshJti }
+    )
+  }
+
+  /**
+   * Create a new session for a user and return a token pair
+   */
+  async createSession(user, meta = {}) {
+    const sessionId = crypto.randomUUID()
+    const refreshJti = crypto.randomUUID()
+    const expiresAt = new Date(Date.now() + this.refreshTtlSeconds * 1000).toISOString()
+
+    const { error } = await this.supabase
+      .from('auth_sessions')
+      .insert([{
+        id: sessionId,
+        user_id: user.id,
+        refresh_jti: refreshJti,
+        user_agent: meta.userAgent || null,
+        ip_address: meta.ip || null,
+        expires_at: expiresAt
+      }])
+
+    if (error) throw error
+
+    return {
+      accessToken: this.signAccessToken(user, sessionId),
+      refreshToken: this.signRefreshToken(user, sessionId, refreshJti),
+      expiresAt
+    }
+  }
+
+  async getActiveSession(sessionId) {
+    const { data: session, error } = await this.supabase
+      .from('auth_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) return null
+    return session
+  }
+
+  /**
+   * Verify an access token and its session. Throws on any failure.
+   */
+  async verifyAccessToken(token) {
+    const payload = jwt.verify(token, this.accessSecret)
+    if (payload.type !== 'access') throw new Error('Invalid token type')
+
+    const session = await this.getActiveSession(payload.sid)
+    if (!session) throw new Error('Session has been revoked or expired')
+
+    return payload
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (rotating the refresh token)
+   */
+  async refresh(refreshToken) {
+    const payload = jwt.verify(refreshToken, this.refreshSecret)
+    if (payload.type !== 'refresh') throw new Error('Invalid token type')
+
+    const session = await this.getActiveSession(payload.sid)
+    if (!session) throw new Error('Session has been revoked or expired')
+
+    // A refresh token that was already rotated is being replayed — kill the session
+    if (session.refresh_jti !== payload.jti) {
+      await this.revokeSession(session.id)
+      throw new Error('Refresh token reuse detected')
+    }
+
+    const { data: user, error: userError } = await this.supabase
+      .from('users')
+      .select('id, full_name, email, role')
+      .eq('id', payload.sub)
+      .single()
+
+    if (userError || !user) throw new Error('User not found')
+
+    const refreshJti = crypto.randomUUID()
+    const { error } = await this.supabase
+      .from('auth_sessions')
+      .update({ refresh_jti: refreshJti, last_used_at: new Date().toISOString() })
+      .eq('id', session.id)
+
+    if (error) throw error
+
+    return {
+      user,
+      accessToken: this.signAccessToken(user, session.id),
+      refreshToken: this.signRefreshToken(user, session.id, refreshJti),
+      expiresAt: session.expires_at
+    }
+  }
+
+  async revokeSession(sessionId) {
+    const { error } = await this.supabase
+      .from('auth_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', sessionId)
+      .is('revoked_at', null)
+
+    if (error) throw error
+  }
+
+  // Revoke every session of a user, optionally keeping one (e.g. the current one)
+  async revokeUserSessions(userId, exceptSessionId = null) {
+    let query = this.supabase
+      .from('auth_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+
+    if (exceptSessionId) query = query.neq('id', exceptSessionId)
+
+    const { error } = await query
+    if (error) throw error
+  }
+}
+
+module.exports = AuthService
@@ -0,0 +1,115 @@
+const jwt = require('jsonwebtoken')
+const crypto = require('crypto')
+
+/**
+ * Student exam-session credentials
+ *
+ * When a proctor approves an entry (POST /api/users/approve-entry) a credential
+ * is issued on the `exam_entry_approvals` row: a token id, the test being taken
+ * and an expiry at the end of the exam window. The student's browser claims it
+ * through POST /api/users/send-approval using the request key it was given when
+ * it asked for entry, so knowing a student ID alone is not enough.
+ *
+ * The credential is revoked when the approval row is deleted (end of the exam)
+ * or re-issued.
+ */
+class ExamTokenService {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.secret = options.secret || process.env.EXAM_TOKEN_SECRET || process.env.JWT_SECRET
+    this.windowMinutes = options.windowMinutes || parseInt(process.env.EXAM_WINDOW_MINUTES || '', 10) || 180
+
+    if (!this.secret) {
+      console.warn('⚠️ EXAM_TOKEN_SECRET / JWT_SECRET is not set. Student exam tokens cannot be issued.')
+    }
+  }
+
+  static hashRequestKey(requestKey) {
+    return crypto.createHash('sha256').update(String(requestKey)).digest('hex')
+  }
+
+  // Random key handed to the browser that requested exam entry
+  static generateRequestKey() {
+    return crypto.randomBytes(24).toString('hex')
+  }
+
+  static requestKeyMatches(approval, requestKey) {
+    if (!approval?.request_key_hash || !requestKey) return false
+    const expected = Buffer.from(approval.request_key_hash)
+    const given = Buffer.from(ExamTokenService.hashRequestKey(requestKey))
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  }
+
+  /**
+   * Issue a credential for an approved entry, scoped to one test attempt
+   */
+  async issueForApproval(approvalId, testId) {
+    const credential = {
+      exam_token_jti: crypto.randomUUID(),
+      exam_test_id: testId,
+      exam_token_expires_at: new Date(Date.now() + this.windowMinutes * 60 * 1000).toISOString()
+    }
+
+    const { data, error } = await this.supabase
+      .from('exam_entry_approvals')
+      .update(credential)
+      .eq('id', approvalId)
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  }
+
+  /**
+   * Sign the token for an approval that already carries a credential
+   */
+  signForApproval(approval) {
+    const expiresAt = new Date(approval.exam_token_expires_at)
+    const expiresIn = Math.floor((expiresAt.getTime() - Date.now()) / 1000)
+    if (!approval.exam_token_jti || expiresIn <= 0) return null
+
+    return {
+      examToken: jwt.sign(
+        {
+          sub: String(approval.user_id),
+          type: 'exam',
+          tid: approval.exam_test_id,
+          aid: approval.id
+        },
+        this.secret,
+        { expiresIn, jwtid: approval.exam_token_jti }
+      ),
+      testId: approval.exam_test_id,
+      expiresAt: approval.exam_token_expires_at
+    }
+  }
+
+  /**
+   * Verify a student exam token against its (still approved) approval row.
+   * Throws on any failure.
+   */
+  async verify(token) {
+    const payload = jwt.verify(token, this.secret)
+    if (payload.type !== 'exam') throw new Error('Invalid token type')
+
+    const { data: approval, error } = await this.supabase
+      .from('exam_entry_approvals')
+      .select('id, user_id, status, exam_token_jti, exam_test_id')
+      .eq('id', payload.aid)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!approval || approval.status !== 'approved' || approval.exam_token_jti !== payload.jti) {
+      throw new Error('Exam credential has been revoked')
+    }
+
+    return {
+      userId: payload.sub,
+      testId: payload.tid,
+      approvalId: payload.aid
+    }
+  }
+}
+
+module.exports = ExamTokenService
@@ -0,0 +1,218 @@
+const fs = require('fs')
+const fsp = require('fs/promises')
+const path = require('path')
+const crypto = require('crypto')
+
+const CACHE_KINDS = ['pdf', 'ocr', 'llm']
+
+/**
+ * Content-addressed cache for the extraction pipeline
+ *
+ * Entries live on disk under `dir/<kind>/<key>.json`:
+ *   pdf - rendered pages of a PDF, keyed by the PDF's sha256 and the render
+ *         density; the PNGs are kept in `dir/pdf/<key>/`
+ *   ocr - OCR result of one page image, keyed by the page's sha256, engine and
+ *         preprocessing steps
+ *   llm - extracted structure for one LLM request, keyed by a hash of the
+ *         prompt version, model, section and input text
+ *
+ * The file's mtime is the last time an entry was used, so purging by age
+ * keeps entries that are still being hit. EXTRACTION_CACHE=off disables it.
+ */
+class ExtractionCache {
+  constructor(options = {}) {
+    this.dir = options.dir
+    this.enabled = options.enabled ?? process.env.EXTRACTION_CACHE !== 'off'
+  }
+
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256')
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+    })
+  }
+
+  static hashValue(value) {
+    return crypto.createHash('sha256')
+      .update(typeof value === 'string' ? value : JSON.stringify(value))
+      .digest('hex')
+  }
+
+  static isValidKey(key) {
+    return /^[a-z0-9-]+$/i.test(String(key || ''))
+  }
+
+  entryPath(kind, key) {
+    return path.join(this.dir, kind, `${key}.json`)
+  }
+
+  filesDir(kind, key) {
+    return path.join(this.dir, kind, key)
+  }
+
+  /**
+   * Stored entry or null. `notBefore` ignores entries created earlier, which
+   * is how a re-run bypasses what was cached before it started.
+   */
+  async get(kind, key, { notBefore = null } = {}) {
+    if (!this.enabled) return null
+
+    const file = this.entryPath(kind, key)
+    let entry
+    try {
+      entry = JSON.parse(await fsp.readFile(file, 'utf-8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`⚠️ Ignoring unreadable cache entry ${kind}/${key}: ${error.message}`)
+      return null
+    }
+
+    if (notBefore && new Date(entry.createdAt) < notBefore) return null
+
+    const now = new Date()
+    await fsp.utimes(file, now, now).catch(() => {})
+    return entry
+  }
+
+  async set(kind, key, data, meta = {}) {
+    if (!this.enabled) return null
+
+    const file = this.entryPath(kind, key)
+    const entry = { kind, key, createdAt: new Date().toISOString(), meta, data }
+
+    // Write then rename so a concurrent reader never sees half an entry
+    await fsp.mkdir(path.dirname(file), { recursive: true })
+    const tempFile = `${file}.${process.pid}-${Date.now()}.tmp`
+    await fsp.writeFile(tempFile, JSON.stringify(entry))
+    await fsp.rename(tempFile, file)
+    return entry
+  }
+
+  pdfKey(pdfHash, density) {
+    return `${pdfHash}-${density}`
+  }
+
+  // Rendered pages [{ page, file, hash }] of a PDF, or null when any PNG is gone
+  async getPages(pdfHash, density, options = {}) {
+    const key = this.pdfKey(pdfHash, density)
+    const entry = await this.get('pdf', key, options)
+    if (!entry) return null
+
+    const dir = this.filesDir('pdf', key)
+    const pages = entry.data.pages.map(page => ({ ...page, file: path.join(dir, page.file) }))
+    return pages.every(page => fs.existsSync(page.file)) ? pages : null
+  }
+
+  // Copy freshly rendered pages into the cache and return them with their hashes
+  async setPages(pdfHash, density, imageFiles, meta = {}) {
+    const key = this.pdfKey(pdfHash, density)
+    const dir = this.filesDir('pdf', key)
+    await fsp.rm(dir, { recursive: true, force: true })
+    await fsp.mkdir(dir, { recursive: true })
+
+    const pages = []
+    for (const [index, imageFile] of imageFiles.entries()) {
+      const file = path.basename(imageFile)
+      await fsp.copyFile(imageFile, path.join(dir, file))
+      pages.push({ page: index + 1, file, hash: await ExtractionCache.hashFile(imageFile) })
+    }
+
+    await this.set('pdf', key, { density, pages }, { ...meta, pdfHash, density, pageCount: pages.length })
+    return pages.map(page => ({ ...page, file: path.join(dir, page.file) }))
+  }
+
+  // `preprocess` (step names) gives preprocessed pages their own entries
+  ocrKey(pageHash, engine, preprocess = []) {
+    const variant = preprocess.length > 0 ? `-${ExtractionCache.hashValue(preprocess).slice(0, 8)}` : ''
+    return `${pageHash}-${engine.toLowerCase()}${variant}`
+  }
+
+  // First cached OCR result for the page among `engines` (in preference order)
+  async getOcr(pageHash, engines, { preprocess = [], ...options } = {}) {
+    for (const engine of engines) {
+      const entry = await this.get('ocr', this.ocrKey(pageHash, engine, preprocess), options)
+      if (entry) return entry.data
+    }
+    return null
+  }
+
+  async setOcr(pageHash, result, { preprocess = [] } = {}) {
+    return this.set('ocr', this.ocrKey(pageHash, result.service, preprocess), result, {
+      pageHash,
+      engine: result.service,
+      preprocess,
+      confidence: result.confidence
+    })
+  }
+
+  /**
+   * Entries without their data, most recently used first:
+   * [{ kind, key, createdAt, lastUsedAt, size, meta }]
+   * Filters as in purge; `olderThanDays` compares against the last use.
+   */
+  async list({ kind = null, key = null, olderThanDays = null, limit = null } = {}) {
+    const cutoff = olderThanDays !== null ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null
+    const entries = []
+
+    for (const entryKind of kind ? [kind] : CACHE_KINDS) {
+      const kindDir = path.join(this.dir, entryKind)
+      const files = await fsp.readdir(kindDir).catch(() => [])
+
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        const entryKey = file.slice(0, -'.json'.length)
+        if (key && entryKey !== key) continue
+
+        try {
+          const stat = await fsp.stat(path.join(kindDir, file))
+          if (cutoff !== null && stat.mtime.getTime() >= cutoff) continue
+
+          const entry = JSON.parse(await fsp.readFile(path.join(kindDir, file), 'utf-8'))
+          entries.push({
+            kind: entryKind,
+            key: entryKey,
+            createdAt: entry.createdAt,
+            lastUsedAt: stat.mtime.toISOString(),
+            size: stat.size + await this.filesSize(entryKind, entryKey),
+            meta: entry.meta
+          })
+        } catch (error) {
+          console.warn(`⚠️ Skipping unreadable cache entry ${entryKind}/${entryKey}: ${error.message}`)
+        }
+      }
+    }
+
+    entries.sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt))
+    return limit ? entries.slice(0, limit) : entries
+  }
+
+  async filesSize(kind, key) {
+    const files = await fsp.readdir(this.filesDir(kind, key)).catch(() => [])
+    let size = 0
+    for (const file of files) {
+      size += (await fsp.stat(path.join(this.filesDir(kind, key), file)).catch(() => ({ size: 0 }))).size
+    }
+    return size
+  }
+
+  /**
+   * Remove entries matching every given filter (no filters removes everything).
+   * `olderThanDays` compares against the last time the entry was used.
+   */
+  async purge({ kind = null, key = null, olderThanDays = null } = {}) {
+    const entries = await this.list({ kind, key, olderThanDays })
+
+    for (const entry of entries) {
+      await fsp.rm(this.entryPath(entry.kind, entry.key), { force: true })
+      await fsp.rm(this.filesDir(entry.kind, entry.key), { recursive: true, force: true })
+    }
+
+    return {
+      removed: entries.length,
+      freedBytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+    }
+  }
+}
+
+module.exports = { ExtractionCache, CACHE_KINDS }
@@ -0,0 +1,333 @@
+const fs = require('fs')
+const crypto = require('crypto')
+const { EventEmitter } = require('events')
+
+const MAX_LOG_ENTRIES = 200
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled']
+
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Extraction job ${jobId} was cancelled`)
+    this.name = 'JobCancelledError'
+  }
+}
+
+/**
+ * Background queue for PDF extraction jobs
+ *
+ * Jobs are persisted in the `extraction_jobs` table so their status, logs and
+ * final structure survive restarts. Jobs that were queued or running when the
+ * process stopped are re-queued on startup if their uploaded PDF is still on
+ * disk, otherwise they are marked as failed.
+ *
+ * Handlers are registered per section and receive a job context:
+ *   job.stage(name, details)  - report the current stage (converting, ocr, llm, post-processing)
+ *   job.emit(type, data)      - push a live progress event (not persisted)
+ *   job.log(message)          - append a log line
+ *   job.throwIfCancelled()    - stop at a safe point when cancellation was requested
+ *
+ * Live events can be followed with subscribe(jobId, listener); they are only
+ * delivered to listeners in the same process that runs the job.
+ */
+class ExtractionJobQueue {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.concurrency = options.concurrency || parseInt(process.env.EXTRACTION_CONCURRENCY || '', 10) || 1
+    this.handlers = new Map()
+    this.pending = []
+    this.running = new Map()
+    this.cancelRequested = new Set()
+    this.events = new EventEmitter()
+    this.events.setMaxListeners(0)
+  }
+
+  /**
+   * Listen to live events of a job. Returns an unsubscribe function.
+   */
+  subscribe(jobId, listener) {
+    const channel = `job:${jobId}`
+    this.events.on(channel, listener)
+    return () => this.events.off(channel, listener)
+  }
+
+  /**
+   * Read a job and subscribe to its live events with no gap between the two.
+   * The listener is attached before the job is read, so events published in
+   * the meantime (including the terminal one) are held and replayed once
+   * start(listener) is called. Resolves to null when the job does not exist.
+   */
+  async follow(jobId) {
+    let listener = null
+    let missed = []
+    const unsubscribe = this.subscribe(jobId, event => (listener ? listener(event) : missed.push(event)))
+    const live = this.isRunningHere(jobId)
+
+    let job
+    try {
+      job = await this.get(jobId)
+    } catch (error) {
+      unsubscribe()
+      throw error
+    }
+
+    if (!job) {
+      unsubscribe()
+      return null
+    }
+
+    return {
+      job,
+      live,
+      unsubscribe,
+      start(onEvent) {
+        listener = onEvent
+        const held = missed
+        missed = []
+        for (const event of held) onEvent(event)
+      }
+    }
+  }
+
+  isRunningHere(jobId) {
+    return this.running.has(jobId) || this.pending.some(j => j.id === jobId)
+  }
+
+  publish(jobId, type, data = {}) {
+    this.events.emit(`job:${jobId}`, { type, at: new Date().toISOString(), ...data })
+  }
+
+  registerHandler(section, handler) {
+    this.handlers.set(section, handler)
+  }
+
+  /**
+   * Create a job and queue it. Returns the stored job row.
+   */
+  async create(section, input, createdBy = null) {
+    if (!this.handlers.has(section)) {
+      throw new Error(`No extraction handler registered for section "${section}"`)
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      section,
+      status: 'queued',
+      stage: 'queued',
+      progress: {},
+      logs: [],
+      input,
+      created_by: createdBy
+    }
+
+    const { data, error } = await this.supabase
+      .from('extraction_jobs')
+      .insert([job])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    this.enqueue(data)
+    return data
+  }
+
+  async get(jobId) {
+    const { data, error } = await this.supabase
+      .from('extraction_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  async list({ limit = 20, section } = {}) {
+    let query = this.supabase
+      .from('extraction_jobs')
+      .select('id, section, status, stage, progress, error, created_by, created_at, updated_at')
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (section) query = query.eq('section', section)
+
+    const { data, error } = await query
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * Request cancellation. Queued jobs stop immediately, running jobs stop
+   * at their next checkpoint.
+   */
+  async cancel(jobId) {
+    const job = await this.get(jobId)
+    if (!job) return null
+    if (TERMINAL_STATUSES.includes(job.status)) return job
+
+    this.cancelRequested.add(jobId)
+
+    const queuedIndex = this.pending.findIndex(j => j.id === jobId)
+    if (queuedIndex !== -1) {
+      const [queued] = this.pending.splice(queuedIndex, 1)
+      this.cleanupInput(queued.input)
+      this.publish(jobId, 'cancelled')
+      return this.persist(jobId, { status: 'cancelled', stage: 'cancelled', finished_at: new Date().toISOString() })
+    }
+
+    return this.persist(jobId, { cancel_requested: true })
+  }
+
+  /**
+   * Re-queue jobs interrupted by a restart
+   */
+  async recover() {
+    const { data: interrupted, error } = await this.supabase
+      .from('extraction_jobs')
+      .select('*')
+      .in('status', ['queued', 'running'])
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    for (const job of interrupted || []) {
+      if (job.cancel_requested) {
+        await this.persist(job.id, { status: 'cancelled', stage: 'cancelled', finished_at: new Date().toISOString() })
+        this.cleanupInput(job.input)
+      } else if (job.input?.pdfPath && fs.existsSync(job.input.pdfPath)) {
+        console.log(`🔁 Re-queuing interrupted extraction job ${job.id}`)
+        await this.persist(job.id, { status: 'queued', stage: 'queued' })
+        this.enqueue(job)
+      } else {
+        await this.persist(job.id, {
+          status: 'failed',
+          stage: 'failed',
+          error: 'Server restarted and the uploaded PDF is no longer available',
+          finished_at: new Date().toISOString()
+        })
+      }
+    }
+
+    return (interrupted || []).length
+  }
+
+  enqueue(job) {
+    this.pending.push(job)
+    this.drain()
+  }
+
+  drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift()
+      const run = this.run(job).finally(() => {
+        this.running.delete(job.id)
+        this.cancelRequested.delete(job.id)
+        this.drain()
+      })
+      this.running.set(job.id, run)
+    }
+  }
+
+  async run(job) {
+    const handler = this.handlers.get(job.section)
+    const logs = [...(job.logs || [])]
+    const context = this.createContext(job, logs)
+
+    try {
+      await this.persist(job.id, { status: 'running', stage: 'starting', started_at: new Date().toISOString() })
+      context.log(`Started ${job.section} extraction`)
+
+      const result = await handler(context, job.input)
+
+      await this.persist(job.id, {
+        status: 'completed',
+        stage: 'completed',
+        result,
+        logs,
+        finished_at: new Date().toISOString()
+      })
+      this.publish(job.id, 'completed', { result })
+      console.log(`✅ Extraction job ${job.id} completed`)
+    } catch (error) {
+      const cancelled = error instanceof JobCancelledError
+      context.log(cancelled ? 'Cancelled' : `Failed: ${error.message}`)
+
+      await this.persist(job.id, {
+        status: cancelled ? 'cancelled' : 'failed',
+        stage: cancelled ? 'cancelled' : 'failed',
+        error: cancelled ? null : error.message,
+        logs,
+        finished_at: new Date().toISOString()
+      }).catch(persistError => console.error('Failed to persist job failure:', persistError))
+      this.publish(job.id, cancelled ? 'cancelled' : 'failed', { error: cancelled ? null : error.message })
+
+      if (!cancelled) console.error(`❌ Extraction job ${job.id} failed:`, error)
+    } finally {
+      this.cleanupInput(job.input)
+    }
+  }
+
+  createContext(job, logs) {
+    const queue = this
+
+    return {
+      id: job.id,
+      section: job.section,
+
+      log(message) {
+        logs.push({ at: new Date().toISOString(), message })
+        if (logs.length > MAX_LOG_ENTRIES) logs.splice(0, logs.length - MAX_LOG_ENTRIES)
+        queue.publish(job.id, 'log', { message })
+      },
+
+      emit(type, data = {}) {
+        queue.publish(job.id, type, data)
+      },
+
+      async stage(stage, progress = {}) {
+        this.log(progress.message || stage)
+        queue.publish(job.id, 'stage', { stage, ...progress })
+        await queue.persist(job.id, { stage, progress: { stage, ...progress }, logs })
+          .catch(error => console.warn(`⚠️ Failed to persist progress for job ${job.id}: ${error.message}`))
+      },
+
+      async throwIfCancelled() {
+        if (queue.cancelRequested.has(job.id)) throw new JobCancelledError(job.id)
+
+        // Cancellation may have been requested from another instance
+        const { data } = await queue.supabase
+          .from('extraction_jobs')
+          .select('cancel_requested')
+          .eq('id', job.id)
+          .maybeSingle()
+
+        if (data?.cancel_requested) throw new JobCancelledError(job.id)
+      }
+    }
+  }
+
+  async persist(jobId, fields) {
+    const { data, error } = await this.supabase
+      .from('extraction_jobs')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  }
+
+  // Remove the uploaded PDF once a job no longer needs it (audio uploads are kept)
+  cleanupInput(input) {
+    if (!input?.pdfPath) return
+    try {
+      if (fs.existsSync(input.pdfPath)) fs.unlinkSync(input.pdfPath)
+    } catch (error) {
+      console.warn('Failed to delete job input:', input.pdfPath, error.message)
+    }
+  }
+}
+
+module.exports = { ExtractionJobQueue, JobCancelledError }
@@ -0,0 +1,689 @@
+const fs = require('fs')
+const path = require('path')
+const pdf = require('pdf-poppler')
+const sharp = require('sharp')
+const { v4: uuidv4 } = require('uuid')
+const getPrompt = require('../utils/getPrompt')
+const OCRService = require('./ocrService')
+const { ExtractionCache } = require('./extractionCache')
+const ocrLayout = require('../utils/ocrLayout')
+const postProcessing = require('../utils/structurePostProcessing')
+const { SCHEMAS } = require('../utils/testSchemas')
+const { validateSectionStructure } = require('../utils/structureValidator')
+const { splitIntoChunks, mergeChunkStructures, questionCoverage, pageQuestionNumbers } = require('../utils/extractionChunks')
+
+const MAP_KEYWORDS = [
+  'map', 'plan', 'diagram', 'layout', 'floor plan', 'museum', 'building',
+  'entrance', 'exit', 'reception', 'café', 'shop', 'gallery', 'room',
+  'north', 'south', 'east', 'west', 'stairs', 'lift', 'elevator',
+  'parking', 'garden', 'path', 'route', 'direction', 'location'
+]
+
+// Appended to every extraction prompt: how the layout-preserving OCR text is laid out
+const OCR_LAYOUT_NOTE = 'The OCR text keeps the page layout: every printed line is a line of text, ' +
+  'blank lines separate paragraphs, and " | " separates the cells of a table or form row ' +
+  '(for example "Name of hotel | 1 ........"). Use the rows and cells to rebuild tables, ' +
+  'note completion and form completion questions with their labels.'
+
+// Bump when the request built around the prompt file changes (chunkPrompt,
+// schema, repair flow) so cached LLM structures are not reused
+const EXTRACTION_PROMPT_VERSION = 'extraction-v1'
+
+/**
+ * PDF → structured test JSON, shared by every section
+ *
+ * PDF → PNG pages → embedded text layer, OCR for the pages without a usable
+ * one (several pages at a time) → image detection → LLM,
+ * one request per part when the profile has chunkMarkers (structured output
+ * checked against the section schema, with repair requests;
+ * services/llmService.js) → the post-processing steps listed in the section
+ * profile (utils/sectionProfiles.js).
+ *
+ * run(job, input, profile) is used as an ExtractionJobQueue handler, so it
+ * reports stages/events through the job context and stops at checkpoints
+ * when the job is cancelled.
+ *
+ * With a cache (services/extractionCache.js) unchanged stages are skipped:
+ * pages are reused by PDF hash, OCR by page hash and engine, and LLM replies
+ * by prompt version and input text. `input.rerun` ignores earlier entries and
+ * replaces them.
+ *
+ * Pages the OCR service still read below its confidence threshold after
+ * arbitration are listed in `lowConfidencePages` with the questions printed
+ * on them, for the author to proofread.
+ */
+class ExtractionPipeline {
+  constructor(options = {}) {
+    this.ocrService = options.ocrService
+    this.llm = options.llm
+    this.cache = options.cache?.enabled ? options.cache : null
+    this.textLayer = options.textLayer?.enabled ? options.textLayer : null
+    this.uploadsDir = options.uploadsDir
+    this.publicBaseUrl = options.publicBaseUrl || 'http://localhost:3001'
+    // null lets the LLM service pick the configured extraction model
+    this.model = options.model || null
+    this.maxAttempts = options.maxAttempts || 3
+    this.maxRepairs = options.maxRepairs ?? 2
+    // OCRed pages per extraction whose preprocessing steps are measured one by one
+    this.preprocessMeasurePages = options.preprocessMeasurePages ?? (parseInt(process.env.OCR_PREPROCESS_MEASURE_PAGES || '', 10) || 1)
+    this.chunkConcurrency = options.chunkConcurrency || parseInt(process.env.EXTRACTION_CHUNK_CONCURRENCY || '', 10) || 3
+    this.density = options.density || 400 // Higher density for better OCR
+  }
+
+  async run(job, input, profile) {
+    const tempDir = path.join(this.uploadsDir, `pdf-${Date.now()}`)
+
+    try {
+      fs.mkdirSync(tempDir, { recursive: true })
+
+      console.log(`Processing ${profile.sectionName} PDF:`, input.originalName)
+      if (input.audioFiles?.length) {
+        console.log('Audio files:', input.audioFiles.map(f => f.originalname))
+      }
+
+      const cacheRun = await this.startCacheRun(input)
+
+      await job.stage('converting', { message: 'Converting PDF pages to images' })
+      const pages = await this.renderPages(job, input, tempDir, cacheRun)
+      console.log(`Generated ${pages.length} images`)
+
+      const textLayer = await this.readTextLayer(job, input, pages)
+      const ocr = await this.ocrPages(job, pages, {
+        cacheRun,
+        textLayer,
+        // null uses the OCR service's OCR_PREPROCESS default
+        preprocess: input.preprocess ?? this.ocrService.preprocessSteps ?? []
+      })
+      const combinedText = ocr.results.map(result => OCRService.layoutText(result) + '\n\n').join('')
+      console.log('Combined OCR text length:', combinedText.length)
+
+      // Maps, diagrams and Task 1 visuals, detected from the same OCR text
+      await job.throwIfCancelled()
+      if (profile.detectImages) {
+        await job.stage('detecting-images', { totalPages: pages.length, message: 'Detecting maps and diagrams' })
+      }
+      const uploadedImages = profile.detectImages
+        ? await this.extractAndUploadImages(pages, ocr.results, `${profile.idPrefix}-${Date.now()}`)
+        : []
+
+      const { structure: rawStructure, coverage } = await this.extractStructure(job, combinedText, profile, cacheRun)
+      const { structure, validation } = await this.postProcess(job, rawStructure, profile, { uploadedImages })
+
+      const lowConfidencePages = this.lowConfidencePages(ocr.results, profile)
+      if (lowConfidencePages.length > 0) {
+        job.log(`Low OCR confidence on page(s) ${lowConfidencePages.map(entry => entry.page).join(', ')}; proofread the questions on them`)
+      }
+
+      return {
+        structure,
+        validation,
+        coverage,
+        lowConfidencePages,
+        ocr: ocr.timing,
+        cache: cacheRun && { pdfHash: cacheRun.pdfHash, rerun: Boolean(input.rerun), ...cacheRun.stats },
+        uploadedImages: uploadedImages.map(img => ({
+          url: img.url,
+          filename: img.filename,
+          isMap: img.isMap
+        }))
+      }
+    } catch (error) {
+      console.error(`${profile.sectionName} processing error:`, error)
+      throw error
+    } finally {
+      if (fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true })
+      }
+    }
+  }
+
+  /**
+   * Per-job cache state: the PDF hash, the cutoff that makes a re-run ignore
+   * earlier entries, and hit/miss counts reported with the result
+   */
+  async startCacheRun(input) {
+    if (!this.cache) return null
+
+    return {
+      pdfHash: await ExtractionCache.hashFile(input.pdfPath),
+      notBefore: input.rerun ? new Date() : null,
+      stats: {
+        pages: 'miss',
+        ocr: { hits: 0, misses: 0 },
+        llm: { hits: 0, misses: 0 }
+      }
+    }
+  }
+
+  // PDF → [{ page, file, hash }], reusing the pages rendered for the same PDF
+  async renderPages(job, input, tempDir, cacheRun) {
+    if (cacheRun) {
+      const cached = await this.cache.getPages(cacheRun.pdfHash, this.density, { notBefore: cacheRun.notBefore })
+      if (cached) {
+        cacheRun.stats.pages = 'hit'
+        job.emit('cache', { stage: 'converting', hit: true, pages: cached.length })
+        job.log(`Reusing ${cached.length} cached page image(s)`)
+        return cached
+      }
+    }
+
+    const imageFiles = await this.convertPdfToImages(input.pdfPath, tempDir)
+    if (!cacheRun) return imageFiles.map((file, index) => ({ page: index + 1, file, hash: null }))
+
+    return this.cache.setPages(cacheRun.pdfHash, this.density, imageFiles, { originalName: input.originalName })
+  }
+
+  async convertPdfToImages(pdfPath, outDir) {
+    await pdf.convert(pdfPath, {
+      format: 'png',
+      out_dir: outDir,
+      out_prefix: 'page',
+      page: null,
+      density: this.density
+    })
+
+    return fs.readdirSync(outDir)
+      .filter(file => file.startsWith('page-') && file.endsWith('.png'))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .map(file => path.join(outDir, file))
+  }
+
+  /**
+   * OCR one rendered page, or return the cached result for its hash and
+   * preprocessing steps. Cached results from the primary engine are
+   * preferred over fallback ones, then over the engine arbitration picked.
+   */
+  async recognisePage(page, cacheRun, options = {}) {
+    const preprocess = options.preprocess || []
+
+    if (cacheRun && page.hash) {
+      const engines = [...new Set([this.ocrService.primaryService, this.ocrService.fallbackService, ...OCRService.ENGINES])]
+      // Entries stored before OCR results carried a layout or went through arbitration are treated as misses
+      const cached = await this.cache.getOcr(page.hash, engines, { preprocess, notBefore: cacheRun.notBefore })
+      const usable = cached?.layout && typeof cached.lowConfidence === 'boolean' ? cached : null
+      cacheRun.stats.ocr[usable ? 'hits' : 'misses']++
+      if (usable) return { ...usable, cached: true }
+    }
+
+    const result = await this.ocrService.extractText(page.file, options)
+    if (cacheRun && page.hash) await this.cache.setOcr(page.hash, result, { preprocess })
+    return result
+  }
+
+  /**
+   * The embedded text of each page that can be used instead of OCR, aligned
+   * with `pages`: { result } (shaped like an OCR result) or { reason } saying
+   * why the page still needs OCR. `input.textLayer === false` skips it.
+   */
+  async readTextLayer(job, input, pages) {
+    if (!this.textLayer || input.textLayer === false) return pages.map(() => null)
+
+    await job.throwIfCancelled()
+    await job.stage('text-layer', { totalPages: pages.length, message: 'Reading the embedded PDF text layer' })
+
+    let layerPages
+    try {
+      layerPages = await this.textLayer.extract(input.pdfPath)
+    } catch (error) {
+      console.warn(`⚠️ PDF text layer unavailable, OCRing every page: ${error.message}`)
+      job.log(`Text layer unavailable: ${error.message}`)
+      return pages.map(() => ({ reason: 'unavailable' }))
+    }
+
+    const results = []
+    for (const [index, rendered] of pages.entries()) {
+      const assessment = this.textLayer.assess(layerPages[index])
+      if (!assessment.usable) {
+        results.push({ reason: assessment.reason })
+        continue
+      }
+
+      // Boxes are scaled to the rendered page so they line up with OCR layouts
+      const { width, height } = await sharp(rendered.file).metadata()
+      const layout = ocrLayout.fromPdfText(layerPages[index], { width, height })
+      results.push({
+        result: {
+          text: layout.blocks.map(block => block.lines.map(line => line.text).join('\n')).join('\n\n'),
+          confidence: 1,
+          processingTime: 0,
+          service: 'text-layer',
+          layout,
+          metadata: { words: assessment.words }
+        }
+      })
+    }
+
+    const usable = results.filter(entry => entry.result).length
+    console.log(`📄 Text layer usable on ${usable}/${pages.length} page(s)`)
+    job.log(`Text layer used for ${usable}/${pages.length} page(s); the rest are OCRed`)
+    return results
+  }
+
+  /**
+   * OCR every page without a usable text layer once, `ocrService.concurrency`
+   * pages at a time. Returns the per-page results in page order and the report
+   * included in the job result:
+   * { totalMs, concurrency, methods, preprocess, pages: [{ page, method, engine, durationMs, ... }] }
+   * where `method` is 'text-layer' or 'ocr'. The first `preprocessMeasurePages`
+   * OCRed pages report the confidence change of every preprocessing step.
+   */
+  async ocrPages(job, pages, { cacheRun = null, textLayer = [], preprocess = [] } = {}) {
+    const totalPages = pages.length
+    const concurrency = Math.max(1, Math.min(this.ocrService.concurrency || 1, totalPages))
+    const results = new Array(totalPages)
+    const queue = pages.map((rendered, index) => ({ rendered, index }))
+    const startedAt = Date.now()
+    let completed = 0
+    let measured = 0
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const { rendered, index } = queue.shift()
+        const { page, file } = rendered
+        const embedded = textLayer[index]?.result
+        const pageStartedAt = Date.now()
+
+        let ocrResult = embedded
+        if (!embedded) {
+          console.log(`Processing image: ${file}`)
+          await job.throwIfCancelled()
+          await job.stage('ocr', { page, totalPages, completed, concurrency, message: `OCR page ${page}/${totalPages}` })
+
+          const measurePreprocessing = preprocess.length > 0 && measured < this.preprocessMeasurePages
+          if (measurePreprocessing) measured++
+
+          ocrResult = await this.recognisePage(rendered, cacheRun, {
+            preprocess,
+            measurePreprocessing,
+            onProgress: ({ engine, progress }) => job.emit('ocr-progress', {
+              page,
+              totalPages,
+              engine,
+              percent: Math.floor(progress * 100)
+            })
+          })
+        }
+
+        results[index] = {
+          ...ocrResult,
+          page,
+          method: embedded ? 'text-layer' : 'ocr',
+          // why the text layer was not used for an OCRed page
+          textLayer: textLayer[index]?.reason ?? null,
+          durationMs: Date.now() - pageStartedAt
+        }
+        completed++
+
+        const steps = ocrResult.preprocessing?.confidence || []
+        if (steps.length > 1 && !ocrResult.cached) {
+          job.log(`Page ${page} preprocessing confidence: ${steps.map(entry => `${entry.step} ${entry.confidence.toFixed(2)}`).join(' → ')}`)
+        }
+
+        job.emit('ocr-page', {
+          page,
+          totalPages,
+          completed,
+          method: results[index].method,
+          engine: ocrResult.service,
+          confidence: ocrResult.confidence,
+          processingTime: ocrResult.processingTime,
+          durationMs: results[index].durationMs,
+          cached: Boolean(ocrResult.cached),
+          lowConfidence: Boolean(ocrResult.lowConfidence)
+        })
+
+        console.log(`✅ ${embedded ? 'Text layer' : 'OCR'} page ${page} completed using ${ocrResult.service} with ${ocrResult.confidence.toFixed(2)} confidence in ${results[index].durationMs}ms`)
+      }
+    }
+
+    await Promise.all(Array.from({ length: concurrency }, worker))
+
+    const totalMs = Date.now() - startedAt
+    const methods = {
+      'text-layer': results.filter(result => result.method === 'text-layer').length,
+      ocr: results.filter(result => result.method === 'ocr').length
+    }
+    job.log(`Text of ${totalPages} page(s) ready in ${Math.round(totalMs / 1000)}s (${methods.ocr} OCRed, ${concurrency} at a time)`)
+
+    return {
+      results,
+      timing: {
+        totalMs,
+        concurrency,
+        methods,
+        preprocess,
+        pages: results.map(result => ({
+          page: result.page,
+          method: result.method,
+          textLayer: result.textLayer,
+          engine: result.service,
+          confidence: result.confidence,
+          processingTime: result.processingTime,
+          durationMs: result.durationMs,
+          cached: Boolean(result.cached),
+          lowConfidence: Boolean(result.lowConfidence),
+          arbitration: result.arbitration ?? null,
+          preprocessing: result.preprocessing ? {
+            applied: result.preprocessing.steps.filter(step => step.applied).map(step => step.name),
+            durationMs: result.preprocessing.durationMs,
+            confidence: result.preprocessing.confidence
+          } : null
+        }))
+      }
+    }
+  }
+
+  /**
+   * OCRed pages still below the engine's confidence threshold, with the
+   * question numbers printed on them:
+   * [{ page, engine, confidence, threshold, questions, arbitration }], confidences 0-1
+   */
+  lowConfidencePages(results, profile) {
+    return results
+      .filter(result => result.lowConfidence)
+      .map(result => ({
+        page: result.page,
+        engine: result.service,
+        confidence: Math.round(OCRService.normalisedConfidence(result) * 1000) / 1000,
+        threshold: this.ocrService.normalisedThreshold(result.service),
+        questions: pageQuestionNumbers(OCRService.layoutText(result), profile.totalQuestions),
+        arbitration: result.arbitration ?? null
+      }))
+  }
+
+  // "/parts/1/questions/4/answer" → "Part 2, question 14" for repair requests
+  static describeLocation(structure, pointer) {
+    const match = pointer.match(/^\/parts\/(\d+)(?:\/questions\/(\d+))?/)
+    if (!match) return null
+
+    const part = structure.parts?.[match[1]]
+    if (!part) return null
+    const question = match[2] !== undefined ? part.questions?.[match[2]] : null
+    if (!question) return `Part ${part.part}`
+
+    const label = question.numberRange ? `questions ${question.numberRange}`
+      : question.number ? `question ${question.number}`
+        : `${question.type || 'item'} ${question.questionId || ''}`.trim()
+    return `Part ${part.part}, ${label}`
+  }
+
+  /**
+   * Schema violations the post-processing steps cannot fix: the deterministic
+   * steps run on a copy first, then the section schema is checked
+   */
+  static schemaViolations(structure, profile) {
+    const preview = postProcessing.previewStructure(structure, profile)
+    const { errors } = validateSectionStructure(profile.section, preview)
+
+    return errors.map(error => ({ ...error, location: ExtractionPipeline.describeLocation(preview, error.path) }))
+  }
+
+  /**
+   * OCR text → raw section structure. Sections with chunkMarkers are split per
+   * part and the parts extracted in parallel, then merged in part order.
+   * Question layouts also get a coverage report of the numbers the model returned.
+   */
+  async extractStructure(job, text, profile, cacheRun = null) {
+    const chunks = splitIntoChunks(text, profile)
+    let structure
+
+    if (chunks.length === 1) {
+      structure = await this.parseWithLlm(job, text, profile, { cacheRun })
+    } else {
+      console.log(`✂️ Extracting ${profile.sectionName} in ${chunks.length} parts`)
+      job.log(`Split OCR text into ${chunks.length} parts: ${chunks.map(c => c.heading).join(', ')}`)
+      job.emit('chunks', { chunks: chunks.map(({ part, heading, expectedQuestions, text: chunkText }) => ({ part, heading, expectedQuestions, length: chunkText.length })) })
+
+      const results = []
+      const queue = [...chunks]
+      const worker = async () => {
+        while (queue.length > 0) {
+          const chunk = queue.shift()
+          const chunkStructure = await this.parseWithLlm(job, ExtractionPipeline.chunkPrompt(chunk, profile), profile, { chunk, cacheRun })
+          job.emit('chunk-complete', { part: chunk.part })
+          results.push({ chunk, structure: chunkStructure })
+        }
+      }
+      await Promise.all(Array.from({ length: Math.min(this.chunkConcurrency, chunks.length) }, worker))
+
+      structure = mergeChunkStructures(results, profile)
+    }
+
+    if (profile.layout !== 'questions') return { structure, coverage: null }
+
+    const coverage = questionCoverage(structure, profile, chunks)
+    if (coverage.missing.length > 0) {
+      job.log(`Questions missing from the extraction: ${coverage.missing.join(', ')}`)
+    }
+    return { structure, coverage }
+  }
+
+  // User message for one part: the chunk text plus what the model must return for it
+  static chunkPrompt(chunk, profile) {
+    const numbers = chunk.expectedQuestions
+    const range = numbers.length > 0 ? ` (questions ${numbers[0]}-${numbers[numbers.length - 1]})` : ''
+
+    return `The text below is only ${chunk.heading} of the ${profile.sectionName} test${range}. ` +
+      `Return the usual JSON with "parts" containing just this ${profile.partLabel.toLowerCase()} as part ${chunk.part}, ` +
+      'keeping the question numbers printed in the text.\n\n' +
+      chunk.text
+  }
+
+  // Parse OCR text into the section structure. Schema violations get targeted
+  // repair requests; API errors and unparseable replies are retried
+  async parseWithLlm(job, text, profile, { chunk = null, cacheRun = null } = {}) {
+    const prompt = `${await getPrompt.getStrictSystemPrompt(profile.promptName)}\n\n${OCR_LAYOUT_NOTE}`
+    const maxAttempts = this.maxAttempts
+    const part = chunk?.part ?? null
+    const label = chunk ? `${profile.sectionName} ${chunk.heading}` : profile.sectionName
+
+    // The prompt file's hash is part of the version, so editing a prompt invalidates its entries
+    const model = this.model || this.llm.modelFor('extraction')
+    const promptVersion = `${EXTRACTION_PROMPT_VERSION}:${ExtractionCache.hashValue(prompt).slice(0, 12)}`
+    const cacheKey = cacheRun && ExtractionCache.hashValue({ promptVersion, model, section: profile.section, text })
+
+    if (cacheKey) {
+      const cached = await this.cache.get('llm', cacheKey, { notBefore: cacheRun.notBefore })
+      if (cached) {
+        cacheRun.stats.llm.hits++
+        job.emit('cache', { stage: 'llm', hit: true, part })
+        job.log(`Reusing cached LLM structure for ${label}`)
+        return cached.data
+      }
+      cacheRun.stats.llm.misses++
+    }
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      console.log(`LLM ${label} attempt ${attempt}/${maxAttempts}`)
+      await job.throwIfCancelled()
+      await job.stage('llm', { attempt, maxAttempts, part, message: `LLM ${chunk ? `${chunk.heading} ` : ''}attempt ${attempt}/${maxAttempts}` })
+
+      try {
+        const reply = await this.llm.completeJson({
+          task: 'extraction',
+          model: this.model,
+          messages: [
+            { role: 'system', content: prompt },
+            { role: 'user', content: text }
+          ],
+          maxTokens: 8000, // GPT-4o has 128,000 token context window
+          temperature: 0.1,
+          schema: { name: `${profile.section}_test`, schema: SCHEMAS[profile.section], strict: false },
+          validate: structure => ExtractionPipeline.schemaViolations(structure, profile),
+          maxRepairs: this.maxRepairs,
+          context: `${label} extraction`,
+          onRepair: ({ round, maxRepairs, errors }) => {
+            job.emit('llm-error', { attempt, maxAttempts, part, kind: 'schema', repair: round, maxRepairs, count: errors.length, errors: errors.slice(0, 10) })
+            job.log(`Requested repair ${round}/${maxRepairs} for ${errors.length} schema violation(s)`)
+          }
+        })
+
+        job.emit('llm-usage', { attempt, part, provider: reply.completion.provider, model: reply.completion.model, repairs: reply.repairs, ...reply.usage })
+
+        if (reply.errors.length > 0) {
+          // Not fatal: validateRequiredFields reports what is left after post-processing
+          job.log(`${reply.errors.length} schema violation(s) remain after ${reply.repairs} repair request(s)`)
+        } else if (cacheKey) {
+          // Only clean structures are cached; a flawed one gets a fresh attempt next time
+          await this.cache.set('llm', cacheKey, reply.data, {
+            section: profile.section,
+            part,
+            promptVersion,
+            model: reply.completion.model
+          })
+        }
+        console.log('Successfully parsed JSON structure')
+        return reply.data
+      } catch (error) {
+        const kind = error.code === 'INVALID_JSON' ? 'parse' : 'api'
+        console.error(`LLM ${kind} error (attempt ${attempt}):`, error)
+        job.emit('llm-error', { attempt, maxAttempts, part, kind, message: error.message })
+
+        if (attempt === maxAttempts) {
+          throw new Error(`LLM extraction${chunk ? ` of ${chunk.heading}` : ''} failed after ${maxAttempts} attempts: ${error.message}`)
+        }
+        await new Promise(resolve => setTimeout(resolve, 2000))
+      }
+    }
+  }
+
+  /**
+   * Run the profile's post-processing steps in order.
+   * Returns the final structure and the validateRequiredFields report.
+   */
+  async postProcess(job, structure, profile, context = {}) {
+    console.log(`🚀 Starting ${profile.sectionName} post-processing pipeline...`)
+    await job.stage('post-processing', { message: 'Post-processing extracted structure' })
+
+    let validation = { valid: true, errors: [] }
+
+    for (const [index, name] of profile.postProcessing.entries()) {
+      job.emit('post-processing', { step: index + 1, name })
+
+      if (name === 'validateRequiredFields') {
+        validation = postProcessing.validateRequiredFields(structure, profile)
+        if (!validation.valid) {
+          job.log(`Structure validation found ${validation.errors.length} issue(s)`)
+        }
+        continue
+      }
+
+      const step = name === 'processBase64Images'
+        ? (s) => this.processBase64Images(s)
+        : postProcessing[name]
+
+      if (typeof step !== 'function') {
+        throw new Error(`Unknown post-processing step "${name}" in ${profile.section} profile`)
+      }
+
+      structure = await step(structure, profile, context)
+    }
+
+    console.log(`✅ ${profile.sectionName} post-processing pipeline complete`)
+    return { structure, validation }
+  }
+
+  // Upload every page, cropping the ones whose OCR text looks like a map/diagram
+  async extractAndUploadImages(pages, ocrResults, filePrefix) {
+    const uploadedImages = []
+
+    for (const [index, page] of pages.entries()) {
+      const imageFile = page.file
+      try {
+        const isMapImage = ExtractionPipeline.detectMapImage(ocrResults[index].text)
+
+        const processedImagePath = isMapImage
+          ? await this.cropMapImage(imageFile, filePrefix)
+          : imageFile
+
+        const filename = `${filePrefix}-${uuidv4()}.png`
+        fs.copyFileSync(processedImagePath, path.join(this.uploadsDir, filename))
+
+        uploadedImages.push({
+          url: this.publicUrl(filename),
+          filename,
+          isMap: isMapImage
+        })
+
+        // Clean up temporary processed image if it was created
+        if (processedImagePath !== imageFile) {
+          fs.unlinkSync(processedImagePath)
+        }
+      } catch (error) {
+        console.error('Error processing image:', error)
+      }
+    }
+
+    return uploadedImages
+  }
+
+  static detectMapImage(ocrText) {
+    const lowerText = (ocrText || '').toLowerCase()
+    return MAP_KEYWORDS.some(keyword => lowerText.includes(keyword))
+  }
+
+  // Crop to the centre of the page (80% width, 60% height) where maps usually sit
+  async cropMapImage(imagePath, filePrefix) {
+    try {
+      const image = sharp(imagePath)
+      const metadata = await image.metadata()
+
+      const cropWidth = Math.floor(metadata.width * 0.8)
+      const cropHeight = Math.floor(metadata.height * 0.6)
+      const left = Math.floor((metadata.width - cropWidth) / 2)
+      const top = Math.floor((metadata.height - cropHeight) / 2)
+
+      const croppedImagePath = path.join(this.uploadsDir, `temp-cropped-${filePrefix}-${uuidv4()}.png`)
+
+      await image
+        .extract({ left, top, width: cropWidth, height: cropHeight })
+        .png({ quality: 90 })
+        .toFile(croppedImagePath)
+
+      return croppedImagePath
+    } catch (error) {
+      console.error('Error cropping image:', error)
+      return imagePath // Return original if cropping fails
+    }
+  }
+
+  // Save base64 images returned by the model (questions and Writing task visuals) to uploads
+  async processBase64Images(structure) {
+    const modifiedStructure = JSON.parse(JSON.stringify(structure))
+
+    const images = []
+    for (const part of modifiedStructure.parts || []) {
+      for (const question of part.questions || []) {
+        if (question.type === 'image') images.push(question)
+      }
+      if (part.task?.image) images.push(part.task.image)
+    }
+
+    for (const image of images) {
+      if (!image.base64) continue
+
+      try {
+        const base64Data = image.base64.replace(/^data:image\/\w+;base64,/, '')
+        const filename = `${image.questionId || `image-${Date.now()}`}.png`
+
+        fs.writeFileSync(path.join(this.uploadsDir, filename), Buffer.from(base64Data, 'base64'))
+
+        image.url = this.publicUrl(filename)
+        delete image.base64
+
+        console.log(`✅ Processed base64 image: ${filename}`)
+      } catch (error) {
+        console.error('❌ Failed to process base64 image:', error)
+        // Keep base64 for manual handling
+      }
+    }
+
+    return modifiedStructure
+  }
+
+  publicUrl(filename) {
+    return `${this.publicBaseUrl}/uploads/${filename}`
+  }
+}
+
+module.exports = ExtractionPipeline
@@ -0,0 +1,247 @@
+const fs = require('fs')
+const path = require('path')
+const sharp = require('sharp')
+
+// Canonical order; a step list from a request is always applied in this order
+const PREPROCESS_STEPS = ['normaliseDpi', 'trimMargins', 'deskew', 'denoise', 'binarise']
+
+// Used to estimate the resolution when the image carries no density
+const A4_LONG_SIDE_INCHES = 11.69
+// Greyscale value below which a pixel counts as ink / scanner border
+const DARK_PIXEL = 96
+// A border row or column is mostly dark; margins deeper than this share are left alone
+const DARK_BORDER_SHARE = 0.5
+const MAX_MARGIN_SHARE = 0.15
+// Deskew search: ±maxSkewDegrees in SKEW_STEP_DEGREES steps on a downscaled copy
+const SKEW_STEP_DEGREES = 0.2
+const SKEW_ANALYSIS_WIDTH = 1000
+
+async function rawGreyscale(buffer, width = null) {
+  let image = sharp(buffer).greyscale()
+  if (width) image = image.resize({ width, withoutEnlargement: true })
+  const { data, info } = await image.raw().toBuffer({ resolveWithObject: true })
+  return { data, width: info.width, height: info.height, channels: info.channels }
+}
+
+/**
+ * Scanned-page clean-up with sharp before OCR
+ *
+ *   normaliseDpi - resample to `targetDpi` (default 300, OCR_PREPROCESS_DPI)
+ *   trimMargins  - cut dark scanner borders
+ *   deskew       - rotate by the angle that makes text lines horizontal
+ *   denoise      - 3×3 median filter
+ *   binarise     - black and white with an Otsu threshold
+ *
+ * Pages are converted to greyscale first. Each step reports whether it
+ * changed the image and how ({ name, applied, detail, durationMs }).
+ */
+class ImagePreprocessor {
+  constructor(options = {}) {
+    this.targetDpi = options.targetDpi || parseInt(process.env.OCR_PREPROCESS_DPI || '', 10) || 300
+    this.maxSkewDegrees = options.maxSkewDegrees || 5
+  }
+
+  /**
+   * Request value → step list: 'off'/false → [], 'all'/'on'/true → every
+   * step, 'deskew,binarise' → those steps. Returns { steps, invalid }.
+   */
+  static parseSteps(value) {
+    if (value === undefined || value === null || value === false || value === 'off' || value === 'false' || value === '') {
+      return { steps: [], invalid: [] }
+    }
+    if (value === true || value === 'all' || value === 'on' || value === 'true') {
+      return { steps: [...PREPROCESS_STEPS], invalid: [] }
+    }
+
+    const names = (Array.isArray(value) ? value : String(value).split(',')).map(name => String(name).trim()).filter(Boolean)
+    return {
+      steps: PREPROCESS_STEPS.filter(step => names.includes(step)),
+      invalid: names.filter(name => !PREPROCESS_STEPS.includes(name))
+    }
+  }
+
+  /**
+   * Apply `steps` to the image and write the result to `workDir`.
+   * onStep(report, imagePath) is awaited after every applied step with that
+   * step's image, e.g. to OCR it and compare confidence.
+   */
+  async run(imagePath, steps, { workDir, onStep = null } = {}) {
+    let buffer = await sharp(imagePath).greyscale().png().toBuffer()
+    const reports = []
+
+    for (const name of PREPROCESS_STEPS.filter(step => steps.includes(step))) {
+      const startTime = Date.now()
+      const { buffer: next, applied, detail } = await this[name](buffer)
+      const report = { name, applied, detail, durationMs: Date.now() - startTime }
+      reports.push(report)
+
+      if (!applied) continue
+      buffer = next
+
+      if (onStep) {
+        const stepPath = path.join(workDir, `${reports.length}-${name}.png`)
+        fs.writeFileSync(stepPath, buffer)
+        await onStep(report, stepPath)
+      }
+    }
+
+    const outputPath = path.join(workDir, 'preprocessed.png')
+    fs.writeFileSync(outputPath, buffer)
+    return { path: outputPath, steps: reports }
+  }
+
+  async normaliseDpi(buffer) {
+    const { width, height, density } = await sharp(buffer).metadata()
+    // 72 is what most encoders write when the real resolution is unknown
+    const currentDpi = density && density > 72 ? density : Math.max(width, height) / A4_LONG_SIDE_INCHES
+    const scale = Math.min(4, Math.max(0.25, this.targetDpi / currentDpi))
+
+    if (Math.abs(scale - 1) < 0.1) {
+      return { buffer, applied: false, detail: { dpi: Math.round(currentDpi) } }
+    }
+
+    const resized = await sharp(buffer)
+      .resize({ width: Math.round(width * scale), kernel: 'lanczos3' })
+      .withMetadata({ density: this.targetDpi })
+      .png()
+      .toBuffer()
+
+    return { buffer: resized, applied: true, detail: { fromDpi: Math.round(currentDpi), toDpi: this.targetDpi } }
+  }
+
+  async trimMargins(buffer) {
+    const { data, width, height, channels } = await rawGreyscale(buffer)
+    const dark = (x, y) => data[(y * width + x) * channels] < DARK_PIXEL
+
+    const rowIsBorder = y => {
+      let count = 0
+      for (let x = 0; x < width; x++) if (dark(x, y)) count++
+      return count / width > DARK_BORDER_SHARE
+    }
+    const columnIsBorder = x => {
+      let count = 0
+      for (let y = 0; y < height; y++) if (dark(x, y)) count++
+      return count / height > DARK_BORDER_SHARE
+    }
+
+    const maxRows = Math.floor(height * MAX_MARGIN_SHARE)
+    const maxColumns = Math.floor(width * MAX_MARGIN_SHARE)
+    let top = 0
+    let bottom = 0
+    let left = 0
+    let right = 0
+    while (top < maxRows && rowIsBorder(top)) top++
+    while (bottom < maxRows && rowIsBorder(height - 1 - bottom)) bottom++
+    while (left < maxColumns && columnIsBorder(left)) left++
+    while (right < maxColumns && columnIsBorder(width - 1 - right)) right++
+
+    if (top + bottom + left + right === 0) {
+      return { buffer, applied: false, detail: null }
+    }
+
+    const trimmed = await sharp(buffer)
+      .extract({ left, top, width: width - left - right, height: height - top - bottom })
+      .png()
+      .toBuffer()
+
+    return { buffer: trimmed, applied: true, detail: { top, bottom, left, right } }
+  }
+
+  /**
+   * Projection-profile deskew: the angle at which the row histogram of ink
+   * pixels is most peaked is the one where text lines run horizontally
+   */
+  async deskew(buffer) {
+    const { data, width, height, channels } = await rawGreyscale(buffer, SKEW_ANALYSIS_WIDTH)
+
+    const points = []
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[(y * width + x) * channels] < DARK_PIXEL) points.push(x, y)
+      }
+    }
+    if (points.length < 200) return { buffer, applied: false, detail: { angle: 0 } }
+
+    const score = degrees => {
+      const slope = Math.tan(degrees * Math.PI / 180)
+      const offset = Math.ceil(width * Math.abs(slope))
+      const bins = new Float64Array(height + 2 * offset + 1)
+      for (let i = 0; i < points.length; i += 2) {
+        bins[Math.round(points[i + 1] - points[i] * slope) + offset]++
+      }
+      let sum = 0
+      for (const count of bins) sum += count * count
+      return sum
+    }
+
+    let best = { angle: 0, score: score(0) }
+    for (let angle = -this.maxSkewDegrees; angle <= this.maxSkewDegrees + 1e-9; angle += SKEW_STEP_DEGREES) {
+      const value = score(angle)
+      if (value > best.score) best = { angle: Math.round(angle * 100) / 100, score: value }
+    }
+
+    if (Math.abs(best.angle) < SKEW_STEP_DEGREES) {
+      return { buffer, applied: false, detail: { angle: 0 } }
+    }
+
+    // Lines sloping down to the right (positive angle) are turned back anticlockwise
+    const rotated = await sharp(buffer)
+      .rotate(-best.angle, { background: { r: 255, g: 255, b: 255 } })
+      .greyscale()
+      .png()
+      .toBuffer()
+
+    return { buffer: rotated, applied: true, detail: { angle: best.angle } }
+  }
+
+  async denoise(buffer) {
+    return {
+      buffer: await sharp(buffer).median(3).png().toBuffer(),
+      applied: true,
+      detail: { filter: 'median', size: 3 }
+    }
+  }
+
+  async binarise(buffer) {
+    const { data, channels } = await rawGreyscale(buffer)
+
+    const histogram = new Array(256).fill(0)
+    for (let i = 0; i < data.length; i += channels) histogram[data[i]]++
+    const threshold = ImagePreprocessor.otsuThreshold(histogram)
+
+    return {
+      // sharp keeps values >= the threshold white; Otsu puts the threshold itself in the ink class
+      buffer: await sharp(buffer).threshold(threshold + 1).png().toBuffer(),
+      applied: true,
+      detail: { threshold }
+    }
+  }
+
+  // Threshold that maximises the between-class variance of the histogram
+  static otsuThreshold(histogram) {
+    const total = histogram.reduce((sum, count) => sum + count, 0)
+    const weightedTotal = histogram.reduce((sum, count, value) => sum + value * count, 0)
+
+    let background = 0
+    let weightedBackground = 0
+    let best = { threshold: 128, variance: -1 }
+
+    for (let value = 0; value < 256; value++) {
+      background += histogram[value]
+      if (background === 0) continue
+      const foreground = total - background
+      if (foreground === 0) break
+
+      weightedBackground += value * histogram[value]
+      const meanBackground = weightedBackground / background
+      const meanForeground = (weightedTotal - weightedBackground) / foreground
+      const variance = background * foreground * (meanBackground - meanForeground) ** 2
+
+      if (variance > best.variance) best = { threshold: value, variance }
+    }
+
+    return best.threshold
+  }
+}
+
+module.exports = { ImagePreprocessor, PREPROCESS_STEPS }
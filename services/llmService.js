@@ -0,0 +1,411 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const axios = require('axios')
+const { parseJsonSafely } = require('../utils/jsonParsing')
+const { validateAgainstSchema } = require('../utils/structureValidator')
+
+/**
+ * LLM provider abstraction layer
+ * Chat completions for extraction and evaluation with primary/fallback providers,
+ * per-task model selection, timeouts and token-usage accounting.
+ *
+ * Providers expose `name`, `structuredOutput` and
+ *   complete({ model, messages, temperature, maxTokens, jsonSchema, timeout, maxRetries })
+ *     → { content, model, usage: { promptTokens, completionTokens, totalTokens } }
+ *
+ * `structuredOutput` is how a provider constrains replies when a JSON schema is given:
+ *   json_schema - schema-constrained output (OpenAI structured outputs)
+ *   json_object - valid JSON guaranteed, schema only described in the prompt
+ *   none        - free text; replies go through parseJsonSafely (utils/jsonParsing.js)
+ *
+ *   openai   - official SDK client (default)
+ *   http     - any OpenAI-compatible /chat/completions server (LLM_HTTP_BASE_URL),
+ *              e.g. a local model server or a mock
+ *   fixture  - deterministic canned responses, no network (LLM_FIXTURES_DIR); for tests
+ *
+ * Configuration (options override env):
+ *   LLM_PROVIDER / LLM_FALLBACK_PROVIDER   - provider names (fallback optional)
+ *   LLM_TIMEOUT_MS                         - per-request timeout (default 120000)
+ *   LLM_MODEL_<TASK>                       - model per task, e.g. LLM_MODEL_EXTRACTION
+ *   LLM_OPENAI_STRUCTURED_OUTPUT / LLM_HTTP_STRUCTURED_OUTPUT - structured output mode per provider
+ *
+ * Usage:
+ *   const { content, usage } = await llm.complete({ task: 'extraction', messages, maxTokens: 8000 })
+ *   const { data } = await llm.completeJson({ task, messages, schema: { name, schema }, validate })
+ */
+
+const MAX_REPAIR_ERRORS_LISTED = 25
+
+const DEFAULT_MODELS = {
+  extraction: 'gpt-4o',
+  'writing-evaluation': 'gpt-4o-mini',
+  'speaking-evaluation': 'gpt-4o-mini'
+}
+
+const DEFAULT_TIMEOUT_MS = 120000
+
+function envKey(task) {
+  return `LLM_MODEL_${task.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`
+}
+
+// Keywords OpenAI's schema subset does not accept; validation still uses the full schema
+const UNSUPPORTED_SCHEMA_KEYWORDS = ['$id', 'if', 'then', 'else']
+
+function toProviderSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema
+      .map(toProviderSchema)
+      .filter(entry => !(entry && typeof entry === 'object' && !Array.isArray(entry) && Object.keys(entry).length === 0))
+  }
+  if (!schema || typeof schema !== 'object') return schema
+
+  const converted = {}
+  for (const [key, value] of Object.entries(schema)) {
+    if (UNSUPPORTED_SCHEMA_KEYWORDS.includes(key)) continue
+    if (key === '$ref') converted.$ref = value.replace('#/definitions/', '#/$defs/')
+    else converted[key === 'definitions' ? '$defs' : key] = toProviderSchema(value)
+  }
+  if (Array.isArray(converted.allOf) && converted.allOf.length === 0) delete converted.allOf
+  return converted
+}
+
+// response_format for a provider's structured output mode (null: plain text)
+function responseFormatFor(mode, jsonSchema) {
+  if (!jsonSchema || mode === 'none') return null
+  if (mode === 'json_object') return { type: 'json_object' }
+
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: jsonSchema.name,
+      schema: toProviderSchema(jsonSchema.schema),
+      strict: Boolean(jsonSchema.strict)
+    }
+  }
+}
+
+function normaliseUsage(usage) {
+  const promptTokens = usage?.prompt_tokens ?? usage?.promptTokens ?? 0
+  const completionTokens = usage?.completion_tokens ?? usage?.completionTokens ?? 0
+  return { promptTokens, completionTokens, totalTokens: usage?.total_tokens ?? usage?.totalTokens ?? promptTokens + completionTokens }
+}
+
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai'
+    this.client = options.client
+    this.structuredOutput = options.structuredOutput || process.env.LLM_OPENAI_STRUCTURED_OUTPUT || 'json_schema'
+  }
+
+  async complete({ model, messages, temperature, maxTokens, jsonSchema, timeout, maxRetries }) {
+    const responseFormat = responseFormatFor(this.structuredOutput, jsonSchema)
+    const completion = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(responseFormat && { response_format: responseFormat })
+    }, { timeout, ...(maxRetries !== undefined && { maxRetries }) })
+
+    return {
+      content: completion.choices?.[0]?.message?.content || '',
+      model: completion.model || model,
+      usage: normaliseUsage(completion.usage)
+    }
+  }
+}
+
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = 'http'
+    this.baseUrl = (options.baseUrl || process.env.LLM_HTTP_BASE_URL || 'http://localhost:8080/v1').replace(/\/+$/, '')
+    this.apiKey = options.apiKey || process.env.LLM_HTTP_API_KEY || null
+    // Local servers usually serve a single model whatever the task asks for
+    this.model = options.model || process.env.LLM_HTTP_MODEL || null
+    // Most local servers (llama.cpp, vLLM, Ollama) honour json_object; json_schema support varies
+    this.structuredOutput = options.structuredOutput || process.env.LLM_HTTP_STRUCTURED_OUTPUT || 'json_object'
+  }
+
+  async complete({ model, messages, temperature, maxTokens, jsonSchema, timeout }) {
+    const responseFormat = responseFormatFor(this.structuredOutput, jsonSchema)
+    try {
+      const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+        model: this.model || model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(responseFormat && { response_format: responseFormat })
+      }, {
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        timeout
+      })
+
+      return {
+        content: response.data?.choices?.[0]?.message?.content || '',
+        model: response.data?.model || this.model || model,
+        usage: normaliseUsage(response.data?.usage)
+      }
+    } catch (error) {
+      // Surface the HTTP status the way the OpenAI SDK does, so retry logic can tell 429s apart
+      if (error.response) {
+        const httpError = new Error(`LLM HTTP ${error.response.status}: ${error.response.data?.error?.message || error.message}`)
+        httpError.status = error.response.status
+        httpError.headers = error.response.headers
+        throw httpError
+      }
+      throw error
+    }
+  }
+}
+
+class FixtureProvider {
+  constructor(options = {}) {
+    this.name = 'fixture'
+    // Fixtures are stored replies, parsed like free text
+    this.structuredOutput = 'none'
+    this.fixtures = options.fixtures || {}
+    this.fixturesDir = options.fixturesDir || process.env.LLM_FIXTURES_DIR || null
+  }
+
+  // Stable key for a request, used as fixture file name (<key>.json / <key>.txt)
+  static requestKey(task, messages) {
+    return crypto.createHash('sha256').update(JSON.stringify({ task, messages })).digest('hex').slice(0, 16)
+  }
+
+  readFixtureFile(name) {
+    if (!this.fixturesDir) return undefined
+
+    for (const extension of ['.json', '.txt']) {
+      const filePath = path.join(this.fixturesDir, `${name}${extension}`)
+      if (fs.existsSync(filePath)) return fs.readFileSync(filePath, 'utf-8')
+    }
+    return undefined
+  }
+
+  async complete(request) {
+    const key = FixtureProvider.requestKey(request.task, request.messages)
+    let fixture = this.fixtures[key] ?? this.fixtures[request.task] ??
+      this.readFixtureFile(key) ?? this.readFixtureFile(request.task)
+
+    if (fixture === undefined) {
+      throw new Error(`No LLM fixture for task "${request.task}" (request key ${key})`)
+    }
+    if (typeof fixture === 'function') fixture = await fixture(request)
+
+    const content = typeof fixture === 'string' ? fixture : JSON.stringify(fixture)
+    const promptTokens = Math.ceil(JSON.stringify(request.messages).length / 4)
+    const completionTokens = Math.ceil(content.length / 4)
+
+    return {
+      content,
+      model: request.model,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    }
+  }
+}
+
+function createProvider(name, options = {}) {
+  switch (name) {
+    case 'openai':
+      return new OpenAIProvider({ client: options.openai })
+    case 'http':
+      return new OpenAICompatibleProvider(options.http)
+    case 'fixture':
+      return new FixtureProvider(options.fixture)
+    default:
+      throw new Error(`Unknown LLM provider "${name}"`)
+  }
+}
+
+class LLMService {
+  constructor(options = {}) {
+    this.primaryProvider = options.primaryProvider || process.env.LLM_PROVIDER || 'openai'
+    this.fallbackProvider = options.fallbackProvider ?? process.env.LLM_FALLBACK_PROVIDER ?? null
+    this.timeout = options.timeout || parseInt(process.env.LLM_TIMEOUT_MS || '', 10) || DEFAULT_TIMEOUT_MS
+    this.models = options.models || {}
+
+    this.providers = {}
+    for (const name of [this.primaryProvider, this.fallbackProvider].filter(Boolean)) {
+      this.providers[name] = options.providers?.[name] || createProvider(name, options)
+    }
+
+    this.usage = {}
+
+    console.log(`🔧 LLM Service initialized with primary: ${this.primaryProvider}, fallback: ${this.fallbackProvider || 'none'}`)
+  }
+
+  /**
+   * Model for a task: options.models, then LLM_MODEL_<TASK>, then the default
+   */
+  modelFor(task) {
+    return this.models[task] || process.env[envKey(task)] || DEFAULT_MODELS[task] || DEFAULT_MODELS.extraction
+  }
+
+  recordUsage({ task, provider, model, usage }) {
+    const key = `${task}|${provider}|${model}`
+    const entry = this.usage[key] || (this.usage[key] = {
+      task, provider, model, requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0
+    })
+
+    entry.requests++
+    entry.promptTokens += usage.promptTokens
+    entry.completionTokens += usage.completionTokens
+    entry.totalTokens += usage.totalTokens
+  }
+
+  getUsage() {
+    const entries = Object.values(this.usage)
+    return {
+      totalTokens: entries.reduce((sum, entry) => sum + entry.totalTokens, 0),
+      requests: entries.reduce((sum, entry) => sum + entry.requests, 0),
+      byTask: entries
+    }
+  }
+
+  async completeWith(providerName, request) {
+    const provider = this.providers[providerName]
+    const startTime = Date.now()
+    let timer
+
+    // The adapters pass the timeout to their transport too; this also bounds fixtures and hung sockets
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`LLM request timed out after ${request.timeout}ms (${providerName})`)), request.timeout)
+    })
+
+    try {
+      const result = await Promise.race([provider.complete(request), timeout])
+      const latencyMs = Date.now() - startTime
+
+      this.recordUsage({ task: request.task, provider: providerName, model: result.model, usage: result.usage })
+      console.log(`🤖 ${providerName}/${result.model} (${request.task}): ${result.usage.totalTokens} tokens in ${latencyMs}ms`)
+
+      return { ...result, provider: providerName, structuredOutput: request.jsonSchema ? provider.structuredOutput : 'none', latencyMs }
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  /**
+   * Run a chat completion for `task` on the primary provider, falling back once
+   * to the fallback provider when the primary fails. Callers keep their own
+   * retry policy; the primary's error is rethrown when both fail.
+   * `retries: false` turns off the SDK's own retries and the fallback, for
+   * callers that retry failures themselves.
+   */
+  async complete({ task, messages, temperature = 0.2, maxTokens = 1000, jsonSchema = null, model = null, timeout = null, retries = true }) {
+    const request = {
+      task,
+      model: model || this.modelFor(task),
+      messages,
+      temperature,
+      maxTokens,
+      jsonSchema,
+      timeout: timeout || this.timeout,
+      ...(!retries && { maxRetries: 0 })
+    }
+
+    try {
+      return await this.completeWith(this.primaryProvider, request)
+    } catch (error) {
+      if (!retries || !this.fallbackProvider || this.fallbackProvider === this.primaryProvider) throw error
+
+      console.warn(`⚠️ LLM ${this.primaryProvider} failed for ${task}: ${error.message}. Falling back to ${this.fallbackProvider}`)
+      try {
+        return await this.completeWith(this.fallbackProvider, request)
+      } catch (fallbackError) {
+        console.error(`❌ Fallback LLM ${this.fallbackProvider} also failed: ${fallbackError.message}`)
+        throw error
+      }
+    }
+  }
+
+  static parseReply(content, structuredOutput, context) {
+    if (!content) throw new Error('Empty response')
+    // Constrained replies are strict JSON; only free-text replies get the repair heuristics
+    return structuredOutput === 'none'
+      ? parseJsonSafely(content, context)
+      : JSON.parse(content)
+  }
+
+  static buildRepairMessage(errors) {
+    const listed = errors.slice(0, MAX_REPAIR_ERRORS_LISTED).map(error =>
+      `- ${error.path}${error.location ? ` (${error.location})` : ''}: ${error.message}`
+    )
+    if (errors.length > listed.length) listed.push(`- ...and ${errors.length - listed.length} more`)
+
+    return `Your JSON does not match the required schema. Fix exactly these problems, keep everything else unchanged, and return the complete corrected JSON only:
+${listed.join('\n')}`
+  }
+
+  /**
+   * Chat completion that must return JSON matching `schema` ({ name, schema, strict }).
+   * The schema is sent as structured output where the provider supports it. Replies
+   * are checked with `validate(data)` (default: the schema itself), which returns
+   * [{ path, message, location? }]; on violations the model gets a repair request
+   * listing them, up to `maxRepairs` times.
+   *
+   * Resolves to { data, errors, repairs, completion, usage }; `errors` holds the
+   * violations left after the last repair. Throws when no valid JSON was returned.
+   */
+  async completeJson({ schema, validate = null, maxRepairs = 2, context = 'LLM', onRepair = null, messages, ...request }) {
+    const conversation = [...messages]
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+    let data
+    let errors = []
+    let completion
+
+    for (let round = 0; round <= maxRepairs; round++) {
+      completion = await this.complete({ ...request, messages: conversation, jsonSchema: schema })
+      for (const key of Object.keys(usage)) usage[key] += completion.usage[key]
+
+      try {
+        data = LLMService.parseReply(completion.content, completion.structuredOutput, context)
+        errors = validate ? await validate(data) : validateAgainstSchema(schema.schema, data)
+      } catch (parseError) {
+        data = undefined
+        errors = [{ path: '/', message: `reply is not valid JSON (${parseError.message})` }]
+      }
+
+      if (errors.length === 0) return { data, errors, repairs: round, completion, usage }
+      if (round === maxRepairs) break
+
+      console.warn(`🔧 ${context}: ${errors.length} schema violation(s), requesting repair ${round + 1}/${maxRepairs}`)
+      if (onRepair) onRepair({ round: round + 1, maxRepairs, errors })
+
+      conversation.push(
+        { role: 'assistant', content: completion.content || '' },
+        { role: 'user', content: LLMService.buildRepairMessage(errors) }
+      )
+    }
+
+    if (data === undefined) {
+      const error = new Error(`${context}: no valid JSON after ${maxRepairs} repair request(s): ${errors[0].message}`)
+      error.code = 'INVALID_JSON'
+      throw error
+    }
+    return { data, errors, repairs: maxRepairs, completion, usage }
+  }
+
+  getServiceStatus() {
+    return {
+      primaryProvider: this.primaryProvider,
+      fallbackProvider: this.fallbackProvider,
+      structuredOutput: Object.fromEntries(Object.entries(this.providers).map(([name, provider]) => [name, provider.structuredOutput])),
+      models: Object.fromEntries(Object.keys({ ...DEFAULT_MODELS, ...this.models }).map(task => [task, this.modelFor(task)])),
+      configuration: {
+        timeout: this.timeout
+      },
+      usage: this.getUsage()
+    }
+  }
+}
+
+module.exports = {
+  LLMService,
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  FixtureProvider,
+  DEFAULT_MODELS,
+  toProviderSchema
+}
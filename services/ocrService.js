@@ -1,47 +1,41 @@
 const Tesseract = require('tesseract.js')
 const FormData = require('form-data')
 const fs = require('fs')
+const os = require('os')
 const axios = require('axios')
 const path = require('path')
+const ocrLayout = require('../utils/ocrLayout')
+const { parseJsonSafely, cleanJsonString } = require('../utils/jsonParsing')
+const { ImagePreprocessor } = require('./imagePreprocessor')
 
-// Install jsonrepair for JSON cleaning: npm install jsonrepair
-let jsonrepair
-try {
-  const { jsonrepair: repair } = require('jsonrepair')
-  jsonrepair = repair
-} catch (error) {
-  console.warn('⚠️ jsonrepair package not found. Install with: npm install jsonrepair')
-  jsonrepair = null
-}
+// Engines a low-confidence page can be handed between, as named in OCR_SERVICE
+const OCR_ENGINES = ['tesseract', 'doctr']
 
 /**
  * OCR Service abstraction layer
  * Supports both Tesseract.js and docTR with automatic fallback
  *
- * JSON Parsing Features:
- * - Robust JSON parsing with automatic cleaning and repair
- * - Handles common GPT-4 response formatting issues
- * - Multiple fallback strategies for parsing invalid JSON
+ * Both engines return `layout`, the normalised pages → blocks → lines → words
+ * model with bounding boxes (utils/ocrLayout.js), next to the flat `text`.
+ *
+ * Tesseract runs on a pool of reusable workers (at most `concurrency`, created
+ * on demand and terminated after `workerIdleMs` without work), so a batch of
+ * pages does not pay the worker start-up and language load for every page.
  *
- * Usage Examples:
+ * A page read below its engine's confidence threshold (`minConfidence`, in
+ * the engine's own scale: Tesseract 0-100, docTR 0-1) is read again by the
+ * other engine; the more confident reading is kept, merged line by line with
+ * the other when both have geometry. Results carry `lowConfidence` when the
+ * page is still below the threshold afterwards.
  *
- * // Simple JSON parsing with error handling
- * try {
- *   const result = OCRService.parseJsonSafely(gptResponse, 'GPT-4')
- *   console.log('Parsed:', result)
- * } catch (error) {
- *   console.error('Failed to parse JSON:', error.message)
- * }
+ * JSON parsing of GPT responses lives in utils/jsonParsing.js; parseJsonSafely
+ * and cleanJsonString stay available here as OCRService statics.
  *
  * // Processing GPT responses with promises
  * const result = await OCRService.processGptJsonResponse(
  *   openai.chat.completions.create({...}),
  *   'Question Analysis'
  * )
- *
- * // Manual JSON cleaning
- * const cleaned = OCRService.cleanJsonString(rawJsonString)
- * const parsed = JSON.parse(cleaned)
  */
 class OCRService {
   constructor(options = {}) {
@@ -50,8 +44,97 @@ class OCRService {
     this.doctrUrl = options.doctrUrl || process.env.DOCTR_URL || 'http://localhost:8000'
     this.timeout = options.timeout || 30000 // 30 seconds
     this.maxRetries = options.maxRetries || 2
+    // Pages recognised at the same time, and the size of the Tesseract worker pool
+    this.concurrency = options.concurrency || parseInt(process.env.OCR_CONCURRENCY || '', 10) || 2
+    this.workerIdleMs = options.workerIdleMs ?? 60000 // 0 keeps idle workers running
+    // Scanned-page clean-up before OCR; OCR_PREPROCESS sets the default steps ('off', 'all' or a list)
+    this.preprocessor = options.preprocessor || new ImagePreprocessor()
+    this.preprocessSteps = ImagePreprocessor.parseSteps(options.preprocess ?? process.env.OCR_PREPROCESS).steps
+    // Confidence below which a page is also read by the other engine; OCR_ARBITRATION=off only flags it
+    this.minConfidence = {
+      tesseract: options.minConfidence?.tesseract ?? (parseFloat(process.env.OCR_MIN_CONFIDENCE_TESSERACT) || 70),
+      doctr: options.minConfidence?.doctr ?? (parseFloat(process.env.OCR_MIN_CONFIDENCE_DOCTR) || 0.6)
+    }
+    this.arbitration = options.arbitration ?? process.env.OCR_ARBITRATION !== 'off'
+
+    this.tesseractWorkers = []
+    this.tesseractWaiters = []
+    this.idleTimer = null
+
+    console.log(`🔧 OCR Service initialized with primary: ${this.primaryService}, fallback: ${this.fallbackService}, concurrency: ${this.concurrency}`)
+  }
+
+  /**
+   * Borrow an idle Tesseract worker, starting a new one while the pool is
+   * below `concurrency`, otherwise wait for one to be released
+   */
+  async acquireTesseractWorker() {
+    clearTimeout(this.idleTimer)
+
+    const idle = this.tesseractWorkers.find(slot => !slot.busy && slot.worker)
+    if (idle) {
+      idle.busy = true
+      return idle
+    }
+
+    if (this.tesseractWorkers.length < this.concurrency) {
+      // The slot is registered before the worker loads so parallel callers count it
+      const slot = { worker: null, busy: true, onProgress: null }
+      this.tesseractWorkers.push(slot)
+
+      try {
+        slot.worker = await Tesseract.createWorker('eng', 1, {
+          logger: m => slot.onProgress && slot.onProgress(m)
+        })
+        console.log(`🧵 Tesseract worker started (${this.tesseractWorkers.length}/${this.concurrency})`)
+        return slot
+      } catch (error) {
+        this.tesseractWorkers.splice(this.tesseractWorkers.indexOf(slot), 1)
+        this.wakeTesseractWaiter()
+        throw error
+      }
+    }
+
+    return new Promise(resolve => this.tesseractWaiters.push(resolve))
+      .then(() => this.acquireTesseractWorker())
+  }
+
+  releaseTesseractWorker(slot) {
+    slot.busy = false
+    slot.onProgress = null
+    this.wakeTesseractWaiter()
+    this.scheduleIdleShutdown()
+  }
+
+  // Drop a worker that failed mid-recognition; a fresh one is started on demand
+  async discardTesseractWorker(slot) {
+    this.tesseractWorkers.splice(this.tesseractWorkers.indexOf(slot), 1)
+    await slot.worker.terminate().catch(() => {})
+    this.wakeTesseractWaiter()
+  }
+
+  wakeTesseractWaiter() {
+    const next = this.tesseractWaiters.shift()
+    if (next) next()
+  }
 
-    console.log(`🔧 OCR Service initialized with primary: ${this.primaryService}, fallback: ${this.fallbackService}`)
+  scheduleIdleShutdown() {
+    clearTimeout(this.idleTimer)
+    if (!this.workerIdleMs || this.tesseractWorkers.some(slot => slot.busy)) return
+
+    this.idleTimer = setTimeout(() => this.terminateWorkers(), this.workerIdleMs)
+    this.idleTimer.unref()
+  }
+
+  /**
+   * Terminate idle Tesseract workers (all of them when nothing is running)
+   */
+  async terminateWorkers() {
+    const idle = this.tesseractWorkers.filter(slot => !slot.busy && slot.worker)
+    this.tesseractWorkers = this.tesseractWorkers.filter(slot => !idle.includes(slot))
+
+    await Promise.all(idle.map(slot => slot.worker.terminate().catch(() => {})))
+    if (idle.length > 0) console.log(`🧵 Terminated ${idle.length} idle Tesseract worker(s)`)
   }
 
   /**
@@ -74,8 +157,11 @@ class OCRService {
 
   /**
    * Extract text using docTR service
+   * docTR does not stream progress; onProgress is called once when the page is done.
+   * The layout comes from `pages` (docTR's Document.export()) when the service
+   * includes it, otherwise it is rebuilt from the text without geometry.
    */
-  async extractTextWithDocTR(imagePath) {
+  async extractTextWithDocTR(imagePath, options = {}) {
     try {
       const startTime = Date.now()
 
@@ -104,13 +190,22 @@ class OCRService {
       const processingTime = Date.now() - startTime
 
       if (response.data.success) {
+        if (options.onProgress) {
+          options.onProgress({ engine: 'docTR', progress: 1 })
+        }
+
         console.log(`✅ docTR: Extracted ${response.data.character_count} characters in ${processingTime}ms (confidence: ${response.data.confidence.toFixed(2)})`)
 
+        const layout = response.data.pages?.length
+          ? ocrLayout.fromDocTR(response.data.pages[0])
+          : ocrLayout.fromText(response.data.text, response.data.confidence)
+
         return {
           text: response.data.text,
           confidence: response.data.confidence,
           processingTime,
           service: 'docTR',
+          layout,
           metadata: response.data.processing_info
         }
       } else {
@@ -125,20 +220,36 @@ class OCRService {
 
   /**
    * Extract text using Tesseract.js
+   * options.onProgress receives { engine, progress } (0-1) in roughly 5% steps
    */
-  async extractTextWithTesseract(imagePath) {
+  async extractTextWithTesseract(imagePath, options = {}) {
+    let slot = null
+
     try {
+      const queuedAt = Date.now()
+      slot = await this.acquireTesseractWorker()
+
       const startTime = Date.now()
+      let lastReported = -1
 
       console.log(`🔍 Tesseract: Processing ${path.basename(imagePath)}`)
 
-      const { data: { text, confidence } } = await Tesseract.recognize(imagePath, 'eng', {
-        logger: m => {
-          if (m.status === 'recognizing text') {
-            console.log(`🧠 Tesseract progress: ${Math.floor(m.progress * 100)}%`)
+      slot.onProgress = m => {
+        if (m.status === 'recognizing text') {
+          const percent = Math.floor(m.progress * 100)
+          console.log(`🧠 Tesseract progress (${path.basename(imagePath)}): ${percent}%`)
+
+          if (options.onProgress && (percent - lastReported >= 5 || percent === 100)) {
+            lastReported = percent
+            options.onProgress({ engine: 'Tesseract', progress: m.progress })
           }
         }
-      })
+      }
+
+      const { data } = await slot.worker.recognize(imagePath, {}, { text: true, blocks: true })
+      const { text, confidence } = data
+      this.releaseTesseractWorker(slot)
+      slot = null
 
       const processingTime = Date.now() - startTime
 
@@ -149,23 +260,189 @@ class OCRService {
         confidence,
         processingTime,
         service: 'Tesseract',
+        layout: ocrLayout.fromTesseract(data),
         metadata: {
           model: 'Tesseract.js',
           filename: path.basename(imagePath),
-          file_size: fs.statSync(imagePath).size
+          file_size: fs.statSync(imagePath).size,
+          wait_time: startTime - queuedAt
         }
       }
 
     } catch (error) {
+      if (slot?.worker) await this.discardTesseractWorker(slot)
       console.error(`❌ Tesseract extraction failed: ${error.message}`)
       throw error
     }
   }
 
   /**
-   * Extract text with automatic service selection and fallback
+   * Extract text, preprocessing the image first when steps are configured
+   *
+   * options.preprocess    - step names (services/imagePreprocessor.js), defaults
+   *                         to the steps set by OCR_PREPROCESS; [] skips it
+   * options.measurePreprocessing - also OCR the original and every step's
+   *                         image and log the confidence change of each step
+   * options.onProgress    - forwarded to the engine that handles the page
+   *
+   * A result below its engine's confidence threshold is arbitrated with the
+   * other engine (see arbitrate). With preprocessing the result has `preprocessing`: { steps, durationMs,
+   * confidence: [{ step, engine, confidence, delta }] }, and layout boxes
+   * refer to the preprocessed image.
+   */
+  async extractText(imagePath, options = {}) {
+    const steps = options.preprocess ?? this.preprocessSteps
+    if (!steps || steps.length === 0) {
+      return this.arbitrate(imagePath, await this.recognise(imagePath, options), options)
+    }
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-preprocess-'))
+    const startTime = Date.now()
+
+    try {
+      const confidence = []
+      let lastMeasured = null
+
+      if (options.measurePreprocessing) {
+        const original = await this.recognise(imagePath)
+        confidence.push({ step: 'original', engine: original.service, confidence: original.confidence, delta: null })
+      }
+
+      const prepared = await this.preprocessor.run(imagePath, steps, {
+        workDir,
+        onStep: options.measurePreprocessing ? async (report, stepPath) => {
+          lastMeasured = await this.recognise(stepPath)
+          const previous = confidence[confidence.length - 1]
+          confidence.push({
+            step: report.name,
+            engine: lastMeasured.service,
+            confidence: lastMeasured.confidence,
+            delta: previous.engine === lastMeasured.service ? Math.round((lastMeasured.confidence - previous.confidence) * 1000) / 1000 : null
+          })
+        } : null
+      })
+      const preprocessingTime = Date.now() - startTime
+
+      if (confidence.length > 0) {
+        console.log(`🧪 Preprocessing ${path.basename(imagePath)}: ${confidence.map(entry => `${entry.step} ${entry.confidence.toFixed(2)}${entry.delta !== null ? ` (${entry.delta >= 0 ? '+' : ''}${entry.delta.toFixed(2)})` : ''}`).join(' → ')}`)
+      }
+
+      // When measuring, the last step's OCR is already the final result
+      const applied = prepared.steps.filter(step => step.applied)
+      const recognised = lastMeasured && applied.length > 0
+        ? lastMeasured
+        : await this.recognise(prepared.path, options)
+      const result = await this.arbitrate(prepared.path, recognised, options)
+
+      return {
+        ...result,
+        preprocessing: {
+          steps: prepared.steps,
+          durationMs: preprocessingTime,
+          confidence
+        }
+      }
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true })
+    }
+  }
+
+  // Result confidence on a 0-1 scale; Tesseract reports 0-100
+  static normalisedConfidence(result) {
+    const confidence = result?.confidence ?? 0
+    return result?.service === 'Tesseract' ? confidence / 100 : confidence
+  }
+
+  // Threshold for the engine that produced `service`, on a 0-1 scale (null for non-OCR text)
+  normalisedThreshold(service) {
+    const engine = String(service || '').toLowerCase()
+    if (!OCR_ENGINES.includes(engine)) return null
+    return engine === 'tesseract' ? this.minConfidence.tesseract / 100 : this.minConfidence.doctr
+  }
+
+  isLowConfidence(result) {
+    const threshold = this.normalisedThreshold(result.service)
+    return threshold !== null && OCRService.normalisedConfidence(result) < threshold
+  }
+
+  async recogniseWith(engine, imagePath, options = {}) {
+    if (engine === 'doctr') {
+      if (!(await this.isDocTRHealthy())) throw new Error('docTR service is unhealthy')
+      return this.extractTextWithDocTR(imagePath, options)
+    }
+    return this.extractTextWithTesseract(imagePath, options)
+  }
+
+  /**
+   * Second reading of a page below its engine's confidence threshold by the
+   * other engine. The result gets `lowConfidence`, and `arbitration`
+   * ({ engines, confidence, chosen, replacedLines, addedLines } or { engines, error })
+   * when the other engine was tried.
+   */
+  async arbitrate(imagePath, result, options = {}) {
+    if (!this.isLowConfidence(result)) return { ...result, lowConfidence: false }
+    if (!this.arbitration || options.arbitrate === false) return { ...result, lowConfidence: true }
+
+    const other = OCR_ENGINES.find(engine => engine !== result.service.toLowerCase())
+    console.log(`⚖️ ${result.service} confidence ${OCRService.normalisedConfidence(result).toFixed(2)} is below ${this.normalisedThreshold(result.service)} on ${path.basename(imagePath)}, reading it with ${other} too`)
+
+    let second
+    try {
+      second = await this.recogniseWith(other, imagePath)
+    } catch (error) {
+      console.warn(`⚠️ Arbitration with ${other} failed: ${error.message}`)
+      return { ...result, lowConfidence: true, arbitration: { engines: [result.service], error: error.message } }
+    }
+
+    const arbitrated = OCRService.mergeResults(result, second)
+    console.log(`⚖️ Kept ${arbitrated.arbitration.chosen} for ${path.basename(imagePath)} (confidence ${OCRService.normalisedConfidence(arbitrated).toFixed(2)})`)
+    return { ...arbitrated, lowConfidence: this.isLowConfidence(arbitrated) }
+  }
+
+  /**
+   * Combine two engines' readings of the same image: the more confident one
+   * is the base, and when both layouts have geometry its lines are swapped
+   * for more confident matching lines of the other (utils/ocrLayout.js
+   * mergeLayouts). A merged result keeps the base's service and scale.
+   */
+  static mergeResults(first, second) {
+    const [base, other] = OCRService.normalisedConfidence(second) > OCRService.normalisedConfidence(first)
+      ? [second, first]
+      : [first, second]
+    const arbitration = {
+      engines: [first.service, second.service],
+      confidence: {
+        [first.service]: OCRService.normalisedConfidence(first),
+        [second.service]: OCRService.normalisedConfidence(second)
+      },
+      chosen: base.service,
+      replacedLines: 0,
+      addedLines: 0
+    }
+
+    if (!base.layout || !other.layout || !ocrLayout.hasGeometry(base.layout) || !ocrLayout.hasGeometry(other.layout)) {
+      return { ...base, arbitration }
+    }
+
+    const { layout, replaced, added } = ocrLayout.mergeLayouts(base.layout, other.layout)
+    if (replaced + added === 0) return { ...base, arbitration }
+
+    const confidence = ocrLayout.layoutSummary(layout).meanWordConfidence ?? OCRService.normalisedConfidence(base)
+    return {
+      ...base,
+      text: ocrLayout.layoutToText(layout),
+      confidence: base.service === 'Tesseract' ? confidence * 100 : confidence,
+      processingTime: base.processingTime + other.processingTime,
+      layout,
+      arbitration: { ...arbitration, chosen: 'merged', replacedLines: replaced, addedLines: added }
+    }
+  }
+
+  /**
+   * Recognise an image with automatic service selection and fallback
+   * options.onProgress is forwarded to the engine that handles the page
    */
-  async extractText(imagePath) {
+  async recognise(imagePath, options = {}) {
     let lastError = null
     let attempts = 0
 
@@ -177,12 +454,12 @@ class OCRService {
         if (this.primaryService === 'doctr') {
           // Check if docTR is healthy before attempting
           if (await this.isDocTRHealthy()) {
-            return await this.extractTextWithDocTR(imagePath)
+            return await this.extractTextWithDocTR(imagePath, options)
           } else {
             throw new Error('docTR service is unhealthy')
           }
         } else {
-          return await this.extractTextWithTesseract(imagePath)
+          return await this.extractTextWithTesseract(imagePath, options)
         }
       } catch (error) {
         lastError = error
@@ -202,12 +479,12 @@ class OCRService {
       try {
         if (this.fallbackService === 'doctr') {
           if (await this.isDocTRHealthy()) {
-            return await this.extractTextWithDocTR(imagePath)
+            return await this.extractTextWithDocTR(imagePath, options)
           } else {
             throw new Error('docTR fallback service is also unhealthy')
           }
         } else {
-          return await this.extractTextWithTesseract(imagePath)
+          return await this.extractTextWithTesseract(imagePath, options)
         }
       } catch (fallbackError) {
         console.error(`❌ Fallback service ${this.fallbackService} also failed: ${fallbackError.message}`)
@@ -219,134 +496,55 @@ class OCRService {
   }
 
   /**
-   * Extract text from multiple images in batch
+   * Extract text from multiple images, `concurrency` at a time
+   * Results keep the input order; each has its wall-clock `durationMs`
+   * (including any retry or fallback). options.onPage is called as each
+   * image finishes.
    */
-  async extractTextBatch(imagePaths) {
-    const results = []
-
-    for (let i = 0; i < imagePaths.length; i++) {
-      const imagePath = imagePaths[i]
+  async extractTextBatch(imagePaths, options = {}) {
+    const concurrency = Math.max(1, Math.min(options.concurrency || this.concurrency, imagePaths.length))
+    const results = new Array(imagePaths.length)
+    const queue = imagePaths.map((imagePath, index) => ({ imagePath, index }))
+    const batchStart = Date.now()
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const { imagePath, index } = queue.shift()
+        const startTime = Date.now()
+
+        try {
+          console.log(`📄 Processing image ${index + 1}/${imagePaths.length}: ${path.basename(imagePath)}`)
+          const result = await this.extractText(imagePath)
+          results[index] = {
+            index,
+            imagePath,
+            success: true,
+            result,
+            durationMs: Date.now() - startTime
+          }
+        } catch (error) {
+          console.error(`❌ Failed to process image ${index + 1}: ${error.message}`)
+          results[index] = {
+            index,
+            imagePath,
+            success: false,
+            error: error.message,
+            durationMs: Date.now() - startTime
+          }
+        }
 
-      try {
-        console.log(`📄 Processing image ${i + 1}/${imagePaths.length}: ${path.basename(imagePath)}`)
-        const result = await this.extractText(imagePath)
-        results.push({
-          index: i,
-          imagePath,
-          success: true,
-          result
-        })
-      } catch (error) {
-        console.error(`❌ Failed to process image ${i + 1}: ${error.message}`)
-        results.push({
-          index: i,
-          imagePath,
-          success: false,
-          error: error.message
-        })
+        if (options.onPage) options.onPage(results[index])
       }
     }
 
+    await Promise.all(Array.from({ length: concurrency }, worker))
+
     const successful = results.filter(r => r.success).length
-    console.log(`✅ Batch processing complete: ${successful}/${imagePaths.length} images processed successfully`)
+    console.log(`✅ Batch processing complete: ${successful}/${imagePaths.length} images processed successfully in ${Date.now() - batchStart}ms (concurrency ${concurrency})`)
 
     return results
   }
 
-  /**
-   * Clean and fix JSON string to ensure it's valid
-   * Handles common GPT-4 JSON formatting issues
-   */
-  static cleanJsonString(rawJsonString) {
-    if (!rawJsonString || typeof rawJsonString !== 'string') {
-      throw new Error('Invalid JSON string provided')
-    }
-
-    let cleaned = rawJsonString
-      // Remove markdown code fences and json language hints
-      .replace(/```json\s*/gi, '')
-      .replace(/```\s*/g, '')
-
-      // Fix unquoted property names - handle common patterns
-      .replace(/([,{]\s*)([a-zA-Z0-9_]+)\s*:/g, '$1"$2":')
-      .replace(/(^\s*)([a-zA-Z0-9_]+)\s*:/g, '$1"$2":')
-
-      // Remove trailing commas
-      .replace(/,\s*([}\]])/g, '$1')
-
-      // Fix escaped quotes in strings - be careful not to break valid escaping
-      .replace(/([^\\])\\"/g, '$1\\"')
-
-      // Normalize line breaks in string values to \n
-      .replace(/(".*?)"[\r\n]+/g, (match, content) => {
-        return content.replace(/\r?\n/g, '\\n') + '"'
-      })
-
-      // Remove any control characters that might break JSON
-      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
-
-      // Trim whitespace
-      .trim()
-
-    return cleaned
-  }
-
-  /**
-   * Parse JSON with automatic cleaning and repair fallbacks
-   * Returns parsed object or throws descriptive error
-   */
-  static parseJsonSafely(rawJsonString, context = 'JSON') {
-    if (!rawJsonString) {
-      throw new Error(`Empty ${context} response received`)
-    }
-
-    // First attempt: try parsing as-is
-    try {
-      return JSON.parse(rawJsonString)
-    } catch (initialError) {
-      console.warn(`⚠️ Initial JSON parse failed for ${context}: ${initialError.message}`)
-    }
-
-    // Second attempt: clean the JSON string manually
-    try {
-      const cleaned = OCRService.cleanJsonString(rawJsonString)
-      console.log(`🔧 Attempting to parse cleaned JSON for ${context}`)
-      return JSON.parse(cleaned)
-    } catch (cleanedError) {
-      console.warn(`⚠️ Cleaned JSON parse failed for ${context}: ${cleanedError.message}`)
-    }
-
-    // Third attempt: use jsonrepair if available
-    if (jsonrepair) {
-      try {
-        console.log(`🔧 Attempting JSON repair for ${context}`)
-        const repaired = jsonrepair(rawJsonString)
-        return JSON.parse(repaired)
-      } catch (repairError) {
-        console.warn(`⚠️ JSON repair failed for ${context}: ${repairError.message}`)
-      }
-    }
-
-    // Final attempt: try to extract JSON from response if it's embedded
-    const jsonMatch = rawJsonString.match(/\{.*\}/s)
-    if (jsonMatch) {
-      try {
-        const extracted = jsonMatch[0]
-        console.log(`🔧 Attempting to parse extracted JSON for ${context}`)
-        return JSON.parse(OCRService.cleanJsonString(extracted))
-      } catch (extractError) {
-        console.warn(`⚠️ Extracted JSON parse failed for ${context}: ${extractError.message}`)
-      }
-    }
-
-    // If all attempts fail, provide detailed error information
-    const truncatedResponse = rawJsonString.length > 200
-      ? rawJsonString.substring(0, 200) + '...'
-      : rawJsonString
-
-    throw new Error(`Failed to parse ${context} JSON after all repair attempts. Raw response: ${truncatedResponse}`)
-  }
-
   /**
    * Utility method for processing GPT-4 responses with JSON cleaning
    * Use this when calling GPT-4 APIs that return JSON
@@ -358,15 +556,25 @@ class OCRService {
 
       console.log(`📝 Processing ${context} response (${rawJson.length} characters)`)
 
-      return OCRService.parseJsonSafely(rawJson, context)
+      return parseJsonSafely(rawJson, context)
     } catch (error) {
       console.error(`❌ Failed to process ${context} JSON response: ${error.message}`)
       throw error
     }
   }
 
+  /**
+   * Layout-preserving text of an OCR result: lines, paragraphs and " | "
+   * between table/form cells, each cell cleaned with cleanOCRText
+   */
+  static layoutText(result) {
+    const layout = result.layout || ocrLayout.fromText(result.text)
+    return ocrLayout.layoutToText(layout, { cleanSegment: OCRService.cleanOCRText })
+  }
+
   /**
    * Clean OCR text with enhanced IELTS-specific cleaning
+   * Collapses line breaks, so use layoutText when the layout matters
    */
   static cleanOCRText(text) {
     return text
@@ -429,15 +637,30 @@ class OCRService {
         },
         tesseract: {
           available: true,
-          version: 'tesseract.js 6.0.1'
+          version: 'tesseract.js 6.0.1',
+          workers: {
+            running: this.tesseractWorkers.length,
+            busy: this.tesseractWorkers.filter(slot => slot.busy).length,
+            waiting: this.tesseractWaiters.length
+          }
         }
       },
       configuration: {
         timeout: this.timeout,
-        maxRetries: this.maxRetries
+        maxRetries: this.maxRetries,
+        concurrency: this.concurrency,
+        workerIdleMs: this.workerIdleMs,
+        preprocess: this.preprocessSteps,
+        preprocessDpi: this.preprocessor.targetDpi,
+        minConfidence: this.minConfidence,
+        arbitration: this.arbitration
       }
     }
   }
 }
 
+OCRService.ENGINES = OCR_ENGINES
+OCRService.parseJsonSafely = parseJsonSafely
+OCRService.cleanJsonString = cleanJsonString
+
 module.exports = OCRService
\ No newline at end of file
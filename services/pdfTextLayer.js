@@ -0,0 +1,121 @@
+const path = require('path')
+const { execFile } = require('child_process')
+
+// Share of letters/digits among non-space characters below which a text layer
+// is treated as garbled (fonts without a Unicode mapping extract as symbols)
+const MIN_ALPHANUMERIC_SHARE = 0.7
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' }
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      return String.fromCodePoint(code)
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match
+  })
+}
+
+function readBox(attributes) {
+  const value = name => parseFloat((attributes.match(new RegExp(`${name}="([\\d.]+)"`)) || [])[1])
+  return { x0: value('xMin'), y0: value('yMin'), x1: value('xMax'), y1: value('yMax') }
+}
+
+/**
+ * Embedded text layer of digitally produced PDFs, read with poppler's
+ * pdftotext before anything is OCRed
+ *
+ * extract(pdfPath) returns one entry per page with its size in points and
+ * blocks → lines → words in PDF points; assess(page) decides whether the
+ * page's text is good enough to skip OCR.
+ *
+ * The binary is PDFTOTEXT_PATH, the one bundled with pdf-poppler (Windows,
+ * macOS) or `pdftotext` on the PATH; -bbox-layout needs poppler 0.70 or later.
+ */
+class PdfTextLayer {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.PDF_TEXT_LAYER !== 'off'
+    this.binary = options.binary || process.env.PDFTOTEXT_PATH || PdfTextLayer.bundledBinary() || 'pdftotext'
+    this.minWords = options.minWords || parseInt(process.env.PDF_TEXT_LAYER_MIN_WORDS || '', 10) || 25
+    this.timeout = options.timeout || 60000
+  }
+
+  static bundledBinary() {
+    try {
+      const popplerPath = require('pdf-poppler').path
+      if (!popplerPath) return null
+      return path.join(popplerPath, process.platform === 'win32' ? 'pdftotext.exe' : 'pdftotext')
+    } catch (error) {
+      return null
+    }
+  }
+
+  run(args) {
+    return new Promise((resolve, reject) => {
+      execFile(this.binary, args, { encoding: 'utf8', maxBuffer: 200 * 1024 * 1024, timeout: this.timeout }, (error, stdout, stderr) => {
+        if (error) {
+          error.message = `pdftotext failed: ${stderr?.trim() || error.message}`
+          reject(error)
+        } else {
+          resolve(stdout)
+        }
+      })
+    })
+  }
+
+  // [{ page, width, height, blocks: [{ lines: [{ words: [{ text, bbox }] }] }] }], boxes in points
+  async extract(pdfPath) {
+    const xhtml = await this.run(['-bbox-layout', '-enc', 'UTF-8', pdfPath, '-'])
+    return PdfTextLayer.parseBboxLayout(xhtml)
+  }
+
+  static parseBboxLayout(xhtml) {
+    const pages = []
+
+    for (const pageMatch of xhtml.matchAll(/<page\s+width="([\d.]+)"\s+height="([\d.]+)"\s*>([\s\S]*?)<\/page>/g)) {
+      const blocks = []
+
+      for (const blockMatch of pageMatch[3].matchAll(/<block\b[^>]*>([\s\S]*?)<\/block>/g)) {
+        const lines = []
+
+        for (const lineMatch of blockMatch[1].matchAll(/<line\b[^>]*>([\s\S]*?)<\/line>/g)) {
+          const words = [...lineMatch[1].matchAll(/<word\b([^>]*)>([\s\S]*?)<\/word>/g)]
+            .map(wordMatch => ({ text: decodeEntities(wordMatch[2]).trim(), bbox: readBox(wordMatch[1]) }))
+            .filter(word => word.text)
+          if (words.length > 0) lines.push({ words })
+        }
+
+        if (lines.length > 0) blocks.push({ lines })
+      }
+
+      pages.push({
+        page: pages.length + 1,
+        width: parseFloat(pageMatch[1]),
+        height: parseFloat(pageMatch[2]),
+        blocks
+      })
+    }
+
+    return pages
+  }
+
+  /**
+   * Whether a page's text layer can replace OCR: { usable, words, reason }
+   * reason is 'no-text', 'too-few-words' or 'garbled' when it cannot.
+   */
+  assess(page) {
+    const words = (page?.blocks || []).flatMap(block => block.lines.flatMap(line => line.words.map(word => word.text)))
+    const characters = words.join('')
+    const alphanumeric = (characters.match(/[\p{L}\p{N}]/gu) || []).length
+
+    if (words.length === 0) return { usable: false, words: 0, reason: 'no-text' }
+    if (words.length < this.minWords) return { usable: false, words: words.length, reason: 'too-few-words' }
+    if (characters.includes('�') || alphanumeric / characters.length < MIN_ALPHANUMERIC_SHARE) {
+      return { usable: false, words: words.length, reason: 'garbled' }
+    }
+    return { usable: true, words: words.length, reason: null }
+  }
+}
+
+module.exports = PdfTextLayer
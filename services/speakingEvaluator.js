@@ -0,0 +1,148 @@
+const { SPEAKING_CRITERIA, transcriptMetrics } = require('../utils/speakingScoring')
+const { criteriaBand } = require('../utils/bandConversion')
+const { SPEAKING_EVALUATION_SCHEMA } = require('../utils/evaluationSchemas')
+
+const PROMPT_VERSION = 'speaking-draft-v1'
+
+// Model output keys → canonical criterion keys (utils/speakingScoring)
+const CRITERIA_KEYS = {
+  fluencyAndCoherence: 'fluency_coherence',
+  lexicalResource: 'lexical_resource',
+  grammaticalRangeAndAccuracy: 'grammatical_range_accuracy',
+  pronunciation: 'pronunciation'
+}
+
+const SYSTEM_PROMPT = `You are an IELTS Speaking examiner using the official band descriptors:
+- Fluency and Coherence (FC)
+- Lexical Resource (LR)
+- Grammatical Range and Accuracy (GRA)
+- Pronunciation (P)
+
+You are given an automatic transcript of the candidate's answer, not the audio.
+
+Scoring rules:
+- Score each criterion as a whole band from 0 to 9.
+- Be strict: do not overestimate. This is a draft that a human examiner will confirm.
+- Pronunciation can only be inferred from transcription artefacts; score it conservatively and set "pronunciationConfidence" to "low" unless the evidence is clear.
+- Use the delivery measures (fillers, pauses, speaking rate) as evidence for Fluency and Coherence.
+- Excerpts in highlights must be short (3–10 words, exactly as in the transcript).
+- Output must be only JSON, no extra explanation.`
+
+/**
+ * Draft Speaking assessment from a transcript
+ *
+ * evaluate({ transcript, segments, durationSeconds, part, cueCard, question })
+ * returns { criteria, band, highlights, summary, metrics, ... } with whole-band
+ * criteria keyed like results.speaking_assessment. Drafts are suggestions for
+ * the examiner, never written to speaking_score directly.
+ */
+class SpeakingEvaluator {
+  constructor(options = {}) {
+    this.llm = options.llm
+    // null lets the LLM service pick the configured model for the task
+    this.model = options.model || null
+    this.maxAttempts = options.maxAttempts || 2
+  }
+
+  buildUserPrompt({ transcript, part, cueCard, question, metrics }) {
+    const task = cueCard
+      ? `Part 2 cue card: ${cueCard.topic}\nYou should say:\n${(cueCard.bulletPoints || []).map(p => `- ${p}`).join('\n')}\n${cueCard.finalPrompt || ''}`
+      : `Part ${part} question: ${question?.text || 'not recorded'}`
+
+    return `Evaluate the following IELTS Speaking answer.
+
+${task}
+
+Delivery measures:
+${JSON.stringify(metrics)}
+
+Return ONLY this JSON structure:
+{
+  "criteria": {
+    "fluencyAndCoherence": number,
+    "lexicalResource": number,
+    "grammaticalRangeAndAccuracy": number,
+    "pronunciation": number
+  },
+  "pronunciationConfidence": "low" | "medium" | "high",
+  "highlights": [
+    {
+      "type": "fluency" | "coherence" | "vocabulary" | "grammar" | "pronunciation" | "relevance",
+      "excerpt": string,
+      "suggestion": string
+    }
+  ],
+  "summary": string
+}
+
+Transcript:
+${transcript}`
+  }
+
+  async evaluate({ transcript, segments = [], durationSeconds = null, part, cueCard = null, question = null }) {
+    if (!transcript || !transcript.trim()) {
+      throw new Error('Cannot evaluate an empty transcript')
+    }
+
+    const metrics = transcriptMetrics({ text: transcript, segments, durationSeconds })
+    const userPrompt = this.buildUserPrompt({ transcript, part, cueCard, question, metrics })
+
+    // Schema violations are sent back to the model as repair requests; this loop
+    // only retries API failures and replies that are not JSON at all
+    let parsed
+    let completion
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      try {
+        const reply = await this.llm.completeJson({
+          task: 'speaking-evaluation',
+          model: this.model,
+          messages: [
+            { role: 'system', content: SYSTEM_PROMPT },
+            { role: 'user', content: userPrompt }
+          ],
+          temperature: 0.2,
+          maxTokens: 900,
+          schema: { name: 'speaking_evaluation', schema: SPEAKING_EVALUATION_SCHEMA, strict: true },
+          context: 'Speaking Evaluation'
+        })
+
+        if (reply.errors.length > 0) {
+          console.warn(`⚠️ Speaking Evaluation still has ${reply.errors.length} schema violation(s) after repair`)
+        }
+        parsed = reply.data
+        completion = { ...reply.completion, usage: reply.usage }
+        break
+      } catch (error) {
+        if (attempt >= this.maxAttempts) throw error
+        await new Promise(resolve => setTimeout(resolve, 500))
+      }
+    }
+
+    const criteria = {}
+    for (const [outputKey, key] of Object.entries(CRITERIA_KEYS)) {
+      const band = Number(parsed?.criteria?.[outputKey])
+      if (Number.isFinite(band)) criteria[key] = Math.min(9, Math.max(0, Math.round(band)))
+    }
+
+    return {
+      criteria,
+      // null unless the model scored all four criteria
+      band: criteriaBand(SPEAKING_CRITERIA.map(c => criteria[c.key])),
+      pronunciationConfidence: parsed?.pronunciationConfidence || 'low',
+      highlights: (parsed?.highlights || []).map(h => ({
+        type: h.type,
+        text: h.text || h.excerpt || '',
+        suggestion: h.suggestion || ''
+      })),
+      summary: parsed?.summary || '',
+      metrics,
+      model: completion.model,
+      provider: completion.provider,
+      usage: completion.usage,
+      promptVersion: PROMPT_VERSION,
+      generatedAt: new Date().toISOString()
+    }
+  }
+}
+
+module.exports = SpeakingEvaluator
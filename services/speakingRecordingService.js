@@ -0,0 +1,133 @@
+const fs = require('fs')
+
+/**
+ * Candidate speaking recordings: transcription and draft assessment
+ *
+ * Rows live in `speaking_recordings`. process(recordingId) moves a recording
+ * through uploaded → transcribing → evaluating → draft-ready (or failed);
+ * the examiner then confirms scores through PUT /api/results/:resultId/speaking,
+ * which marks the recordings as reviewed.
+ */
+class SpeakingRecordingService {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.speechToText = options.speechToText
+    this.evaluator = options.evaluator
+  }
+
+  async create(fields) {
+    const { data, error } = await this.supabase
+      .from('speaking_recordings')
+      .insert([{ ...fields, status: 'uploaded' }])
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  }
+
+  async get(recordingId) {
+    const { data, error } = await this.supabase
+      .from('speaking_recordings')
+      .select('*')
+      .eq('id', recordingId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  async listForResult(resultId) {
+    const { data, error } = await this.supabase
+      .from('speaking_recordings')
+      .select('*')
+      .eq('result_id', resultId)
+      .order('part', { ascending: true })
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  }
+
+  async update(recordingId, fields) {
+    const { data, error } = await this.supabase
+      .from('speaking_recordings')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', recordingId)
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  }
+
+  async markReviewed(resultId) {
+    const { error } = await this.supabase
+      .from('speaking_recordings')
+      .update({ status: 'reviewed', reviewed_at: new Date().toISOString() })
+      .eq('result_id', resultId)
+      .eq('status', 'draft-ready')
+
+    if (error) throw error
+  }
+
+  // Find the cue card / question a recording answers in tests.speaking
+  async findPrompt(recording) {
+    if (!recording.test_id || !recording.question_id) return {}
+
+    const { data: test } = await this.supabase
+      .from('tests')
+      .select('speaking')
+      .eq('id', recording.test_id)
+      .maybeSingle()
+
+    const part = (test?.speaking?.parts || []).find(p => p.part === recording.part)
+    const item = (part?.questions || []).find(q => q.questionId === recording.question_id)
+    if (!item) return {}
+
+    return item.type === 'cue-card' ? { cueCard: item } : { question: item }
+  }
+
+  /**
+   * Transcribe a recording and attach a draft assessment. Never throws:
+   * failures are stored on the row so the examiner can see and retry them.
+   */
+  async process(recordingId) {
+    let recording = await this.get(recordingId)
+    if (!recording) return null
+
+    try {
+      if (!fs.existsSync(recording.file_path)) {
+        throw new Error('Recording file is no longer available')
+      }
+
+      recording = await this.update(recordingId, { status: 'transcribing', error: null })
+      const transcription = await this.speechToText.transcribe(recording.file_path)
+
+      recording = await this.update(recordingId, {
+        status: 'evaluating',
+        transcript: transcription.text,
+        transcript_segments: transcription.segments,
+        duration_seconds: transcription.durationSeconds,
+        stt_provider: transcription.provider
+      })
+
+      const draft = await this.evaluator.evaluate({
+        transcript: transcription.text,
+        segments: transcription.segments,
+        durationSeconds: transcription.durationSeconds,
+        part: recording.part,
+        ...(await this.findPrompt(recording))
+      })
+
+      console.log(`🎙️ Speaking recording ${recordingId} transcribed and pre-assessed`)
+      return await this.update(recordingId, { status: 'draft-ready', draft_assessment: draft })
+    } catch (error) {
+      console.error(`❌ Speaking recording ${recordingId} failed:`, error.message)
+      return this.update(recordingId, { status: 'failed', error: error.message })
+        .catch(updateError => console.error('Failed to persist recording failure:', updateError))
+    }
+  }
+}
+
+module.exports = SpeakingRecordingService
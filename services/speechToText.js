@@ -0,0 +1,82 @@
+const fs = require('fs')
+
+/**
+ * Speech-to-text adapters for candidate speaking recordings
+ *
+ * Every adapter exposes `name` and
+ *   transcribe(filePath, { language }) → { text, segments, durationSeconds, provider, model }
+ * where segments are [{ start, end, text }] in seconds (empty when unknown).
+ *
+ * Pick one with SPEECH_TO_TEXT_PROVIDER:
+ *   openai - OpenAI transcription API (default)
+ *   stub   - no network; returns the text of a `<recording>.txt` sidecar file,
+ *            SPEECH_TO_TEXT_STUB_TEXT, or a fixed sentence. For local runs and tests.
+ */
+class OpenAISpeechToText {
+  constructor(options = {}) {
+    this.name = 'openai'
+    this.openai = options.openai
+    this.model = options.model || process.env.SPEECH_TO_TEXT_MODEL || 'whisper-1'
+  }
+
+  async transcribe(filePath, options = {}) {
+    const response = await this.openai.audio.transcriptions.create({
+      file: fs.createReadStream(filePath),
+      model: this.model,
+      language: options.language || 'en',
+      response_format: 'verbose_json'
+    })
+
+    return {
+      text: (response.text || '').trim(),
+      segments: (response.segments || []).map(segment => ({
+        start: segment.start,
+        end: segment.end,
+        text: (segment.text || '').trim()
+      })),
+      durationSeconds: response.duration ?? null,
+      provider: this.name,
+      model: this.model
+    }
+  }
+}
+
+class StubSpeechToText {
+  constructor(options = {}) {
+    this.name = 'stub'
+    this.text = options.text || process.env.SPEECH_TO_TEXT_STUB_TEXT ||
+      'Well, I would like to talk about a place I visited last year. It was really interesting and I enjoyed it a lot.'
+  }
+
+  async transcribe(filePath) {
+    const sidecar = `${filePath}.txt`
+    const text = fs.existsSync(sidecar) ? fs.readFileSync(sidecar, 'utf-8').trim() : this.text
+
+    return {
+      text,
+      segments: [],
+      durationSeconds: null,
+      provider: this.name,
+      model: null
+    }
+  }
+}
+
+function createSpeechToText(options = {}) {
+  const provider = options.provider || process.env.SPEECH_TO_TEXT_PROVIDER || 'openai'
+
+  switch (provider) {
+    case 'openai':
+      return new OpenAISpeechToText(options)
+    case 'stub':
+      return new StubSpeechToText(options)
+    default:
+      throw new Error(`Unknown speech-to-text provider "${provider}"`)
+  }
+}
+
+module.exports = {
+  createSpeechToText,
+  OpenAISpeechToText,
+  StubSpeechToText
+}
@@ -0,0 +1,296 @@
+const { WRITING_TASKS, getWritingResponses } = require('../utils/writingScoring')
+
+const PAGE_SIZE = 500
+const MAX_BACKOFF_MS = 60000
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Batch AI evaluation of Writing submissions that have no writing_score yet
+ *
+ * A batch is persisted in `writing_evaluation_batches` with one item per
+ * result and task ({ resultId, task, status, error }). Items move from
+ * pending to evaluated, skipped (no response, or a draft already stored for
+ * the same essay) or failed. Resuming a batch re-runs only its pending and
+ * failed items, so a crash or an OpenAI outage never re-bills finished work.
+ *
+ * Dry runs plan the batch without calling the model or writing anything.
+ */
+class WritingBatchEvaluator {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase
+    this.evaluator = options.evaluator
+    this.evaluations = options.evaluations
+    this.concurrency = options.concurrency || parseInt(process.env.WRITING_BATCH_CONCURRENCY || '', 10) || 2
+    // Spacing between model calls; 0 disables throttling (429s are still retried)
+    this.requestsPerMinute = options.requestsPerMinute ?? (parseInt(process.env.WRITING_BATCH_RPM || '', 10) || 30)
+    this.maxRetries = options.maxRetries || 4
+    this.baseDelayMs = options.baseDelayMs || 2000
+    this.running = new Set()
+    this.nextRequestAt = 0
+  }
+
+  // Results with a submitted Writing section and no writing_score
+  async findPendingResults({ testId = null, limit = null } = {}) {
+    const pending = []
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      let query = this.supabase
+        .from('results')
+        .select('id, test_id, results')
+        .is('writing_score', null)
+        .order('taken_date', { ascending: true })
+        .order('id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1)
+      if (testId) query = query.eq('test_id', testId)
+
+      const { data, error } = await query
+      if (error) throw error
+
+      for (const row of data || []) {
+        const responses = getWritingResponses(row.results)
+        if (WRITING_TASKS.some(task => responses[task])) pending.push({ ...row, responses })
+        if (limit && pending.length >= limit) return pending
+      }
+
+      if (!data || data.length < PAGE_SIZE) return pending
+    }
+  }
+
+  async plan(options = {}) {
+    const results = await this.findPendingResults(options)
+    const items = []
+
+    for (const result of results) {
+      for (const task of WRITING_TASKS) {
+        items.push({
+          resultId: result.id,
+          testId: result.test_id,
+          task,
+          status: result.responses[task] ? 'pending' : 'skipped',
+          reason: result.responses[task] ? null : 'no-response',
+          error: null
+        })
+      }
+    }
+
+    return items
+  }
+
+  summarise(items) {
+    const count = status => items.filter(item => item.status === status).length
+    return {
+      total: items.length,
+      processed: count('evaluated'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+      pending: count('pending')
+    }
+  }
+
+  async createBatch({ testId = null, limit = null, rerun = false, dryRun = false, createdBy = null }) {
+    const items = await this.plan({ testId, limit })
+    const options = { testId, limit, rerun }
+
+    if (dryRun) {
+      return { id: null, status: 'dry-run', options, summary: this.summarise(items), items }
+    }
+
+    const { data, error } = await this.supabase
+      .from('writing_evaluation_batches')
+      .insert([{
+        status: 'queued',
+        options,
+        items,
+        summary: this.summarise(items),
+        created_by: createdBy
+      }])
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  }
+
+  async get(batchId) {
+    const { data, error } = await this.supabase
+      .from('writing_evaluation_batches')
+      .select('*')
+      .eq('id', batchId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  isRunning(batchId) {
+    return this.running.has(batchId)
+  }
+
+  async save(batch, fields = {}) {
+    const { error } = await this.supabase
+      .from('writing_evaluation_batches')
+      .update({
+        items: batch.items,
+        summary: this.summarise(batch.items),
+        updated_at: new Date().toISOString(),
+        ...fields
+      })
+      .eq('id', batch.id)
+
+    if (error) throw error
+  }
+
+  async throttle() {
+    if (!this.requestsPerMinute) return
+
+    const now = Date.now()
+    const waitMs = Math.max(0, this.nextRequestAt - now)
+    this.nextRequestAt = Math.max(now, this.nextRequestAt) + 60000 / this.requestsPerMinute
+    if (waitMs > 0) await sleep(waitMs)
+  }
+
+  static isRetryable(error) {
+    const status = error?.status || error?.response?.status
+    return status === 429 || status >= 500 || ['ECONNRESET', 'ETIMEDOUT'].includes(error?.code)
+  }
+
+  // Retry-After in ms: the OpenAI SDK gives a Headers instance, the HTTP provider a plain object
+  static retryAfterMs(error) {
+    const headers = error?.headers || error?.response?.headers
+    const read = name => (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]) ?? null
+
+    const milliseconds = parseFloat(read('retry-after-ms'))
+    if (Number.isFinite(milliseconds)) return milliseconds
+    const seconds = parseFloat(read('retry-after'))
+    return Number.isFinite(seconds) ? seconds * 1000 : null
+  }
+
+  // Retry rate limits and server errors, honouring Retry-After when OpenAI sends it.
+  // This is the only retry layer for batch calls: evaluate() runs with retries off.
+  async withRateLimitRetry(fn) {
+    for (let attempt = 0; ; attempt++) {
+      await this.throttle()
+      try {
+        return await fn()
+      } catch (error) {
+        if (attempt >= this.maxRetries || !WritingBatchEvaluator.isRetryable(error)) throw error
+
+        const delay = WritingBatchEvaluator.retryAfterMs(error) ?? Math.min(MAX_BACKOFF_MS, this.baseDelayMs * 2 ** attempt)
+
+        console.warn(`⏳ Writing batch: OpenAI ${error.status || error.code}, retrying in ${Math.round(delay / 1000)}s`)
+        await sleep(delay)
+      }
+    }
+  }
+
+  async evaluateItem(item, context) {
+    const { data: result, error } = await this.supabase
+      .from('results')
+      .select('id, test_id, results, writing_score')
+      .eq('id', item.resultId)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!result || result.writing_score !== null) {
+      return { status: 'skipped', reason: result ? 'already-scored' : 'result-missing' }
+    }
+
+    const text = getWritingResponses(result.results)[item.task]
+    if (!text) return { status: 'skipped', reason: 'no-response' }
+
+    const part = WRITING_TASKS.indexOf(item.task) + 1
+    const taskKey = `${result.test_id}:${part}`
+    if (result.test_id && !context.tasks.has(taskKey)) {
+      context.tasks.set(taskKey, await this.evaluations.findTask(result.test_id, part))
+    }
+    const task = result.test_id ? context.tasks.get(taskKey) : null
+    const testId = task ? String(result.test_id) : null
+
+    if (!context.rerun) {
+      const stored = await this.evaluations.findReusable(item.resultId, item.task, text, {
+        testId,
+        promptVersion: this.evaluator.promptVersion
+      })
+      if (stored) return { status: 'skipped', reason: 'already-evaluated', evaluationId: stored.id }
+    }
+
+    const run = await this.withRateLimitRetry(() => this.evaluator.evaluate({ text, taskType: item.task, task, retries: false }))
+    const saved = await this.evaluations.saveDraft({
+      resultId: item.resultId,
+      task: item.task,
+      text,
+      run,
+      testId,
+      createdBy: context.createdBy
+    })
+
+    return { status: 'evaluated', reason: null, evaluationId: saved.id }
+  }
+
+  /**
+   * Process the pending and failed items of a batch. Never throws; the batch
+   * row ends as completed (no failures), failed (some items failed, resumable)
+   * or keeps its items' state if the process stops midway.
+   */
+  async run(batchId) {
+    if (this.running.has(batchId)) return null
+    this.running.add(batchId)
+
+    try {
+      const batch = await this.get(batchId)
+      if (!batch) return null
+
+      const queue = batch.items.filter(item => item.status === 'pending' || item.status === 'failed')
+      queue.forEach(item => { item.status = 'pending'; item.error = null })
+
+      await this.save(batch, { status: 'running', started_at: new Date().toISOString(), finished_at: null })
+      console.log(`📝 Writing batch ${batchId}: evaluating ${queue.length} response(s)`)
+
+      const context = { rerun: Boolean(batch.options?.rerun), createdBy: batch.created_by, tasks: new Map() }
+      // Progress writes are chained so an older snapshot never lands after a newer one
+      let saving = Promise.resolve()
+      const saveProgress = () => {
+        saving = saving.then(() => this.save(batch)).catch(error => console.error('Failed to save batch progress:', error.message))
+        return saving
+      }
+
+      const worker = async () => {
+        while (queue.length > 0) {
+          const item = queue.shift()
+          try {
+            Object.assign(item, await this.evaluateItem(item, context))
+          } catch (error) {
+            console.error(`❌ Writing batch ${batchId}: ${item.resultId}/${item.task} failed:`, error.message)
+            Object.assign(item, { status: 'failed', error: error.message })
+          }
+          await saveProgress()
+        }
+      }
+
+      await Promise.all(Array.from({ length: Math.max(1, this.concurrency) }, worker))
+      await saving
+
+      const summary = this.summarise(batch.items)
+      await this.save(batch, {
+        status: summary.failed > 0 ? 'failed' : 'completed',
+        finished_at: new Date().toISOString()
+      })
+
+      console.log(`✅ Writing batch ${batchId}: ${summary.processed} evaluated, ${summary.skipped} skipped, ${summary.failed} failed`)
+      return summary
+    } catch (error) {
+      console.error(`❌ Writing batch ${batchId} stopped:`, error.message)
+      await this.supabase
+        .from('writing_evaluation_batches')
+        .update({ status: 'failed', error: error.message, finished_at: new Date().toISOString() })
+        .eq('id', batchId)
+        .then(({ error: updateError }) => updateError && console.error('Failed to persist batch failure:', updateError))
+      return null
+    } finally {
+      this.running.delete(batchId)
+    }
+  }
+}
+
+module.exports = WritingBatchEvaluator
@@ -0,0 +1,166 @@
+const crypto = require('crypto')
+const { WRITING_TASKS, taskBand } = require('../utils/writingScoring')
+
+/**
+ * Stored Writing evaluations and the examiner review workflow
+ *
+ * Rows live in `writing_evaluations`, one per AI run for a result and task.
+ * An examiner reviews a draft by accepting it as is, adjusting it (overriding
+ * some or all criteria) or rejecting it; a later review replaces the earlier
+ * decision. The most recently reviewed accepted/adjusted row per task is what
+ * results.writing_score is derived from.
+ */
+class WritingEvaluationService {
+  constructor(supabase) {
+    this.supabase = supabase
+  }
+
+  static essayHash(text) {
+    return crypto.createHash('sha256').update(String(text).trim().replace(/\s+/g, ' ')).digest('hex')
+  }
+
+  // Writing task of a test part as the evaluator consumes it, or null when the
+  // test has no such part
+  async findTask(testId, part) {
+    const { data: test, error } = await this.supabase
+      .from('tests')
+      .select('writing')
+      .eq('id', testId)
+      .maybeSingle()
+
+    if (error) throw error
+
+    const writingPart = (test?.writing?.parts || []).find(p => Number(p.part) === Number(part))
+    if (!writingPart) return null
+
+    const task = writingPart.task || {}
+    return {
+      part: Number(writingPart.part),
+      taskType: task.taskType || writingPart.taskType || null,
+      title: task.title || writingPart.title || null,
+      prompt: task.prompt || null,
+      instructions: task.instructions || writingPart.instructions || null,
+      wordLimit: writingPart.wordLimit || task.answerConstraints || null,
+      imageUrl: task.image?.url || task.image?.base64 || null
+    }
+  }
+
+  async saveDraft({ resultId, task, text, run, testId = null, createdBy = null }) {
+    const { evaluation } = run
+
+    const { data, error } = await this.supabase
+      .from('writing_evaluations')
+      .insert([{
+        result_id: resultId,
+        task,
+        essay_hash: WritingEvaluationService.essayHash(text),
+        model: run.model,
+        prompt_version: run.promptVersion,
+        test_id: testId,
+        task_context: run.taskContext || null,
+        overall_score: evaluation?.overallScore ?? null,
+        criteria: evaluation?.criteria || null,
+        highlights: evaluation?.highlights || [],
+        summary: evaluation?.summary || null,
+        statistics: evaluation?.statistics || null,
+        created_by: createdBy,
+        created_at: run.generatedAt
+      }])
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  }
+
+  // Latest non-rejected evaluation of exactly this essay against the same test
+  // and prompt version, so re-opening a submission shows the same numbers
+  // instead of a fresh AI run
+  async findReusable(resultId, task, text, { testId = null, promptVersion } = {}) {
+    let query = this.supabase
+      .from('writing_evaluations')
+      .select('*')
+      .eq('result_id', resultId)
+      .eq('task', task)
+      .eq('essay_hash', WritingEvaluationService.essayHash(text))
+      .neq('status', 'rejected')
+
+    query = testId ? query.eq('test_id', String(testId)) : query.is('test_id', null)
+    if (promptVersion) query = query.eq('prompt_version', promptVersion)
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  async get(evaluationId) {
+    const { data, error } = await this.supabase
+      .from('writing_evaluations')
+      .select('*')
+      .eq('id', evaluationId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  async listForResult(resultId) {
+    const { data, error } = await this.supabase
+      .from('writing_evaluations')
+      .select('*')
+      .eq('result_id', resultId)
+      .order('task', { ascending: true })
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * Record the examiner decision. `criteria` are the final criterion bands
+   * (already validated and merged with the draft by the caller) and are
+   * ignored for rejections.
+   */
+  async review(evaluationId, { action, criteria = null, notes = null, reviewerId }) {
+    const confirmed = action !== 'rejected'
+
+    const { data, error } = await this.supabase
+      .from('writing_evaluations')
+      .update({
+        status: action,
+        final_criteria: confirmed ? criteria : null,
+        final_band: confirmed ? taskBand(criteria) : null,
+        review_notes: notes,
+        reviewed_by: reviewerId,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', evaluationId)
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  }
+
+  // Most recently reviewed accepted/adjusted evaluation per task ({ task1, task2 }, null when none)
+  async confirmedByTask(resultId) {
+    const { data, error } = await this.supabase
+      .from('writing_evaluations')
+      .select('*')
+      .eq('result_id', resultId)
+      .in('status', ['accepted', 'adjusted'])
+      .order('reviewed_at', { ascending: false })
+
+    if (error) throw error
+
+    return Object.fromEntries(
+      WRITING_TASKS.map(task => [task, (data || []).find(row => row.task === task) || null])
+    )
+  }
+}
+
+module.exports = WritingEvaluationService
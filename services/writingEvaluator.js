@@ -0,0 +1,250 @@
+const fs = require('fs')
+const path = require('path')
+const { analyseEssay } = require('../utils/essayStatistics')
+const { WRITING_EVALUATION_SCHEMA } = require('../utils/evaluationSchemas')
+
+const PROMPT_VERSION = 'writing-eval-v3'
+
+const SYSTEM_PROMPTS = {
+  task1: `You are an IELTS Writing Task 1 (Academic) examiner using the official British Council band descriptors:
+- Task Achievement (TA)
+- Coherence and Cohesion (CC)
+- Lexical Resource (LR)
+- Grammatical Range and Accuracy (GRA)
+
+Scoring rules:
+- Task Achievement is based on accurate description of data, clear comparisons, correct trend analysis, and coverage of key features.
+- Coherence and Cohesion: paragraph structure, logical flow, linking devices.
+- Lexical Resource: range of vocabulary, correct collocations, appropriateness.
+- Grammatical Range and Accuracy: variety of sentence structures, tense usage, agreement, punctuation.
+
+Important:
+- Give realistic scores (0.0–9.0, half bands allowed).
+- Be strict: do not overestimate.
+- Output must be only JSON, no extra explanation.
+- Excerpts in highlights must be short (5–10 words, exactly as in the essay).
+- Suggestions must be short, actionable, and relevant.
+
+Overall score = average of the four criteria, rounded to the nearest 0.5.`,
+
+  task2: `You are an IELTS Writing Task 2 examiner following the official British Council band descriptors:
+- Task Response (TR)
+- Coherence and Cohesion (CC)
+- Lexical Resource (LR)
+- Grammatical Range and Accuracy (GRA)
+
+You must evaluate the essay realistically, as a human examiner would — no generosity, no over-scoring.
+
+Output strictly in the given JSON format.
+No extra text, no Markdown, no explanations outside JSON.
+
+Highlighting rules:
+- "grammar" → tense, articles, agreement, prepositions, sentence structure
+- "coherence" → paragraphing, connections, ordering, linking words
+- "vocabulary" → overused words, wrong collocations, informal phrases
+- excerpt: short (5–10 words), exactly as in essay
+- suggestion: actionable and concise
+
+Scoring rules:
+- Score each criterion 0.0–9.0 (half bands allowed)
+- overallScore = average of 4 criteria (rounded to nearest 0.5)
+- Be strict but fair, never exceeding realistic IELTS levels.`
+}
+
+// Appended to the system prompt when the evaluation runs against the test's own task
+const TASK_CONTEXT_RULES = {
+  task1: `
+The exact task and (when attached) the visual are provided:
+- Check every figure, trend and comparison in the response against the visual; misreported data lowers Task Achievement.
+- Key features of the visual that are missing from the overview lower Task Achievement.
+- topicRelevance measures how closely the response reports this visual (0–100).`,
+
+  task2: `
+The exact task question is provided:
+- Judge Task Response against this question: every part of the prompt must be addressed and a clear position maintained.
+- Off-topic or memorised content lowers Task Response.
+- topicRelevance measures how closely the response answers this question (0–100).`
+}
+
+const IMAGE_MIME_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp' }
+
+/**
+ * AI draft evaluation of a Writing task response
+ *
+ * evaluate({ text, taskType, task }) returns { evaluation, model, promptVersion, generatedAt }
+ * where evaluation has the shape the admin UI renders (overallScore, criteria,
+ * highlights, summary, statistics). Anything other than 'task1' is evaluated as Task 2.
+ * Counts in `statistics` come from utils/essayStatistics; the model only adds
+ * topicRelevance and is given the measured figures as evidence.
+ *
+ * `task` is the task as stored in tests.writing ({ title, prompt, instructions,
+ * imageUrl }, see WritingEvaluationService.findTask). Without it the response is
+ * scored on its own, with no prompt to measure relevance against.
+ */
+class WritingEvaluator {
+  constructor(options = {}) {
+    this.llm = options.llm
+    // null lets the LLM service pick the configured model for the task
+    this.model = options.model || null
+    this.maxAttempts = options.maxAttempts || 2
+    this.promptVersion = PROMPT_VERSION
+    // Local directory behind /uploads; images stored there are inlined because
+    // the model cannot fetch URLs on this host
+    this.uploadsDir = options.uploadsDir || null
+  }
+
+  // Image reference the model can read: data URL, inlined local upload, or a public URL
+  resolveImageUrl(url) {
+    if (!url) return null
+    if (url.startsWith('data:image/')) return url
+
+    const uploadMatch = url.match(/\/uploads\/([^/?#]+)(?:[?#].*)?$/)
+    if (uploadMatch && this.uploadsDir) {
+      const filePath = path.join(this.uploadsDir, path.basename(decodeURIComponent(uploadMatch[1])))
+      if (fs.existsSync(filePath)) {
+        const mimeType = IMAGE_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'image/png'
+        return `data:${mimeType};base64,${fs.readFileSync(filePath).toString('base64')}`
+      }
+    }
+
+    return /^https?:\/\//.test(url) && !/\/\/(localhost|127\.0\.0\.1)[:/]/.test(url) ? url : null
+  }
+
+  buildTaskSection(task) {
+    if (!task) return ''
+
+    const lines = [
+      task.title && `Title: ${task.title}`,
+      task.prompt && `Question: ${task.prompt}`,
+      task.instructions && `Instructions: ${task.instructions}`,
+      task.wordLimit && `Word limit: ${task.wordLimit}`
+    ].filter(Boolean)
+
+    return lines.length > 0 ? `\nTask:\n${lines.join('\n')}\n` : ''
+  }
+
+  buildStatisticsSection(statistics) {
+    const { wordCount, length, paragraphCount, sentences, linkingDevices, overusedWords } = statistics
+
+    return `
+Measured statistics (computed exactly; use them, do not recount):
+- Words: ${wordCount} (minimum ${length.minWords}${length.underLength ? `, under length by ${length.shortBy}` : ''})
+- Paragraphs: ${paragraphCount}
+- Sentences: ${sentences.count}, average ${sentences.mean} words
+- Linking devices: ${linkingDevices.total} (${linkingDevices.unique} different)
+- Overused words: ${overusedWords.join(', ') || 'none'}
+`
+  }
+
+  buildUserPrompt({ text, taskType, task, statistics }) {
+    return `Evaluate the following IELTS Writing ${taskType === 'task1' ? 'Task 1' : 'Task 2'} essay.
+${this.buildTaskSection(task)}${statistics ? this.buildStatisticsSection(statistics) : ''}
+Return ONLY this JSON structure:
+{
+  "overallScore": number,
+  "criteria": {
+    "taskAchievement": number,
+    "coherenceAndCohesion": number,
+    "lexicalResource": number,
+    "grammaticalRangeAndAccuracy": number
+  },
+  "highlights": [
+    {
+      "type": "grammar" | "coherence" | "vocabulary",
+      "excerpt": string,
+      "suggestion": string
+    }
+  ],
+  "summary": string,
+  "statistics": {
+    "topicRelevance": number
+  }
+}
+
+Essay:
+${text}`
+  }
+
+  /**
+   * `retries: false` leaves API failures to the caller (batch runs retry rate
+   * limits themselves): no attempts here, no SDK retries, no fallback provider.
+   * Replies that are not JSON are still retried.
+   */
+  async evaluate({ text, taskType, task = null, retries = true }) {
+    const taskKey = taskType === 'task1' ? 'task1' : 'task2'
+    const statistics = analyseEssay(text, { taskType: taskKey })
+    const userPrompt = this.buildUserPrompt({ text, taskType: taskKey, task, statistics })
+    const systemPrompt = task ? SYSTEM_PROMPTS[taskKey] + '\n' + TASK_CONTEXT_RULES[taskKey] : SYSTEM_PROMPTS[taskKey]
+
+    // Task 1 visuals go to the model as an image part next to the prompt
+    const imageUrl = taskKey === 'task1' ? this.resolveImageUrl(task?.imageUrl) : null
+    const userContent = imageUrl
+      ? [
+        { type: 'text', text: userPrompt },
+        { type: 'image_url', image_url: { url: imageUrl } }
+      ]
+      : userPrompt
+
+    // Schema violations are sent back to the model as repair requests; this loop
+    // only retries API failures and replies that are not JSON at all
+    let parsed
+    let completion
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      try {
+        const reply = await this.llm.completeJson({
+          task: 'writing-evaluation',
+          model: this.model,
+          messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userContent }
+          ],
+          temperature: 0.2,
+          maxTokens: 900,
+          schema: { name: 'writing_evaluation', schema: WRITING_EVALUATION_SCHEMA, strict: true },
+          context: 'Writing Evaluation',
+          retries
+        })
+
+        if (reply.errors.length > 0) {
+          console.warn(`⚠️ Writing Evaluation still has ${reply.errors.length} schema violation(s) after repair`)
+        }
+        parsed = reply.data
+        completion = { ...reply.completion, usage: reply.usage }
+        break
+      } catch (error) {
+        if (attempt >= this.maxAttempts || (!retries && error.code !== 'INVALID_JSON')) throw error
+        await new Promise(resolve => setTimeout(resolve, 500))
+      }
+    }
+
+    // Normalize keys for UI (accept both excerpt/text, topicRelevance/topicRelevancePercentage)
+    if (Array.isArray(parsed?.highlights)) {
+      parsed.highlights = parsed.highlights.map(h => ({
+        type: h.type,
+        text: h.text || h.excerpt || '',
+        suggestion: h.suggestion || ''
+      }))
+    }
+    // Measured statistics replace whatever counts the model returned
+    const topicRelevance = parsed?.statistics?.topicRelevancePercentage ?? parsed?.statistics?.topicRelevance ?? null
+    parsed = {
+      ...parsed,
+      statistics: { ...statistics, topicRelevance, topicRelevancePercentage: topicRelevance }
+    }
+
+    return {
+      evaluation: parsed,
+      model: completion.model,
+      provider: completion.provider,
+      usage: completion.usage,
+      promptVersion: this.promptVersion,
+      // What the model was shown, kept with the stored draft (inline image data is not repeated)
+      taskContext: task
+        ? { ...task, imageUrl: task.imageUrl?.startsWith('data:') ? null : (task.imageUrl || null), imageSent: Boolean(imageUrl) }
+        : null,
+      generatedAt: new Date().toISOString()
+    }
+  }
+}
+
+module.exports = WritingEvaluator
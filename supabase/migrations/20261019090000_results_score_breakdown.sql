@@ -0,0 +1,3 @@
+-- Per-question correctness breakdown for auto-scored Listening/Reading sections
+alter table public.results
+  add column if not exists score_breakdown jsonb;
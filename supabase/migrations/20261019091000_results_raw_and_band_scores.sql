@@ -0,0 +1,9 @@
+-- Raw Listening/Reading marks (/40) stored next to the converted bands (/9)
+alter table public.results
+  add column if not exists listening_raw_score integer,
+  add column if not exists reading_raw_score integer;
+
+-- Reading band conversion differs between Academic and General Training
+alter table public.tests
+  add column if not exists module text not null default 'academic'
+    check (module in ('academic', 'general'));
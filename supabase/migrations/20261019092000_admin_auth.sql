@@ -0,0 +1,29 @@
+-- Hashed admin passwords and revocable JWT sessions
+create extension if not exists pgcrypto;
+
+alter table public.users
+  add column if not exists password_hash text,
+  add column if not exists password_changed_at timestamptz;
+
+-- Migrate existing plaintext passwords to bcrypt (compatible with bcryptjs).
+-- Rows missed here are still re-hashed lazily on their next successful login.
+update public.users
+set password_hash = crypt(password, gen_salt('bf', 10)),
+    password = null,
+    password_changed_at = now()
+where password is not null
+  and password_hash is null;
+
+create table if not exists public.auth_sessions (
+  id uuid primary key,
+  user_id text not null references public.users(id) on delete cascade on update cascade,
+  refresh_jti uuid not null,
+  user_agent text,
+  ip_address text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create index if not exists auth_sessions_user_id_idx on public.auth_sessions (user_id);
@@ -0,0 +1,6 @@
+-- Student exam-session credentials issued on entry approval
+alter table public.exam_entry_approvals
+  add column if not exists request_key_hash text,
+  add column if not exists exam_token_jti uuid,
+  add column if not exists exam_test_id text,
+  add column if not exists exam_token_expires_at timestamptz;
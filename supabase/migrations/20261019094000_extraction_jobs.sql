@@ -0,0 +1,22 @@
+-- Background PDF extraction jobs (status, progress, logs and final structure)
+create table if not exists public.extraction_jobs (
+  id uuid primary key,
+  section text not null check (section in ('listening', 'reading', 'writing')),
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'completed', 'failed', 'cancelled')),
+  stage text,
+  progress jsonb not null default '{}'::jsonb,
+  logs jsonb not null default '[]'::jsonb,
+  input jsonb,
+  result jsonb,
+  error text,
+  cancel_requested boolean not null default false,
+  created_by text references public.users(id) on delete set null on update cascade,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  started_at timestamptz,
+  finished_at timestamptz
+);
+
+create index if not exists extraction_jobs_status_idx on public.extraction_jobs (status);
+create index if not exists extraction_jobs_created_at_idx on public.extraction_jobs (created_at desc);
@@ -0,0 +1,13 @@
+-- Speaking test content: Part 1/2/3 examiner questions and the Part 2 cue card
+alter table public.tests
+  add column if not exists speaking jsonb;
+
+-- Examiner criteria (fluency, lexis, grammar, pronunciation) behind speaking_score
+alter table public.results
+  add column if not exists speaking_assessment jsonb;
+
+-- Speaking PDFs go through the same extraction jobs
+alter table public.extraction_jobs drop constraint if exists extraction_jobs_section_check;
+alter table public.extraction_jobs
+  add constraint extraction_jobs_section_check
+    check (section in ('listening', 'reading', 'writing', 'speaking'));
@@ -0,0 +1,27 @@
+-- Candidate speaking recordings (one per cue card / question), their transcript
+-- and the draft criteria assessment an examiner confirms
+create table if not exists public.speaking_recordings (
+  id uuid primary key default gen_random_uuid(),
+  result_id text not null,
+  exam_taker_id text not null,
+  test_id text,
+  part integer not null check (part between 1 and 3),
+  question_id text,
+  file_path text not null,
+  original_name text,
+  mime_type text,
+  size_bytes integer,
+  status text not null default 'uploaded'
+    check (status in ('uploaded', 'transcribing', 'evaluating', 'draft-ready', 'failed', 'reviewed')),
+  transcript text,
+  transcript_segments jsonb,
+  duration_seconds numeric,
+  stt_provider text,
+  draft_assessment jsonb,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  reviewed_at timestamptz
+);
+
+create index if not exists speaking_recordings_result_idx on public.speaking_recordings (result_id);
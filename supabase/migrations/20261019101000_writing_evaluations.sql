@@ -0,0 +1,30 @@
+-- AI draft evaluations of Writing task responses and the examiner decision on each
+create table if not exists public.writing_evaluations (
+  id uuid primary key default gen_random_uuid(),
+  result_id text not null,
+  task text not null check (task in ('task1', 'task2')),
+  essay_hash text not null,
+  model text,
+  prompt_version text,
+  overall_score numeric,
+  criteria jsonb,
+  highlights jsonb,
+  summary text,
+  statistics jsonb,
+  status text not null default 'draft'
+    check (status in ('draft', 'accepted', 'adjusted', 'rejected')),
+  final_criteria jsonb,
+  final_band numeric,
+  review_notes text,
+  reviewed_by text,
+  reviewed_at timestamptz,
+  created_by text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists writing_evaluations_result_task_idx
+  on public.writing_evaluations (result_id, task, created_at desc);
+
+-- Confirmed Task 1 / Task 2 criteria behind results.writing_score
+alter table public.results
+  add column if not exists writing_assessment jsonb;
@@ -0,0 +1,5 @@
+-- Test task a writing evaluation was scored against (title, prompt, instructions,
+-- visual) so examiners can see what the model was shown
+alter table public.writing_evaluations
+  add column if not exists test_id text,
+  add column if not exists task_context jsonb;
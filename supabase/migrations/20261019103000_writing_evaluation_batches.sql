@@ -0,0 +1,17 @@
+-- Batch AI evaluation runs over pending Writing submissions; `items` holds one
+-- { resultId, testId, task, status, reason, error } entry per response so a
+-- failed or interrupted batch can be resumed
+create table if not exists public.writing_evaluation_batches (
+  id uuid primary key default gen_random_uuid(),
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'completed', 'failed')),
+  options jsonb not null default '{}'::jsonb,
+  items jsonb not null default '[]'::jsonb,
+  summary jsonb,
+  error text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  started_at timestamptz,
+  finished_at timestamptz
+);
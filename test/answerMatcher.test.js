@@ -0,0 +1,32 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { normaliseAnswer, countAnswerTokens, matchAnswer } = require('../utils/answerMatcher')
+
+test('British -tre spellings normalise to American -ter after vowels and consonants', () => {
+  assert.equal(normaliseAnswer('metre'), 'meter')
+  assert.equal(normaliseAnswer('centre'), 'center')
+  assert.equal(normaliseAnswer('theatre'), 'theater')
+  assert.equal(normaliseAnswer('litres'), 'liters')
+  assert.equal(normaliseAnswer('fibre'), 'fiber')
+  assert.equal(normaliseAnswer('calibre'), 'caliber')
+})
+
+test('unit answers match across spellings', () => {
+  assert.equal(matchAnswer('3 meters', { correct: '3 metres' }).correct, true)
+  assert.equal(matchAnswer('the theater', { correct: 'theatre' }).correct, true)
+  assert.equal(matchAnswer('2 liters', { correct: '2 litres' }).correct, true)
+})
+
+test('written-out numbers count as one number', () => {
+  assert.deepEqual(countAnswerTokens('twenty pounds'), { words: 1, numbers: 1, total: 2 })
+  assert.deepEqual(countAnswerTokens('one hundred and fifty'), { words: 0, numbers: 1, total: 1 })
+  assert.deepEqual(countAnswerTokens('Twenty-five'), { words: 0, numbers: 1, total: 1 })
+  assert.deepEqual(countAnswerTokens('well-known'), { words: 1, numbers: 0, total: 1 })
+})
+
+test('number words satisfy "ONE WORD AND/OR A NUMBER"', () => {
+  const key = { correct: '20 pounds', answerConstraints: 'ONE WORD AND/OR A NUMBER' }
+  assert.equal(matchAnswer('twenty pounds', key).correct, true)
+  assert.equal(matchAnswer('£20', key).correct, true)
+  assert.equal(matchAnswer('twenty British pounds', key).reason, 'constraint')
+})
@@ -0,0 +1,47 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { ExtractionJobQueue } = require('../services/extractionJobQueue')
+
+// Answers extraction_jobs lookups with `read(jobId)`, which may publish events first
+function fakeSupabase(read) {
+  return {
+    from: () => ({
+      select: () => ({
+        eq: (column, jobId) => ({
+          maybeSingle: async () => ({ data: await read(jobId), error: null })
+        })
+      })
+    })
+  }
+}
+
+test('follow replays a terminal event published while the job was being read', async () => {
+  const queue = new ExtractionJobQueue(fakeSupabase(async jobId => {
+    // The job finishes after the stream subscribed but before the row is returned
+    queue.publish(jobId, 'stage', { stage: 'post-processing' })
+    queue.publish(jobId, 'completed', { result: { parts: [] } })
+    return { id: jobId, status: 'running', stage: 'llm' }
+  }))
+  queue.running.set('job-1', Promise.resolve())
+
+  const followed = await queue.follow('job-1')
+  assert.equal(followed.job.status, 'running')
+  assert.equal(followed.live, true)
+
+  const received = []
+  followed.start(event => received.push(event.type))
+  assert.deepEqual(received, ['stage', 'completed'])
+
+  queue.publish('job-1', 'log', { message: 'after start' })
+  assert.deepEqual(received, ['stage', 'completed', 'log'])
+
+  followed.unsubscribe()
+  assert.equal(queue.events.listenerCount('job:job-1'), 0)
+})
+
+test('follow resolves to null and drops its listener when the job does not exist', async () => {
+  const queue = new ExtractionJobQueue(fakeSupabase(async () => null))
+
+  assert.equal(await queue.follow('missing'), null)
+  assert.equal(queue.events.listenerCount('job:missing'), 0)
+})
@@ -0,0 +1,89 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { LLMService, FixtureProvider } = require('../services/llmService')
+
+const SCHEMA = {
+  name: 'answer',
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['answer', 'confidence'],
+    properties: {
+      answer: { type: 'string' },
+      confidence: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  }
+}
+
+function fixtureLlm(fixtures, options = {}) {
+  return new LLMService({ primaryProvider: 'fixture', fixture: { fixtures, ...options } })
+}
+
+test('completeJson sends a repair request listing the violations and returns the repaired reply', async () => {
+  const requests = []
+  const llm = fixtureLlm({
+    quiz: request => {
+      requests.push(request)
+      return requests.length === 1 ? { answer: 'Paris', confidence: 3 } : { answer: 'Paris', confidence: 0.9 }
+    }
+  })
+
+  const reply = await llm.completeJson({
+    task: 'quiz',
+    messages: [{ role: 'user', content: 'Capital of France?' }],
+    schema: SCHEMA
+  })
+
+  assert.deepEqual(reply.data, { answer: 'Paris', confidence: 0.9 })
+  assert.equal(reply.repairs, 1)
+  assert.deepEqual(reply.errors, [])
+  assert.equal(requests.length, 2)
+
+  const repairMessage = requests[1].messages[requests[1].messages.length - 1]
+  assert.equal(repairMessage.role, 'user')
+  assert.match(repairMessage.content, /\/confidence/)
+  assert.equal(llm.getUsage().requests, 2)
+})
+
+test('completeJson keeps the remaining violations after the last repair', async () => {
+  const llm = fixtureLlm({ quiz: { answer: 'Paris' } })
+
+  const reply = await llm.completeJson({
+    task: 'quiz',
+    messages: [{ role: 'user', content: 'Capital of France?' }],
+    schema: SCHEMA,
+    maxRepairs: 1
+  })
+
+  assert.equal(reply.repairs, 1)
+  assert.equal(reply.errors.length, 1)
+})
+
+test('completeJson throws INVALID_JSON when no reply holds JSON', async () => {
+  const llm = fixtureLlm({ quiz: '' })
+
+  await assert.rejects(
+    llm.completeJson({ task: 'quiz', messages: [{ role: 'user', content: '?' }], schema: SCHEMA, maxRepairs: 1 }),
+    error => error.code === 'INVALID_JSON'
+  )
+})
+
+test('FixtureProvider reads fixtures by request key before the task name', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+  const messages = [{ role: 'user', content: 'Capital of Italy?' }]
+  fs.writeFileSync(path.join(dir, `${FixtureProvider.requestKey('quiz', messages)}.json`), JSON.stringify({ answer: 'Rome', confidence: 1 }))
+  fs.writeFileSync(path.join(dir, 'quiz.json'), JSON.stringify({ answer: 'unknown', confidence: 0 }))
+  const llm = fixtureLlm({}, { fixturesDir: dir })
+
+  const keyed = await llm.completeJson({ task: 'quiz', messages, schema: SCHEMA })
+  const byTask = await llm.completeJson({ task: 'quiz', messages: [{ role: 'user', content: 'Other?' }], schema: SCHEMA })
+
+  assert.equal(keyed.data.answer, 'Rome')
+  assert.equal(byTask.data.answer, 'unknown')
+  await assert.rejects(llm.complete({ task: 'missing', messages }), /No LLM fixture/)
+})
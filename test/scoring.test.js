@@ -0,0 +1,58 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { scoreQuestion, scoreSection } = require('../utils/scoring')
+
+const chooseTwo = {
+  questionId: 'q21',
+  numberRange: '21-22',
+  type: 'multi-select',
+  answer: { correct: ['B', 'D'] }
+}
+
+test('"Choose TWO" earns one mark per correct letter', () => {
+  assert.equal(scoreQuestion(chooseTwo, ['D', 'B']).marks, 2)
+  assert.equal(scoreQuestion(chooseTwo, ['B', 'A']).marks, 1)
+  assert.equal(scoreQuestion(chooseTwo, ['B', 'A']).status, 'partial')
+  assert.equal(scoreQuestion(chooseTwo, []).status, 'unanswered')
+})
+
+test('picking more options than the question allows scores 0', () => {
+  const result = scoreQuestion(chooseTwo, ['A', 'B', 'C', 'D', 'E'])
+  assert.equal(result.marks, 0)
+  assert.equal(result.status, 'incorrect')
+  assert.match(result.explanation, /only 2 allowed/)
+
+  assert.equal(scoreQuestion(chooseTwo, ['B', 'D', 'E']).marks, 0)
+})
+
+test('accepted letters count on multi-answer questions', () => {
+  const question = { ...chooseTwo, answer: { correct: ['B', 'D'], accepted: ['E'] } }
+  assert.equal(scoreQuestion(question, ['B', 'E']).marks, 2)
+  assert.equal(scoreQuestion(question, ['E', 'A']).marks, 1)
+})
+
+test('accepted variants count on choice and typed questions', () => {
+  const judgement = { number: 5, type: 'true-false-not-given', answer: { correct: 'NOT GIVEN' } }
+  assert.equal(scoreQuestion(judgement, 'NG').correct, true)
+
+  const typed = { number: 3, type: 'form-completion', answer: { correct: 'city centre', accepted: ['town centre'] } }
+  assert.equal(scoreQuestion(typed, 'Town Center').correct, true)
+  assert.equal(scoreQuestion(typed, 'village').correct, false)
+})
+
+test('a section sums marks across parts', () => {
+  const section = {
+    parts: [
+      { part: 1, questions: [{ number: 1, type: 'form-completion', answer: { correct: '3 metres' } }] },
+      { part: 2, questions: [{ type: 'divider' }, chooseTwo] }
+    ]
+  }
+  const score = scoreSection(section, [
+    { number: 1, answer: '3 meters' },
+    { questionId: 'q21', answer: ['B', 'D'] }
+  ])
+
+  assert.equal(score.raw, 3)
+  assert.equal(score.max, 3)
+  assert.equal(score.breakdown.length, 2)
+})
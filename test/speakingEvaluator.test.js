@@ -0,0 +1,63 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { LLMService } = require('../services/llmService')
+const { StubSpeechToText, createSpeechToText } = require('../services/speechToText')
+const SpeakingEvaluator = require('../services/speakingEvaluator')
+
+const EVALUATION = {
+  criteria: { fluencyAndCoherence: 6, lexicalResource: 6, grammaticalRangeAndAccuracy: 7, pronunciation: 6 },
+  pronunciationConfidence: 'low',
+  highlights: [{ type: 'grammar', excerpt: 'I enjoyed it a lot', suggestion: 'I really enjoyed it' }],
+  summary: 'Generally fluent with some hesitation.'
+}
+
+test('the stub transcriber reads a sidecar transcript, else its default text', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-stub-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+  const recording = path.join(dir, 'answer.webm')
+  fs.writeFileSync(recording, '')
+  const stt = createSpeechToText({ provider: 'stub', text: 'Default answer.' })
+
+  assert.ok(stt instanceof StubSpeechToText)
+  assert.equal((await stt.transcribe(recording)).text, 'Default answer.')
+
+  fs.writeFileSync(`${recording}.txt`, 'I grew up in a small town near the coast.\n')
+  assert.deepEqual(await stt.transcribe(recording), {
+    text: 'I grew up in a small town near the coast.',
+    segments: [],
+    durationSeconds: null,
+    provider: 'stub',
+    model: null
+  })
+})
+
+test('drafts a speaking assessment from a stub transcript through the fixture provider', async () => {
+  const llm = new LLMService({ primaryProvider: 'fixture', fixture: { fixtures: { 'speaking-evaluation': EVALUATION } } })
+  const transcription = await new StubSpeechToText().transcribe(path.join(os.tmpdir(), 'no-such-recording.webm'))
+
+  const draft = await new SpeakingEvaluator({ llm }).evaluate({ ...transcription, transcript: transcription.text, part: 2 })
+
+  assert.deepEqual(draft.criteria, {
+    fluency_coherence: 6,
+    lexical_resource: 6,
+    grammatical_range_accuracy: 7,
+    pronunciation: 6
+  })
+  assert.equal(draft.band, 6)
+  assert.equal(draft.provider, 'fixture')
+  assert.equal(draft.highlights[0].text, 'I enjoyed it a lot')
+})
+
+test('repairs a speaking draft with an out-of-range band', async () => {
+  const replies = [{ ...EVALUATION, criteria: { ...EVALUATION.criteria, pronunciation: 10 } }, EVALUATION]
+  const llm = new LLMService({ primaryProvider: 'fixture', fixture: { fixtures: { 'speaking-evaluation': () => replies.shift() } } })
+
+  const draft = await new SpeakingEvaluator({ llm }).evaluate({ transcript: 'I like reading books in the evening.', part: 1 })
+
+  assert.equal(draft.criteria.pronunciation, 6)
+  assert.equal(llm.getUsage().requests, 2)
+})
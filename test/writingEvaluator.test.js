@@ -0,0 +1,40 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { LLMService } = require('../services/llmService')
+const WritingEvaluator = require('../services/writingEvaluator')
+
+const ESSAY = 'Some people believe that cities should invest in public transport rather than roads. ' +
+  'In my opinion, buses and trains reduce congestion and pollution, so governments should fund them first.'
+
+const EVALUATION = {
+  overallScore: 6.5,
+  criteria: { taskAchievement: 6, coherenceAndCohesion: 7, lexicalResource: 6, grammaticalRangeAndAccuracy: 7 },
+  highlights: [{ type: 'vocabulary', excerpt: 'reduce congestion and pollution', suggestion: 'ease congestion' }],
+  summary: 'A clear position with limited development.',
+  statistics: { topicRelevance: 90 }
+}
+
+test('evaluates an essay through the fixture provider', async () => {
+  const llm = new LLMService({ primaryProvider: 'fixture', fixture: { fixtures: { 'writing-evaluation': EVALUATION } } })
+  const evaluator = new WritingEvaluator({ llm })
+
+  const run = await evaluator.evaluate({ text: ESSAY, taskType: 'task2' })
+
+  assert.equal(run.provider, 'fixture')
+  assert.equal(run.evaluation.overallScore, 6.5)
+  assert.deepEqual(run.evaluation.criteria, EVALUATION.criteria)
+  assert.deepEqual(run.evaluation.highlights, [{ type: 'vocabulary', text: 'reduce congestion and pollution', suggestion: 'ease congestion' }])
+  // Counts are measured locally; only relevance comes from the model
+  assert.equal(run.evaluation.statistics.topicRelevance, 90)
+  assert.ok(run.evaluation.statistics.wordCount > 0)
+})
+
+test('repairs an evaluation that breaks the schema', async () => {
+  const replies = [{ ...EVALUATION, criteria: { ...EVALUATION.criteria, lexicalResource: 12 } }, EVALUATION]
+  const llm = new LLMService({ primaryProvider: 'fixture', fixture: { fixtures: { 'writing-evaluation': () => replies.shift() } } })
+
+  const run = await new WritingEvaluator({ llm }).evaluate({ text: ESSAY, taskType: 'task2' })
+
+  assert.equal(run.evaluation.criteria.lexicalResource, 6)
+  assert.equal(llm.getUsage().requests, 2)
+})
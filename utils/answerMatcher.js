@@ -0,0 +1,347 @@
+/**
+ * Answer matching for typed IELTS answers (form-fill, sentence/summary completion,
+ * short answer, etc.)
+ *
+ * - Enforces `answerConstraints` word/number limits ("ONE WORD AND/OR A NUMBER",
+ *   "NO MORE THAN THREE WORDS", ...)
+ * - Normalises case, punctuation, articles, hyphenation and British/American spelling
+ * - Treats numeric forms as equal ("3" = "three", "£20" = "20 pounds")
+ * - Expands optional bracketed words in keys ("(the) city centre")
+ *
+ * Every result carries a human-readable `explanation` so graders can see why
+ * an answer failed.
+ */
+
+const WORD_NUMBERS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+}
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+  sixty: 60, seventy: 70, eighty: 80, ninety: 90
+}
+
+const SCALE_WORDS = { hundred: 100, thousand: 1000, million: 1000000 }
+
+const CURRENCY_SYMBOLS = { '£': 'pounds', '$': 'dollars', '€': 'euros' }
+
+const CURRENCY_WORDS = {
+  pound: 'pounds', pounds: 'pounds',
+  dollar: 'dollars', dollars: 'dollars',
+  euro: 'euros', euros: 'euros',
+  pence: 'pence',
+  cent: 'cents', cents: 'cents'
+}
+
+const ARTICLES = new Set(['a', 'an', 'the'])
+
+// Irregular British → American spellings not covered by the suffix rules below
+const SPELLING_VARIANTS = {
+  programme: 'program',
+  programmes: 'programs',
+  catalogue: 'catalog',
+  dialogue: 'dialog',
+  analogue: 'analog',
+  cheque: 'check',
+  cheques: 'checks',
+  tyre: 'tire',
+  tyres: 'tires',
+  grey: 'gray',
+  plough: 'plow',
+  mould: 'mold',
+  aluminium: 'aluminum',
+  jewellery: 'jewelry',
+  storey: 'story',
+  storeys: 'stories',
+  kerb: 'curb',
+  pyjamas: 'pajamas',
+  aeroplane: 'airplane',
+  aeroplanes: 'airplanes',
+  enrolment: 'enrollment',
+  fulfil: 'fulfill',
+  licence: 'license',
+  defence: 'defense',
+  offence: 'offense',
+  practise: 'practice',
+  manoeuvre: 'maneuver',
+  paediatric: 'pediatric',
+  oestrogen: 'estrogen',
+  anaemia: 'anemia',
+  encyclopaedia: 'encyclopedia',
+  fibre: 'fiber',
+  fibres: 'fibers',
+  calibre: 'caliber',
+  sombre: 'somber'
+}
+
+// Words ending in -our / -ise / -tre that are not British spellings
+const SPELLING_EXCEPTIONS = new Set([
+  'four', 'hour', 'hours', 'your', 'tour', 'tours', 'pour', 'sour', 'flour', 'our', 'ours', 'detour',
+  'contour', 'devour', 'amateur', 'rise', 'wise', 'otherwise', 'likewise', 'clockwise', 'precise',
+  'concise', 'promise', 'premise', 'exercise', 'advertise', 'advise', 'revise', 'supervise',
+  'surprise', 'enterprise', 'compromise', 'franchise', 'merchandise', 'expertise', 'noise',
+  'raise', 'praise', 'cruise', 'bruise', 'poise', 'treatise', 'paradise', 'disguise', 'despise',
+  'comprise', 'televise', 'improvise', 'chastise', 'arise', 'sunrise', 'demise', 'incise',
+  'excise', 'devise', 'mise', 'anise', 'tortoise', 'porpoise', 'turquoise', 'cheese'
+])
+
+function toAmericanSpelling(word) {
+  if (SPELLING_VARIANTS[word]) return SPELLING_VARIANTS[word]
+  if (SPELLING_EXCEPTIONS.has(word) || word.length < 5) return word
+
+  return word
+    .replace(/isation(s?)$/, 'ization$1')
+    .replace(/is(e|ed|es|ing|er|ers)$/, 'iz$1')
+    .replace(/ys(e|ed|es|ing)$/, 'yz$1')
+    .replace(/our(s|ed|ing|ful|ite|ites|able)?$/, 'or$1')
+    .replace(/tre(s?)$/, 'ter$1')
+    .replace(/([aeiou])ll(ed|ing|er|ers)$/, '$1l$2')
+}
+
+/**
+ * Parse an answerConstraints string into word / number limits
+ * Returns null when the constraint does not restrict typed answers
+ */
+function parseAnswerConstraints(constraints) {
+  if (!constraints || typeof constraints !== 'string') return null
+  const text = constraints.toUpperCase()
+
+  const numberOnly = /^\s*(WRITE\s+)?(ONLY\s+)?A NUMBER( ONLY)?\.?\s*$/.test(text) || /\bNUMBER ONLY\b/.test(text)
+  if (numberOnly) {
+    return { maxWords: 0, allowNumber: true, numberOnly: true, label: constraints }
+  }
+
+  const wordMatch = text.match(/\b(ONE|TWO|THREE|FOUR|FIVE)\s+WORDS?\b/)
+  if (!wordMatch) return null
+
+  return {
+    maxWords: WORD_NUMBERS[wordMatch[1].toLowerCase()],
+    allowNumber: /AND\/OR\s+A\s+NUMBER|OR\s+A\s+NUMBER|AND\s+A\s+NUMBER/.test(text),
+    numberOnly: false,
+    label: constraints
+  }
+}
+
+function isNumericToken(token) {
+  return /^[£$€]?\d[\d,]*(\.\d+)?(%|p|st|nd|rd|th|am|pm)?$/i.test(token) ||
+    /^\d{1,2}[.:]\d{2}$/.test(token)
+}
+
+// Written-out number tokens lower-cased for collapseNumberWords; "twenty-five" is split in two
+function numberWordParts(token) {
+  const parts = token.toLowerCase().split('-')
+  const isNumberWord = part => NUMBER_WORDS[part] !== undefined || SCALE_WORDS[part] || part === 'and'
+  return parts.every(isNumberWord) ? parts : [token]
+}
+
+/**
+ * Count words and numbers in a raw answer the way IELTS does:
+ * hyphenated words count as one word, numbers (including currency/time and
+ * written-out numbers like "twenty five") as numbers
+ */
+function countAnswerTokens(answer) {
+  const tokens = collapseNumberWords(String(answer)
+    .trim()
+    .split(/\s+/)
+    .map(t => t.replace(/^[^\w£$€]+|[^\w%]+$/g, ''))
+    .filter(Boolean)
+    .flatMap(numberWordParts))
+
+  const numbers = tokens.filter(isNumericToken).length
+  return { words: tokens.length - numbers, numbers, total: tokens.length }
+}
+
+function checkConstraints(answer, constraint) {
+  if (!constraint) return null
+
+  const { words, numbers } = countAnswerTokens(answer)
+
+  if (constraint.numberOnly) {
+    if (words > 0 || numbers !== 1) {
+      return `Answer must be a single number ("${constraint.label}")`
+    }
+    return null
+  }
+
+  if (!constraint.allowNumber) {
+    if (words + numbers > constraint.maxWords) {
+      return `Answer has ${words + numbers} words; the limit is ${constraint.maxWords} ("${constraint.label}")`
+    }
+    return null
+  }
+
+  if (numbers > 1) {
+    return `Answer contains ${numbers} numbers; only one is allowed ("${constraint.label}")`
+  }
+  if (words > constraint.maxWords) {
+    return `Answer has ${words} words; the limit is ${constraint.maxWords} ("${constraint.label}")`
+  }
+  return null
+}
+
+// Convert runs of number words ("twenty five", "three hundred") to digits
+function collapseNumberWords(tokens) {
+  const result = []
+  let current = null
+  let total = 0
+
+  const flush = () => {
+    if (current !== null) {
+      result.push(String(total + current))
+      current = null
+      total = 0
+    }
+  }
+
+  for (const token of tokens) {
+    if (NUMBER_WORDS[token] !== undefined) {
+      current = (current || 0) + NUMBER_WORDS[token]
+    } else if (SCALE_WORDS[token] && current !== null) {
+      current *= SCALE_WORDS[token]
+      if (SCALE_WORDS[token] >= 1000) {
+        total += current
+        current = 0
+      }
+    } else if (token === 'and' && current !== null) {
+      continue
+    } else {
+      flush()
+      result.push(token)
+    }
+  }
+  flush()
+
+  return result
+}
+
+/**
+ * Normalise an answer for comparison. Returns a canonical token string.
+ */
+function normaliseAnswer(value) {
+  let text = String(value ?? '')
+    .toLowerCase()
+    .normalize('NFKC')
+    .replace(/[’‘`]/g, "'")
+    .replace(/[–—]/g, '-')
+
+  // Currency symbols: "£20" → "20 pounds"
+  text = text.replace(/([£$€])\s*(\d[\d,]*(?:\.\d+)?)/g, (match, symbol, amount) => `${amount} ${CURRENCY_SYMBOLS[symbol]}`)
+
+  // Thousands separators and trailing ".00"
+  text = text.replace(/(\d),(?=\d{3}\b)/g, '$1').replace(/(\d)\.00\b/g, '$1')
+
+  // Split number + unit written together ("20pounds", "5km")
+  text = text.replace(/(\d)([a-z]{2,})/g, '$1 $2')
+
+  // Hyphenation: "well-known" = "well known"
+  text = text.replace(/-/g, ' ')
+
+  // Strip punctuation except decimal points / times between digits and apostrophes in words
+  text = text.replace(/(?<!\d)[.:](?!\d)|[^\w\s.:'%]/g, ' ').replace(/'/g, '')
+
+  let tokens = text.split(/\s+/).filter(Boolean)
+  tokens = collapseNumberWords(tokens)
+  tokens = tokens
+    .filter(t => !ARTICLES.has(t))
+    .map(t => CURRENCY_WORDS[t] || t)
+    .map(toAmericanSpelling)
+
+  return tokens.join(' ')
+}
+
+/**
+ * Expand "(the) city (centre)" into every combination with/without the
+ * bracketed words. Also splits "a / b" alternatives.
+ */
+function expandOptionalWords(key) {
+  const variants = new Set()
+
+  String(key)
+    .split(/\s+\/\s+|\s*;\s*/)
+    .filter(Boolean)
+    .forEach(alternative => {
+      const parts = alternative.split(/(\([^)]*\))/).filter(p => p !== '')
+      let combos = ['']
+      for (const part of parts) {
+        if (/^\(.*\)$/.test(part)) {
+          const inner = part.slice(1, -1)
+          combos = combos.flatMap(c => [c, `${c} ${inner}`])
+        } else {
+          combos = combos.map(c => c + part)
+        }
+      }
+      combos.forEach(c => variants.add(c.replace(/\s+/g, ' ').trim()))
+    })
+
+  return [...variants].filter(Boolean)
+}
+
+// Hyphen/space-insensitive comparison: "week end" = "weekend" = "week-end"
+function compactForm(normalised) {
+  return normalised.replace(/\s+/g, '')
+}
+
+/**
+ * Match a typed answer against the answer key.
+ *
+ * @param {string} answer - candidate's answer
+ * @param {object} key - { correct, accepted, answerConstraints }
+ * @returns {{ correct: boolean, reason: string|null, explanation: string|null, normalisedAnswer: string, matchedKey: string|null }}
+ */
+function matchAnswer(answer, { correct, accepted = [], answerConstraints } = {}) {
+  const keys = [correct, accepted]
+    .flat(Infinity)
+    .filter(k => k !== undefined && k !== null && String(k).trim() !== '')
+
+  const raw = Array.isArray(answer) ? answer.join(' ') : answer
+  const normalisedAnswer = normaliseAnswer(raw)
+
+  if (keys.length === 0) {
+    return { correct: false, reason: 'no-key', explanation: 'No answer key is stored for this question', normalisedAnswer, matchedKey: null }
+  }
+
+  if (raw === undefined || raw === null || String(raw).trim() === '') {
+    return { correct: false, reason: 'unanswered', explanation: 'No answer was given', normalisedAnswer, matchedKey: null }
+  }
+
+  const constraintViolation = checkConstraints(raw, parseAnswerConstraints(answerConstraints))
+
+  const candidates = keys.flatMap(k => expandOptionalWords(k).map(variant => ({ key: String(k), variant: normaliseAnswer(variant) })))
+  const match = candidates.find(c => c.variant === normalisedAnswer) ||
+    candidates.find(c => compactForm(c.variant) === compactForm(normalisedAnswer))
+
+  if (match && constraintViolation) {
+    return {
+      correct: false,
+      reason: 'constraint',
+      explanation: `Matches "${match.key}" but breaks the answer constraint: ${constraintViolation}`,
+      normalisedAnswer,
+      matchedKey: match.key
+    }
+  }
+
+  if (match) {
+    return { correct: true, reason: null, explanation: null, normalisedAnswer, matchedKey: match.key }
+  }
+
+  const expected = keys.map(k => `"${k}"`).join(', ')
+  return {
+    correct: false,
+    reason: constraintViolation ? 'constraint' : 'mismatch',
+    explanation: constraintViolation
+      ? `${constraintViolation}; expected ${expected}`
+      : `"${raw}" (normalised "${normalisedAnswer}") does not match ${expected}`,
+    normalisedAnswer,
+    matchedKey: null
+  }
+}
+
+module.exports = {
+  parseAnswerConstraints,
+  countAnswerTokens,
+  normaliseAnswer,
+  expandOptionalWords,
+  matchAnswer
+}
@@ -0,0 +1,113 @@
+/**
+ * IELTS raw-score-to-band conversion
+ *
+ * Tables follow the standard Cambridge/IDP conversion used for
+ * Listening, Academic Reading and General Training Reading (raw marks out of 40).
+ * Each row is [minimum raw score, band]; rows are ordered from highest band down.
+ */
+
+const LISTENING_TABLE = [
+  [39, 9], [37, 8.5], [35, 8], [32, 7.5], [30, 7], [26, 6.5], [23, 6],
+  [18, 5.5], [16, 5], [13, 4.5], [10, 4], [8, 3.5], [6, 3], [4, 2.5],
+  [2, 2], [1, 1], [0, 0]
+]
+
+const ACADEMIC_READING_TABLE = [
+  [39, 9], [37, 8.5], [35, 8], [33, 7.5], [30, 7], [27, 6.5], [23, 6],
+  [19, 5.5], [15, 5], [13, 4.5], [10, 4], [8, 3.5], [6, 3], [4, 2.5],
+  [2, 2], [1, 1], [0, 0]
+]
+
+const GENERAL_READING_TABLE = [
+  [40, 9], [39, 8.5], [37, 8], [36, 7.5], [34, 7], [32, 6.5], [30, 6],
+  [27, 5.5], [23, 5], [19, 4.5], [15, 4], [12, 3.5], [9, 3], [6, 2.5],
+  [3, 2], [1, 1], [0, 0]
+]
+
+const MODULES = ['academic', 'general']
+
+function normaliseModule(module) {
+  const value = String(module || '').toLowerCase()
+  return value.startsWith('general') ? 'general' : 'academic'
+}
+
+function lookupBand(table, rawScore) {
+  if (rawScore === undefined || rawScore === null || rawScore === '') return null
+  const raw = Number(rawScore)
+  if (Number.isNaN(raw)) return null
+
+  const clamped = Math.max(0, Math.min(40, Math.floor(raw)))
+  const row = table.find(([min]) => clamped >= min)
+  return row ? row[1] : 0
+}
+
+function listeningBand(rawScore) {
+  return lookupBand(LISTENING_TABLE, rawScore)
+}
+
+function readingBand(rawScore, module = 'academic') {
+  const table = normaliseModule(module) === 'general' ? GENERAL_READING_TABLE : ACADEMIC_READING_TABLE
+  return lookupBand(table, rawScore)
+}
+
+/**
+ * Round an average band to the nearest half band.
+ * Official rule: .25 rounds up to .5 and .75 rounds up to the next whole band.
+ */
+function roundBand(value) {
+  // Small epsilon guards against floating point averages like 6.2499999
+  return Math.floor(value * 2 + 0.5 + 1e-9) / 2
+}
+
+/**
+ * Overall band = average of the four section bands, rounded officially.
+ * Returns null while any section band is still missing.
+ */
+function overallBand({ listening, reading, writing, speaking }) {
+  const bands = [listening, reading, writing, speaking]
+  if (bands.some(b => b === undefined || b === null || b === '' || Number.isNaN(Number(b)))) {
+    return null
+  }
+
+  const average = bands.reduce((sum, b) => sum + Number(b), 0) / bands.length
+  return roundBand(average)
+}
+
+/**
+ * Section band from examiner criteria (Speaking, Writing): the criteria are
+ * whole bands, their average is rounded down to the nearest half band.
+ */
+function criteriaBand(criterionBands) {
+  if (!criterionBands.length || criterionBands.some(b => b === undefined || b === null || Number.isNaN(Number(b)))) {
+    return null
+  }
+
+  const average = criterionBands.reduce((sum, b) => sum + Number(b), 0) / criterionBands.length
+  return Math.floor(average * 2 + 1e-9) / 2
+}
+
+/**
+ * Writing band from the two task bands; Task 2 carries twice the weight of Task 1.
+ * Returns null until both tasks are scored.
+ */
+function writingBand(task1Band, task2Band) {
+  if ([task1Band, task2Band].some(b => b === undefined || b === null || Number.isNaN(Number(b)))) {
+    return null
+  }
+
+  return roundBand((Number(task1Band) + 2 * Number(task2Band)) / 3)
+}
+
+module.exports = {
+  MODULES,
+  LISTENING_TABLE,
+  ACADEMIC_READING_TABLE,
+  GENERAL_READING_TABLE,
+  normaliseModule,
+  listeningBand,
+  readingBand,
+  roundBand,
+  overallBand,
+  criteriaBand,
+  writingBand
+}
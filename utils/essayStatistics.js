@@ -0,0 +1,195 @@
+/**
+ * Deterministic statistics for Writing responses (no LLM involved)
+ *
+ * Word counting follows the IELTS rules examiners apply:
+ *   - hyphenated words count once ("well-known", "twenty-five")
+ *   - numbers count as one word, with or without symbols ("1,500", "25%", "2020s")
+ *   - contractions count once ("don't", "it's")
+ *   - stray punctuation and symbols on their own ("-", "&") are not words
+ */
+
+const { SECTION_PROFILES } = require('./sectionProfiles')
+
+const MIN_WORDS = {
+  task1: SECTION_PROFILES.writing.tasks[0].minWords,
+  task2: SECTION_PROFILES.writing.tasks[1].minWords
+}
+
+const LINKING_DEVICES = {
+  addition: ['in addition', 'furthermore', 'moreover', 'additionally', 'besides', 'also', 'as well as'],
+  contrast: ['however', 'on the other hand', 'in contrast', 'nevertheless', 'nonetheless', 'although', 'even though', 'whereas', 'while', 'yet', 'despite', 'in spite of'],
+  cause: ['therefore', 'consequently', 'as a result', 'thus', 'hence', 'because', 'since', 'due to', 'owing to', 'as a consequence'],
+  example: ['for example', 'for instance', 'such as', 'in particular', 'namely'],
+  sequence: ['firstly', 'secondly', 'thirdly', 'first of all', 'finally', 'subsequently', 'meanwhile', 'afterwards', 'then'],
+  comparison: ['similarly', 'likewise', 'in comparison', 'compared to', 'compared with', 'in the same way'],
+  conclusion: ['in conclusion', 'to conclude', 'to sum up', 'in summary', 'overall', 'all in all']
+}
+
+// Function words ignored when looking for overused vocabulary
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'as',
+  'is', 'are', 'was', 'were', 'be', 'been', 'being', 'am', 'do', 'does', 'did', 'have', 'has', 'had',
+  'it', 'its', 'this', 'that', 'these', 'those', 'there', 'their', 'they', 'them', 'he', 'she', 'his', 'her',
+  'we', 'our', 'us', 'you', 'your', 'i', 'my', 'me', 'not', 'no', 'so', 'than', 'which', 'who', 'what',
+  'can', 'could', 'will', 'would', 'should', 'may', 'might', 'must', 'more', 'most', 'also', 'into', 'about'
+])
+
+const ABBREVIATIONS = ['e.g.', 'i.e.', 'etc.', 'mr.', 'mrs.', 'ms.', 'dr.', 'vs.', 'approx.']
+
+// A word repeated this often (and at least OVERUSE_MIN_COUNT times) is reported as overused
+const OVERUSE_SHARE = 0.02
+const OVERUSE_MIN_COUNT = 4
+
+function normaliseText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[‘’ʼ]/g, '\'')
+    .replace(/[“”]/g, '"')
+}
+
+function tokenize(text) {
+  return normaliseText(text)
+    // dashes used as punctuation separate words; hyphens inside a word do not
+    .split(/\s+|[–—]|\s-\s/)
+    .map(token => token.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}%]+$/gu, ''))
+    .filter(token => /[\p{L}\p{N}]/u.test(token))
+}
+
+function countWords(text) {
+  return tokenize(text).length
+}
+
+function splitParagraphs(text) {
+  const normalised = normaliseText(text).trim()
+  if (!normalised) return []
+
+  // Textareas often separate paragraphs with a single line break when no blank line is used
+  const separator = /\n\s*\n/.test(normalised) ? /\n\s*\n/ : /\n/
+  return normalised.split(separator).map(p => p.trim()).filter(p => countWords(p) > 0)
+}
+
+function splitSentences(text) {
+  let protectedText = normaliseText(text)
+  for (const abbreviation of ABBREVIATIONS) {
+    const pattern = new RegExp(abbreviation.replace(/\./g, '\\.'), 'gi')
+    protectedText = protectedText.replace(pattern, match => match.replace(/\./g, '\u0000'))
+  }
+
+  return protectedText
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.replace(/\u0000/g, '.').trim())
+    .filter(sentence => countWords(sentence) > 0)
+}
+
+function sentenceLengthStats(sentences) {
+  const lengths = sentences.map(countWords)
+  if (lengths.length === 0) {
+    return { count: 0, mean: 0, median: 0, min: 0, max: 0, distribution: { short: 0, medium: 0, long: 0, veryLong: 0 } }
+  }
+
+  const sorted = [...lengths].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+
+  return {
+    count: lengths.length,
+    mean: Math.round((lengths.reduce((sum, n) => sum + n, 0) / lengths.length) * 10) / 10,
+    median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    // short < 10 words, medium 10-20, long 21-30, veryLong > 30
+    distribution: {
+      short: lengths.filter(n => n < 10).length,
+      medium: lengths.filter(n => n >= 10 && n <= 20).length,
+      long: lengths.filter(n => n > 20 && n <= 30).length,
+      veryLong: lengths.filter(n => n > 30).length
+    }
+  }
+}
+
+function linkingDeviceUsage(text) {
+  const lower = ` ${tokenize(text).join(' ').toLowerCase()} `
+  const byCategory = {}
+  const used = {}
+  let total = 0
+
+  for (const [category, devices] of Object.entries(LINKING_DEVICES)) {
+    byCategory[category] = 0
+    for (const device of devices) {
+      const count = lower.split(` ${device} `).length - 1
+      if (count > 0) {
+        used[device] = count
+        byCategory[category] += count
+        total += count
+      }
+    }
+  }
+
+  return { total, unique: Object.keys(used).length, byCategory, devices: used }
+}
+
+function overusedWords(words) {
+  const counts = new Map()
+  for (const word of words) {
+    if (STOP_WORDS.has(word) || /^\d/.test(word)) continue
+    counts.set(word, (counts.get(word) || 0) + 1)
+  }
+
+  const threshold = Math.max(OVERUSE_MIN_COUNT, Math.ceil(words.length * OVERUSE_SHARE))
+  return [...counts.entries()]
+    .filter(([, count]) => count >= threshold)
+    .sort((a, b) => b[1] - a[1])
+    .map(([word, count]) => ({ word, count }))
+}
+
+/**
+ * Under-length check against the task minimum (150 words for Task 1, 250 for Task 2).
+ * Examiners cap Task Achievement / Task Response for short answers; `severity` is
+ * 'minor' when the answer is within 10% of the limit and 'major' below that.
+ */
+function lengthCheck(wordCount, taskType) {
+  const minWords = MIN_WORDS[taskType] || MIN_WORDS.task2
+  const shortBy = Math.max(0, minWords - wordCount)
+
+  return {
+    minWords,
+    underLength: shortBy > 0,
+    shortBy,
+    severity: shortBy === 0 ? 'none' : shortBy <= minWords * 0.1 ? 'minor' : 'major'
+  }
+}
+
+/**
+ * Statistics for one response. `taskType` is 'task1' or 'task2' (default).
+ * The first four keys keep the names the evaluation UI already reads.
+ */
+function analyseEssay(text, { taskType = 'task2' } = {}) {
+  const tokens = tokenize(text)
+  const words = tokens.map(token => token.toLowerCase())
+  const uniqueWordCount = new Set(words).size
+  const overused = overusedWords(words)
+
+  return {
+    wordCount: tokens.length,
+    uniqueWordCount,
+    overusedWords: overused.map(entry => entry.word),
+    overusedWordCounts: overused,
+    lexicalDiversity: {
+      typeTokenRatio: words.length ? Math.round((uniqueWordCount / words.length) * 1000) / 1000 : 0,
+      // less sensitive to essay length than the plain ratio
+      rootTypeTokenRatio: words.length ? Math.round((uniqueWordCount / Math.sqrt(words.length)) * 100) / 100 : 0
+    },
+    paragraphCount: splitParagraphs(text).length,
+    sentences: sentenceLengthStats(splitSentences(text)),
+    linkingDevices: linkingDeviceUsage(text),
+    length: lengthCheck(tokens.length, taskType === 'task1' ? 'task1' : 'task2')
+  }
+}
+
+module.exports = {
+  MIN_WORDS,
+  LINKING_DEVICES,
+  countWords,
+  splitParagraphs,
+  splitSentences,
+  analyseEssay
+}
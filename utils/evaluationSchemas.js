@@ -0,0 +1,81 @@
+/**
+ * JSON Schemas for AI evaluation output (services/writingEvaluator.js,
+ * services/speakingEvaluator.js)
+ *
+ * Sent to the LLM as the structured-output schema and used to validate its
+ * reply. They follow the strict structured-output subset: every property is
+ * required and no extra properties are allowed.
+ */
+
+const band = { type: 'number', minimum: 0, maximum: 9 }
+
+const highlight = types => ({
+  type: 'object',
+  additionalProperties: false,
+  required: ['type', 'excerpt', 'suggestion'],
+  properties: {
+    type: { type: 'string', enum: types },
+    excerpt: { type: 'string' },
+    suggestion: { type: 'string' }
+  }
+})
+
+const WRITING_EVALUATION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['overallScore', 'criteria', 'highlights', 'summary', 'statistics'],
+  properties: {
+    overallScore: band,
+    criteria: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['taskAchievement', 'coherenceAndCohesion', 'lexicalResource', 'grammaticalRangeAndAccuracy'],
+      properties: {
+        taskAchievement: band,
+        coherenceAndCohesion: band,
+        lexicalResource: band,
+        grammaticalRangeAndAccuracy: band
+      }
+    },
+    highlights: { type: 'array', items: highlight(['grammar', 'coherence', 'vocabulary']) },
+    summary: { type: 'string' },
+    statistics: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['topicRelevance'],
+      properties: {
+        topicRelevance: { type: 'number', minimum: 0, maximum: 100 }
+      }
+    }
+  }
+}
+
+const SPEAKING_EVALUATION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['criteria', 'pronunciationConfidence', 'highlights', 'summary'],
+  properties: {
+    criteria: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['fluencyAndCoherence', 'lexicalResource', 'grammaticalRangeAndAccuracy', 'pronunciation'],
+      properties: {
+        fluencyAndCoherence: band,
+        lexicalResource: band,
+        grammaticalRangeAndAccuracy: band,
+        pronunciation: band
+      }
+    },
+    pronunciationConfidence: { type: 'string', enum: ['low', 'medium', 'high'] },
+    highlights: {
+      type: 'array',
+      items: highlight(['fluency', 'coherence', 'vocabulary', 'grammar', 'pronunciation', 'relevance'])
+    },
+    summary: { type: 'string' }
+  }
+}
+
+module.exports = {
+  WRITING_EVALUATION_SCHEMA,
+  SPEAKING_EVALUATION_SCHEMA
+}
@@ -0,0 +1,192 @@
+/**
+ * Per-part chunking of OCR text for extraction, and the deterministic merge
+ *
+ * Long sections (three Reading passages, four Listening parts) are split on the
+ * part headings listed in the profile's `chunkMarkers` ("READING PASSAGE 2",
+ * "PART 3") so each part is extracted in its own LLM request. "Questions x-y"
+ * headings inside a chunk give the question numbers it should contain, which
+ * the coverage report compares with what was extracted.
+ */
+
+const { parseNumberRange } = require('./scoring')
+
+// "Questions 14-20", "Questions 14 – 20", "Questions 27 and 28", "Question 40"
+const QUESTION_RANGE_PATTERN = /\bQuestions?\s+(\d{1,2})(?:\s*(?:-|–|—|to|and)\s*(\d{1,2}))?/gi
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Part headings in order of appearance: [{ part, index, heading }]
+ * Upper-case headings always count; title-case ones ("Part 2") only when a
+ * "Questions" heading follows closely, so prose like "part 2 of the plan" is ignored.
+ */
+function findPartMarkers(text, markers) {
+  const found = []
+
+  for (const marker of markers) {
+    const words = marker.split(/\s+/).map(escapeRegExp).join('\\s+')
+    const pattern = new RegExp(`\\b(${words})\\s+(\\d)\\b`, 'gi')
+
+    for (const match of text.matchAll(pattern)) {
+      const isUpperCase = match[1] === match[1].toUpperCase()
+      const followedByQuestions = /^[^.]{0,80}?\bQuestions?\s+\d/i.test(text.slice(match.index + match[0].length))
+      if (isUpperCase || followedByQuestions) {
+        found.push({ part: parseInt(match[2], 10), index: match.index, heading: match[0] })
+      }
+    }
+  }
+
+  return found.sort((a, b) => a.index - b.index)
+}
+
+// Question numbers announced by "Questions x-y" headings in a chunk
+function announcedQuestionNumbers(text, totalQuestions) {
+  const numbers = new Set()
+
+  for (const match of text.matchAll(QUESTION_RANGE_PATTERN)) {
+    const from = parseInt(match[1], 10)
+    const to = match[2] ? parseInt(match[2], 10) : from
+    if (from < 1 || to > totalQuestions || to < from || to - from > 20) continue
+    for (let n = from; n <= to; n++) numbers.add(n)
+  }
+
+  return [...numbers].sort((a, b) => a - b)
+}
+
+/**
+ * Question numbers that appear on one page: "Questions x-y" headings and
+ * lines starting with a question number ("14 ....", "27. A")
+ */
+function pageQuestionNumbers(text, totalQuestions) {
+  const numbers = new Set(announcedQuestionNumbers(text, totalQuestions))
+
+  for (const match of text.matchAll(/^\s*(\d{1,2})(?=[.)]?\s)/gm)) {
+    const number = parseInt(match[1], 10)
+    if (number >= 1 && number <= totalQuestions) numbers.add(number)
+  }
+
+  return [...numbers].sort((a, b) => a - b)
+}
+
+/**
+ * Split OCR text into one chunk per part: [{ part, heading, text, expectedQuestions }]
+ * Returns a single chunk (part null) when fewer than two parts are found, in
+ * which case the section is extracted in one request as before.
+ *
+ * Only the first heading of each consecutive part starts a chunk, so page
+ * headers repeating "READING PASSAGE 1" and references like "based on Reading
+ * Passage 1" inside the question pages do not split it again.
+ */
+function splitIntoChunks(text, profile) {
+  const markers = profile.chunkMarkers || []
+  const starts = []
+
+  for (const marker of findPartMarkers(text, markers)) {
+    const expectedPart = starts.length === 0 ? marker.part : starts[starts.length - 1].part + 1
+    if (marker.part === expectedPart && marker.part <= profile.partCount) starts.push(marker)
+  }
+
+  if (starts.length < 2) {
+    return [{ part: null, heading: null, text, expectedQuestions: announcedQuestionNumbers(text, profile.totalQuestions) }]
+  }
+
+  return starts.map((start, i) => {
+    // Instructions before the first heading belong to the first part
+    const from = i === 0 ? 0 : start.index
+    const to = i + 1 < starts.length ? starts[i + 1].index : text.length
+    const chunkText = text.slice(from, to).trim()
+
+    return {
+      part: start.part,
+      heading: start.heading,
+      text: chunkText,
+      expectedQuestions: announcedQuestionNumbers(chunkText, profile.totalQuestions)
+    }
+  })
+}
+
+/**
+ * Merge per-chunk structures in part order. Every part a chunk returned is
+ * renumbered to the chunk's part (the model sometimes calls every chunk
+ * "part 1"); several parts from one chunk are folded into one.
+ */
+function mergeChunkStructures(results, profile) {
+  const parts = []
+  let test = null
+
+  for (const { chunk, structure } of [...results].sort((a, b) => a.chunk.part - b.chunk.part)) {
+    if (!structure) continue
+    test = test ?? structure.test ?? null
+
+    const chunkParts = Array.isArray(structure.parts) ? structure.parts : []
+    if (chunkParts.length === 0) continue
+
+    const merged = {
+      ...chunkParts[0],
+      part: chunk.part,
+      questions: chunkParts.flatMap(part => part.questions || [])
+    }
+    const passage = chunkParts.find(part => part.passage)?.passage
+    if (passage && !merged.passage) merged.passage = passage
+
+    parts.push(merged)
+  }
+
+  return {
+    test: test ?? '1',
+    section: profile.sectionName,
+    parts
+  }
+}
+
+function extractedQuestionNumbers(structure) {
+  const numbers = []
+
+  for (const part of structure.parts || []) {
+    for (const question of part.questions || []) {
+      if (question.numberRange) numbers.push(...parseNumberRange(question.numberRange))
+      else if (question.number !== undefined && question.number !== null && !Number.isNaN(parseInt(question.number, 10))) {
+        numbers.push(parseInt(question.number, 10))
+      }
+    }
+  }
+
+  return numbers
+}
+
+/**
+ * Which question numbers are missing from an extracted structure.
+ * `expected` defaults to 1..totalQuestions; per-chunk announced ranges are
+ * reported alongside so a missing number can be traced to its part.
+ */
+function questionCoverage(structure, profile, chunks = []) {
+  const extracted = extractedQuestionNumbers(structure)
+  const found = new Set(extracted)
+  const expected = Array.from({ length: profile.totalQuestions }, (_, i) => i + 1)
+
+  const duplicates = [...new Set(extracted.filter((n, i) => extracted.indexOf(n) !== i))]
+
+  return {
+    expected: expected.length,
+    found: expected.filter(n => found.has(n)).length,
+    missing: expected.filter(n => !found.has(n)),
+    duplicates,
+    unexpected: [...found].filter(n => n < 1 || n > profile.totalQuestions).sort((a, b) => a - b),
+    parts: chunks.filter(chunk => chunk.part !== null).map(chunk => ({
+      part: chunk.part,
+      heading: chunk.heading,
+      announced: chunk.expectedQuestions,
+      missing: chunk.expectedQuestions.filter(n => !found.has(n))
+    }))
+  }
+}
+
+module.exports = {
+  findPartMarkers,
+  pageQuestionNumbers,
+  splitIntoChunks,
+  mergeChunkStructures,
+  questionCoverage
+}
@@ -0,0 +1,120 @@
+/**
+ * Lenient JSON parsing for model replies
+ *
+ * Free-text LLM replies often wrap JSON in markdown fences, leave trailing
+ * commas or unquoted keys, or embed the object in prose. parseJsonSafely tries,
+ * in order: plain JSON.parse, jsonrepair, regex cleaning (cleanJsonString) and
+ * finally the first {...} block in the text.
+ *
+ *   const structure = parseJsonSafely(reply, 'Reading extraction')
+ */
+
+// Install jsonrepair for JSON cleaning: npm install jsonrepair
+let jsonrepair
+try {
+  const { jsonrepair: repair } = require('jsonrepair')
+  jsonrepair = repair
+} catch (error) {
+  console.warn('⚠️ jsonrepair package not found. Install with: npm install jsonrepair')
+  jsonrepair = null
+}
+
+/**
+ * Clean and fix JSON string to ensure it's valid
+ * Handles common GPT-4 JSON formatting issues
+ */
+function cleanJsonString(rawJsonString) {
+  if (!rawJsonString || typeof rawJsonString !== 'string') {
+    throw new Error('Invalid JSON string provided')
+  }
+
+  let cleaned = rawJsonString
+    // Remove markdown code fences and json language hints
+    .replace(/```json\s*/gi, '')
+    .replace(/```\s*/g, '')
+
+    // Fix unquoted property names - handle common patterns
+    .replace(/([,{]\s*)([a-zA-Z0-9_]+)\s*:/g, '$1"$2":')
+    .replace(/(^\s*)([a-zA-Z0-9_]+)\s*:/g, '$1"$2":')
+
+    // Remove trailing commas
+    .replace(/,\s*([}\]])/g, '$1')
+
+    // Fix escaped quotes in strings - be careful not to break valid escaping
+    .replace(/([^\\])\\"/g, '$1\\"')
+
+    // Normalize line breaks in string values to \n
+    .replace(/(".*?)"[\r\n]+/g, (match, content) => {
+      return content.replace(/\r?\n/g, '\\n') + '"'
+    })
+
+    // Remove any control characters that might break JSON
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+
+    // Trim whitespace
+    .trim()
+
+  return cleaned
+}
+
+/**
+ * Parse JSON with automatic cleaning and repair fallbacks
+ * Returns parsed object or throws descriptive error
+ */
+function parseJsonSafely(rawJsonString, context = 'JSON') {
+  if (!rawJsonString) {
+    throw new Error(`Empty ${context} response received`)
+  }
+
+  // First attempt: try parsing as-is
+  try {
+    return JSON.parse(rawJsonString)
+  } catch (initialError) {
+    console.warn(`⚠️ Initial JSON parse failed for ${context}: ${initialError.message}`)
+  }
+
+  // Second attempt: jsonrepair parses the text properly, so it cannot corrupt
+  // string values the way the regex cleaning below can
+  if (jsonrepair) {
+    try {
+      console.log(`🔧 Attempting JSON repair for ${context}`)
+      const repaired = jsonrepair(rawJsonString)
+      return JSON.parse(repaired)
+    } catch (repairError) {
+      console.warn(`⚠️ JSON repair failed for ${context}: ${repairError.message}`)
+    }
+  }
+
+  // Third attempt: clean the JSON string manually
+  try {
+    const cleaned = cleanJsonString(rawJsonString)
+    console.log(`🔧 Attempting to parse cleaned JSON for ${context}`)
+    return JSON.parse(cleaned)
+  } catch (cleanedError) {
+    console.warn(`⚠️ Cleaned JSON parse failed for ${context}: ${cleanedError.message}`)
+  }
+
+  // Final attempt: try to extract JSON from response if it's embedded
+  const jsonMatch = rawJsonString.match(/\{.*\}/s)
+  if (jsonMatch) {
+    try {
+      const extracted = jsonMatch[0]
+      console.log(`🔧 Attempting to parse extracted JSON for ${context}`)
+      return JSON.parse(cleanJsonString(extracted))
+    } catch (extractError) {
+      console.warn(`⚠️ Extracted JSON parse failed for ${context}: ${extractError.message}`)
+    }
+  }
+
+  // If all attempts fail, provide detailed error information
+  const truncatedResponse = rawJsonString.length > 200
+    ? rawJsonString.substring(0, 200) + '...'
+    : rawJsonString
+
+  throw new Error(`Failed to parse ${context} JSON after all repair attempts. Raw response: ${truncatedResponse}`)
+}
+
+module.exports = {
+  cleanJsonString,
+  parseJsonSafely
+}
@@ -0,0 +1,345 @@
+/**
+ * Normalised OCR layout shared by every engine (services/ocrService.js) and
+ * the PDF text layer (services/pdfTextLayer.js)
+ *
+ *   { width, height, blocks: [{ bbox, confidence, lines: [{ bbox, confidence, text, words: [{ text, confidence, bbox }] }] }] }
+ *
+ * Boxes are { x0, y0, x1, y1 } in image pixels, or null when the engine gave
+ * no geometry (text-only fallback). Confidence is always 0-1.
+ *
+ * layoutToText turns a layout back into text that keeps its shape: one line
+ * per row, " | " between cells separated by a wide gap (tables, note-completion
+ * forms) and a blank line between paragraphs, reading two-column pages one
+ * column at a time.
+ */
+
+const CELL_SEPARATOR = ' | '
+
+// Gap between two words, in average character widths, that starts a new cell
+const CELL_GAP_CHARS = 3
+// Vertical gap, in line heights, that starts a new paragraph
+const PARAGRAPH_GAP_LINES = 0.8
+// Side-by-side blocks at least this share of the page wide, with at least
+// this many words per line, are text columns rather than table cells
+const COLUMN_MIN_WIDTH = 0.25
+const COLUMN_MIN_WORDS_PER_LINE = 3
+// Two readings of a line are the same line when they share this much of the larger box
+const SAME_LINE_OVERLAP = 0.6
+// A line is missing from a reading when no line there covers this much of it
+const MISSING_LINE_OVERLAP = 0.2
+
+const round = value => Math.round(value)
+
+function toBox(box) {
+  if (!box) return null
+  return { x0: round(box.x0), y0: round(box.y0), x1: round(box.x1), y1: round(box.y1) }
+}
+
+function unionBox(boxes) {
+  const present = boxes.filter(Boolean)
+  if (present.length === 0) return null
+  return {
+    x0: Math.min(...present.map(b => b.x0)),
+    y0: Math.min(...present.map(b => b.y0)),
+    x1: Math.max(...present.map(b => b.x1)),
+    y1: Math.max(...present.map(b => b.y1))
+  }
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0
+}
+
+function median(values) {
+  if (values.length === 0) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+function makeLine(words, confidence = null) {
+  return {
+    bbox: unionBox(words.map(w => w.bbox)),
+    confidence: confidence ?? mean(words.map(w => w.confidence)),
+    text: words.map(w => w.text).join(' '),
+    words
+  }
+}
+
+function makeBlock(lines) {
+  return {
+    bbox: unionBox(lines.map(l => l.bbox)),
+    confidence: mean(lines.map(l => l.confidence)),
+    lines
+  }
+}
+
+/**
+ * Tesseract.js `data.blocks` (recognize with output { blocks: true }).
+ * Paragraphs are flattened into their block; confidences are 0-100.
+ */
+function fromTesseract(data, { width = null, height = null } = {}) {
+  const blocks = (data.blocks || []).map(block => makeBlock(
+    (block.paragraphs || []).flatMap(paragraph => paragraph.lines || []).map(line => makeLine(
+      (line.words || [])
+        .filter(word => word.text && word.text.trim())
+        .map(word => ({ text: word.text.trim(), confidence: word.confidence / 100, bbox: toBox(word.bbox) })),
+      line.confidence / 100
+    )).filter(line => line.words.length > 0)
+  )).filter(block => block.lines.length > 0)
+
+  const page = unionBox(blocks.map(b => b.bbox))
+  return {
+    width: width ?? page?.x1 ?? null,
+    height: height ?? page?.y1 ?? null,
+    blocks
+  }
+}
+
+/**
+ * One page of docTR's `Document.export()`: geometry is relative
+ * ([[x0, y0], [x1, y1]], 0-1) and `dimensions` is [height, width]
+ */
+function fromDocTR(page) {
+  const [height, width] = page.dimensions || [1, 1]
+  const scale = geometry => geometry && toBox({
+    x0: geometry[0][0] * width,
+    y0: geometry[0][1] * height,
+    x1: geometry[1][0] * width,
+    y1: geometry[1][1] * height
+  })
+
+  const blocks = (page.blocks || []).map(block => makeBlock(
+    (block.lines || []).map(line => makeLine(
+      (line.words || [])
+        .filter(word => word.value && word.value.trim())
+        .map(word => ({ text: word.value.trim(), confidence: word.confidence, bbox: scale(word.geometry) }))
+    )).filter(line => line.words.length > 0)
+  )).filter(block => block.lines.length > 0)
+
+  return { width, height, blocks }
+}
+
+/**
+ * A page of the PDF's own text layer (services/pdfTextLayer.js), boxes in
+ * points, scaled to the rendered image size. Embedded text is exact, so
+ * every confidence is 1.
+ */
+function fromPdfText(page, { width = null, height = null } = {}) {
+  const scaleX = width ? width / page.width : 1
+  const scaleY = height ? height / page.height : 1
+  const scale = box => toBox({ x0: box.x0 * scaleX, y0: box.y0 * scaleY, x1: box.x1 * scaleX, y1: box.y1 * scaleY })
+
+  const blocks = page.blocks.map(block => makeBlock(
+    block.lines.map(line => makeLine(line.words.map(word => ({ text: word.text, confidence: 1, bbox: scale(word.bbox) }))))
+  ))
+
+  return { width: width ?? page.width, height: height ?? page.height, blocks }
+}
+
+/**
+ * Layout without geometry from plain engine text: blank lines separate
+ * blocks, every text line is a line. `confidence` is applied to every word.
+ */
+function fromText(text, confidence = null) {
+  const blocks = String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(paragraph => makeBlock(paragraph
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => makeLine(line.split(/\s+/).map(word => ({ text: word, confidence, bbox: null })), confidence))))
+    .filter(block => block.lines.length > 0)
+
+  return { width: null, height: null, blocks }
+}
+
+// Intersection of two boxes as a share of the larger (or smaller) one's area
+function overlapShare(a, b, relativeTo = 'larger') {
+  const width = Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0)
+  const height = Math.min(a.y1, b.y1) - Math.max(a.y0, b.y0)
+  if (width <= 0 || height <= 0) return 0
+
+  const areas = [(a.x1 - a.x0) * (a.y1 - a.y0), (b.x1 - b.x0) * (b.y1 - b.y0)]
+  const area = relativeTo === 'larger' ? Math.max(...areas) : Math.min(...areas)
+  return area > 0 ? (width * height) / area : 0
+}
+
+/**
+ * Line-by-line merge of two readings of the same image (boxes in the same
+ * pixels). A line of `base` is replaced by the matching line of `other` when
+ * that one is more confident; lines only `other` found are added when they
+ * are more confident than `base` on average. Returns { layout, replaced, added }.
+ */
+function mergeLayouts(base, other) {
+  const otherLines = other.blocks.flatMap(b => b.lines).filter(l => l.bbox)
+  const baseLines = base.blocks.flatMap(b => b.lines).filter(l => l.bbox)
+  const baseConfidence = mean(baseLines.map(l => l.confidence))
+  const matched = new Set()
+  let replaced = 0
+
+  const blocks = base.blocks.map(block => makeBlock(block.lines.map(line => {
+    if (!line.bbox) return line
+
+    const match = otherLines
+      .filter(candidate => !matched.has(candidate))
+      .map(candidate => ({ candidate, share: overlapShare(line.bbox, candidate.bbox) }))
+      .filter(entry => entry.share >= SAME_LINE_OVERLAP)
+      .sort((a, b) => b.share - a.share)[0]
+    if (!match) return line
+
+    matched.add(match.candidate)
+    if (match.candidate.confidence <= line.confidence) return line
+    replaced++
+    return match.candidate
+  })))
+
+  const missing = otherLines.filter(line => !matched.has(line) &&
+    line.confidence > baseConfidence &&
+    baseLines.every(baseLine => overlapShare(line.bbox, baseLine.bbox, 'smaller') < MISSING_LINE_OVERLAP))
+  blocks.push(...missing.map(line => makeBlock([line])))
+
+  return {
+    layout: { width: base.width ?? other.width, height: base.height ?? other.height, blocks },
+    replaced,
+    added: missing.length
+  }
+}
+
+function hasGeometry(layout) {
+  return layout.blocks.some(block => block.bbox)
+}
+
+/**
+ * Reading order of blocks. Blocks that overlap vertically sit side by side:
+ * two wide blocks of running text are columns (left column first), anything
+ * else is a table or form whose blocks are merged so rows are read across.
+ */
+function arrangeBlocks(blocks, width) {
+  const sorted = [...blocks].sort((a, b) => a.bbox.y0 - b.bbox.y0 || a.bbox.x0 - b.bbox.x0)
+  const pageWidth = width || unionBox(sorted.map(b => b.bbox))?.x1 || 1
+
+  const groups = []
+  for (const block of sorted) {
+    const group = groups[groups.length - 1]
+    if (group && block.bbox.y0 < group.bottom) {
+      group.blocks.push(block)
+      group.bottom = Math.max(group.bottom, block.bbox.y1)
+    } else {
+      groups.push({ blocks: [block], bottom: block.bbox.y1 })
+    }
+  }
+
+  return groups.flatMap(({ blocks: group }) => {
+    if (group.length === 1) return group
+
+    const isColumns = group.length === 2 &&
+      group.every(b => b.bbox.x1 - b.bbox.x0 >= pageWidth * COLUMN_MIN_WIDTH) &&
+      group.every(b => mean(b.lines.map(l => l.words.length)) >= COLUMN_MIN_WORDS_PER_LINE) &&
+      Math.max(group[0].bbox.x0, group[1].bbox.x0) >= Math.min(group[0].bbox.x1, group[1].bbox.x1)
+    if (isColumns) return [...group].sort((a, b) => a.bbox.x0 - b.bbox.x0)
+
+    return [makeBlock(group.flatMap(b => b.lines))]
+  })
+}
+
+// Lines whose vertical centres are within half a line height form one row
+function groupRows(lines) {
+  const rows = []
+
+  for (const line of [...lines].sort((a, b) => a.bbox.y0 - b.bbox.y0)) {
+    const centre = (line.bbox.y0 + line.bbox.y1) / 2
+    const row = rows.find(r => Math.abs(r.centre - centre) <= Math.max(r.height, line.bbox.y1 - line.bbox.y0) / 2)
+
+    if (row) {
+      row.lines.push(line)
+      row.bbox = unionBox([row.bbox, line.bbox])
+    } else {
+      rows.push({ centre, height: line.bbox.y1 - line.bbox.y0, bbox: line.bbox, lines: [line] })
+    }
+  }
+
+  return rows.sort((a, b) => a.bbox.y0 - b.bbox.y0)
+}
+
+// Words of a row left to right, split into cells wherever the gap is wide
+function rowCells(row, charWidth) {
+  const words = row.lines.flatMap(line => line.words).filter(w => w.bbox).sort((a, b) => a.bbox.x0 - b.bbox.x0)
+  const cells = []
+  let previous = null
+
+  for (const word of words) {
+    if (!previous || word.bbox.x0 - previous.bbox.x1 > charWidth * CELL_GAP_CHARS) cells.push([])
+    cells[cells.length - 1].push(word.text)
+    previous = word
+  }
+
+  return cells.map(cell => cell.join(' '))
+}
+
+/**
+ * Layout → text for the LLM. `cleanSegment` (e.g. OCRService.cleanOCRText)
+ * is applied to each cell; empty cells are dropped.
+ */
+function layoutToText(layout, { cleanSegment = segment => segment } = {}) {
+  const render = cells => cells.map(cleanSegment).filter(Boolean).join(CELL_SEPARATOR)
+
+  if (!hasGeometry(layout)) {
+    return layout.blocks
+      .map(block => block.lines.map(line => render([line.text])).filter(Boolean).join('\n'))
+      .filter(Boolean)
+      .join('\n\n')
+  }
+
+  const words = layout.blocks.flatMap(b => b.lines.flatMap(l => l.words)).filter(w => w.bbox)
+  const charWidth = median(words.map(w => (w.bbox.x1 - w.bbox.x0) / Math.max(1, w.text.length))) || 1
+  const lineHeight = median(layout.blocks.flatMap(b => b.lines).filter(l => l.bbox).map(l => l.bbox.y1 - l.bbox.y0)) || 1
+
+  const paragraphs = []
+  for (const block of arrangeBlocks(layout.blocks.filter(b => b.bbox), layout.width)) {
+    let current = []
+    let previousRow = null
+
+    for (const row of groupRows(block.lines.filter(l => l.bbox))) {
+      if (previousRow && row.bbox.y0 - previousRow.bbox.y1 > lineHeight * PARAGRAPH_GAP_LINES) {
+        paragraphs.push(current)
+        current = []
+      }
+      const text = render(rowCells(row, charWidth))
+      if (text) current.push(text)
+      previousRow = row
+    }
+    paragraphs.push(current)
+  }
+
+  return paragraphs
+    .filter(lines => lines.length > 0)
+    .map(lines => lines.join('\n'))
+    .join('\n\n')
+}
+
+// Word count and mean word confidence, for logs and page reports
+function layoutSummary(layout) {
+  const words = layout.blocks.flatMap(b => b.lines.flatMap(l => l.words))
+  const confidences = words.map(w => w.confidence).filter(c => typeof c === 'number')
+
+  return {
+    blocks: layout.blocks.length,
+    lines: layout.blocks.reduce((sum, b) => sum + b.lines.length, 0),
+    words: words.length,
+    meanWordConfidence: confidences.length ? Math.round(mean(confidences) * 1000) / 1000 : null
+  }
+}
+
+module.exports = {
+  CELL_SEPARATOR,
+  fromTesseract,
+  fromDocTR,
+  fromPdfText,
+  fromText,
+  hasGeometry,
+  mergeLayouts,
+  layoutToText,
+  layoutSummary
+}
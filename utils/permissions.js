@@ -0,0 +1,78 @@
+/**
+ * Role-based access control
+ *
+ * `users.role` holds one of ROLES. `admin` is the super-admin role (kept under its
+ * original name so existing rows and the admin panel keep working).
+ */
+
+const ROLES = {
+  ADMIN: 'admin',
+  AUTHOR: 'author',
+  GRADER: 'grader',
+  PROCTOR: 'proctor',
+  STUDENT: 'student'
+}
+
+const PERMISSIONS = {
+  TESTS_READ: 'tests:read',
+  TESTS_AUTHOR: 'tests:author',
+  EXAM_ASSIGN: 'exam:assign',
+  EXAM_PREVIEW: 'exam:preview',
+  RESULTS_READ: 'results:read',
+  RESULTS_GRADE: 'results:grade',
+  RESULTS_MANAGE: 'results:manage',
+  APPROVALS_MANAGE: 'approvals:manage',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+  SYSTEM_STATUS: 'system:status',
+  SYSTEM_MANAGE: 'system:manage'
+}
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.AUTHOR]: [
+    PERMISSIONS.TESTS_READ,
+    PERMISSIONS.TESTS_AUTHOR,
+    PERMISSIONS.EXAM_PREVIEW,
+    PERMISSIONS.SYSTEM_STATUS
+  ],
+  [ROLES.GRADER]: [
+    PERMISSIONS.TESTS_READ,
+    PERMISSIONS.RESULTS_READ,
+    PERMISSIONS.RESULTS_GRADE
+  ],
+  [ROLES.PROCTOR]: [
+    PERMISSIONS.APPROVALS_MANAGE
+  ],
+  [ROLES.STUDENT]: []
+}
+
+// Roles that sign in to the admin panel with a password
+const STAFF_ROLES = [ROLES.ADMIN, ROLES.AUTHOR, ROLES.GRADER, ROLES.PROCTOR]
+
+function isValidRole(role) {
+  return Object.values(ROLES).includes(role)
+}
+
+function isStaffRole(role) {
+  return STAFF_ROLES.includes(role)
+}
+
+function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || []
+}
+
+function hasPermission(role, permission) {
+  return getPermissions(role).includes(permission)
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  STAFF_ROLES,
+  isValidRole,
+  isStaffRole,
+  getPermissions,
+  hasPermission
+}
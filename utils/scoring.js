@@ -0,0 +1,273 @@
+/**
+ * Objective scoring for Listening and Reading submissions
+ *
+ * Compares submitted answers against `answer.correct` / `answer.accepted`
+ * stored in the test JSON and returns raw marks plus a per-question breakdown.
+ *
+ * Submitted section data may be either an array of answer entries
+ * ({ questionId, number, answer }) or an object keyed by questionId / number.
+ *
+ * Typed answers are matched through utils/answerMatcher, which enforces
+ * `answerConstraints` and normalises spelling/number variants.
+ */
+
+const { matchAnswer } = require('./answerMatcher')
+
+const MAX_RAW_SCORE = 40
+
+const NON_SCORABLE_TYPES = ['divider', 'static', 'image']
+
+// Question types answered by picking a letter / label rather than typing text
+const CHOICE_TYPES = [
+  'multiple-choice',
+  'multi-select',
+  'matching',
+  'matching-headings',
+  'matching-information',
+  'matching-features',
+  'matching-sentence-endings',
+  'map-labelling',
+  'true-false-not-given',
+  'yes-no-not-given'
+]
+
+const JUDGEMENT_ALIASES = {
+  T: 'TRUE',
+  F: 'FALSE',
+  Y: 'YES',
+  N: 'NO',
+  NG: 'NOT GIVEN',
+  NOTGIVEN: 'NOT GIVEN'
+}
+
+function isScorableQuestion(question) {
+  if (!question || NON_SCORABLE_TYPES.includes(question.type)) return false
+  return question.isInteractive !== false
+}
+
+// Parse "21-22" (or "21–22") into [21, 22]
+function parseNumberRange(range) {
+  if (!range) return []
+  const [start, end] = String(range).split(/\s*[-–—]\s*/).map(n => parseInt(n, 10))
+  if (Number.isNaN(start)) return []
+  if (Number.isNaN(end) || end < start) return [start]
+
+  const numbers = []
+  for (let n = start; n <= end; n++) numbers.push(n)
+  return numbers
+}
+
+function getQuestionNumbers(question) {
+  if (question.numberRange) return parseNumberRange(question.numberRange)
+  if (question.number !== undefined && question.number !== null) return [parseInt(question.number, 10)]
+  return []
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return []
+  return Array.isArray(value) ? value : [value]
+}
+
+function normaliseChoice(value) {
+  const upper = String(value).trim().toUpperCase().replace(/\s+/g, ' ')
+  return JUDGEMENT_ALIASES[upper.replace(/\s/g, '')] || upper
+}
+
+function isChoiceQuestion(question) {
+  return CHOICE_TYPES.includes(question.type) || ['radio', 'checkbox', 'drag'].includes(question.inputType)
+}
+
+/**
+ * Build a lookup of submitted answers by questionId and by question number
+ */
+function indexSubmittedAnswers(sectionAnswers) {
+  const byId = new Map()
+  const byNumber = new Map()
+
+  const add = (key, entry) => {
+    if (entry === undefined || entry === null) return
+    const value = typeof entry === 'object' && !Array.isArray(entry)
+      ? entry.answer ?? entry.userAnswer ?? entry.value ?? entry.selected
+      : entry
+
+    const questionId = typeof entry === 'object' && !Array.isArray(entry) ? entry.questionId : undefined
+    const number = typeof entry === 'object' && !Array.isArray(entry) ? entry.number : undefined
+
+    if (questionId) byId.set(String(questionId), value)
+    if (number !== undefined && number !== null) byNumber.set(parseInt(number, 10), value)
+
+    if (key !== undefined) {
+      if (/^\d+$/.test(String(key))) byNumber.set(parseInt(key, 10), value)
+      else byId.set(String(key), value)
+    }
+  }
+
+  if (Array.isArray(sectionAnswers)) {
+    sectionAnswers.forEach(entry => add(undefined, entry))
+  } else if (sectionAnswers && typeof sectionAnswers === 'object') {
+    Object.entries(sectionAnswers).forEach(([key, entry]) => add(key, entry))
+  }
+
+  return { byId, byNumber }
+}
+
+function findSubmittedAnswer(question, numbers, index) {
+  if (question.questionId && index.byId.has(question.questionId)) {
+    return index.byId.get(question.questionId)
+  }
+
+  if (numbers.length > 1) {
+    const perNumber = numbers
+      .map(n => index.byNumber.get(n))
+      .filter(v => v !== undefined && v !== null && v !== '')
+    if (perNumber.length > 0) return perNumber.flat()
+  }
+
+  if (numbers.length > 0 && index.byNumber.has(numbers[0])) {
+    return index.byNumber.get(numbers[0])
+  }
+
+  return undefined
+}
+
+/**
+ * Score a single question. Multi-answer questions (numberRange "21-22")
+ * are worth one mark per expected answer, awarded for each correct pick;
+ * `accepted` letters count as correct picks too. Picking more options than
+ * the question has marks ("Choose TWO" answered with three letters) scores 0.
+ */
+function scoreQuestion(question, submitted) {
+  const numbers = getQuestionNumbers(question)
+  const isChoice = isChoiceQuestion(question)
+  const correct = toList(question.answer?.correct)
+  const accepted = toList(question.answer?.accepted)
+  const maxMarks = Math.max(numbers.length, 1)
+
+  const base = {
+    questionId: question.questionId || null,
+    number: question.number ?? null,
+    numberRange: question.numberRange || null,
+    type: question.type,
+    submitted: submitted === undefined ? null : submitted,
+    expected: correct,
+    maxMarks
+  }
+
+  if (correct.length === 0) {
+    return { ...base, marks: 0, correct: false, status: 'no-key', explanation: 'No answer key is stored for this question' }
+  }
+
+  if (maxMarks > 1 || question.type === 'multi-select') {
+    const keys = new Set(correct.map(normaliseChoice))
+    const acceptedKeys = new Set([...keys, ...accepted.map(normaliseChoice)])
+    const picks = [...new Set(toList(submitted).map(normaliseChoice))]
+
+    if (picks.length > maxMarks) {
+      return {
+        ...base,
+        marks: 0,
+        correct: false,
+        status: 'incorrect',
+        explanation: `Chose ${picks.length} options; only ${maxMarks} allowed`
+      }
+    }
+
+    const hits = picks.filter(p => acceptedKeys.has(p)).length
+    const marks = Math.min(hits, maxMarks)
+    const missed = [...keys].filter(k => !picks.includes(k))
+    const wrong = picks.filter(p => !acceptedKeys.has(p))
+    return {
+      ...base,
+      marks,
+      correct: marks === maxMarks,
+      status: picks.length === 0 ? 'unanswered' : marks === maxMarks ? 'correct' : marks > 0 ? 'partial' : 'incorrect',
+      explanation: marks === maxMarks
+        ? null
+        : picks.length === 0
+          ? 'No answer was given'
+          : [
+            wrong.length ? `Wrong choice(s): ${wrong.join(', ')}` : null,
+            missed.length ? `Missing: ${missed.join(', ')}` : null
+          ].filter(Boolean).join('; ')
+    }
+  }
+
+  const answer = toList(submitted)[0]
+  if (answer === undefined || String(answer).trim() === '') {
+    return { ...base, marks: 0, correct: false, status: 'unanswered', explanation: 'No answer was given' }
+  }
+
+  if (isChoice) {
+    const candidates = [...correct, ...accepted].map(normaliseChoice)
+    const isCorrect = candidates.includes(normaliseChoice(answer))
+    return {
+      ...base,
+      marks: isCorrect ? 1 : 0,
+      correct: isCorrect,
+      status: isCorrect ? 'correct' : 'incorrect',
+      explanation: isCorrect ? null : `Selected "${answer}", expected ${correct.map(c => `"${c}"`).join(' or ')}`
+    }
+  }
+
+  const match = matchAnswer(answer, { correct, accepted, answerConstraints: question.answerConstraints })
+  return {
+    ...base,
+    marks: match.correct ? 1 : 0,
+    correct: match.correct,
+    status: match.correct ? 'correct' : 'incorrect',
+    reason: match.reason,
+    explanation: match.explanation
+  }
+}
+
+/**
+ * Score a submitted section against the stored section structure
+ * (`tests.listening` / `tests.reading`).
+ */
+function scoreSection(sectionStructure, sectionAnswers) {
+  const index = indexSubmittedAnswers(sectionAnswers)
+  const breakdown = []
+
+  for (const part of sectionStructure?.parts || []) {
+    for (const question of part.questions || []) {
+      if (!isScorableQuestion(question)) continue
+
+      const numbers = getQuestionNumbers(question)
+      const submitted = findSubmittedAnswer(question, numbers, index)
+      breakdown.push({ part: part.part, ...scoreQuestion(question, submitted) })
+    }
+  }
+
+  const raw = breakdown.reduce((sum, q) => sum + q.marks, 0)
+  const max = breakdown.reduce((sum, q) => sum + q.maxMarks, 0)
+
+  return {
+    raw: Math.min(raw, MAX_RAW_SCORE),
+    max,
+    correctCount: breakdown.filter(q => q.correct).length,
+    unkeyedCount: breakdown.filter(q => q.status === 'no-key').length,
+    breakdown,
+    scoredAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Find a section's submitted data inside a `results` array
+ * like [{ Listening: [...] }, { Reading: [...] }]
+ */
+function getSubmittedSection(results, sectionName) {
+  if (!Array.isArray(results)) return undefined
+  const entry = results.find(section => section && section[sectionName] !== undefined)
+  return entry ? entry[sectionName] : undefined
+}
+
+module.exports = {
+  MAX_RAW_SCORE,
+  parseNumberRange,
+  getQuestionNumbers,
+  isScorableQuestion,
+  scoreQuestion,
+  scoreSection,
+  getSubmittedSection,
+  indexSubmittedAnswers
+}
@@ -0,0 +1,175 @@
+/**
+ * Per-section extraction profiles
+ *
+ * Every /api/extract/:section job runs the same pipeline
+ * (services/extractionPipeline.js). The profile decides what the extracted
+ * structure should look like and which post-processing steps run on it.
+ *
+ *   partCount       - parts / passages / tasks in the section
+ *   questionRanges  - default `questionsRange` per part
+ *   fixedRanges     - true when every part always starts at its default range
+ *                     (Listening); otherwise numbering continues from the
+ *                     previous part (Reading passages vary between 13 and 14)
+ *   idPrefix        - first segment of generated question IDs
+ *   layout          - 'questions' (numbered, answerable parts[].questions),
+ *                     'task' (parts[].task) or 'speaking' (unnumbered examiner
+ *                     questions plus the Part 2 cue card)
+ *   detectImages    - look for maps / diagrams / visuals on the PDF pages
+ *   acceptsAudio    - keep `audio` files uploaded alongside the PDF (Listening)
+ *   chunkMarkers    - headings that start a part in the OCR text; when set, each
+ *                     part is extracted in its own LLM request (utils/extractionChunks.js)
+ *   allowedTypes    - question/task types the frontend can render
+ *   postProcessing  - ordered step names, see utils/structurePostProcessing.js
+ */
+
+const QUESTION_LAYOUT_STEPS = [
+  'mergeDuplicateParts',
+  'validateAndFixStructure',
+  'injectImageObjects',
+  'processBase64Images',
+  'linkMatchingQuestions',
+  'standardizeQuestionIds',
+  'enforceQuestionNumbering',
+  'validateRequiredFields'
+]
+
+const SECTION_PROFILES = {
+  listening: {
+    section: 'listening',
+    sectionName: 'Listening',
+    promptName: 'listening',
+    idPrefix: 'listening',
+    layout: 'questions',
+    partLabel: 'Part',
+    partCount: 4,
+    totalQuestions: 40,
+    questionRanges: ['1-10', '11-20', '21-30', '31-40'],
+    fixedRanges: true,
+    detectImages: true,
+    acceptsAudio: true,
+    chunkMarkers: ['PART', 'SECTION'],
+    defaultType: 'form-fill',
+    allowedTypes: [
+      'form-fill',
+      'multiple-choice',
+      'multi-select',
+      'matching',
+      'map-labelling',
+      'short-answer',
+      'sentence-completion',
+      'divider',
+      'static',
+      'image'
+    ],
+    postProcessing: QUESTION_LAYOUT_STEPS
+  },
+
+  reading: {
+    section: 'reading',
+    sectionName: 'Reading',
+    promptName: 'reading',
+    idPrefix: 'reading',
+    layout: 'questions',
+    partLabel: 'Passage',
+    partCount: 3,
+    totalQuestions: 40,
+    questionRanges: ['1-13', '14-26', '27-40'],
+    fixedRanges: false,
+    detectImages: true,
+    chunkMarkers: ['READING PASSAGE'],
+    defaultType: 'sentence-completion',
+    allowedTypes: [
+      'multiple-choice',
+      'multi-select',
+      'true-false-not-given',
+      'yes-no-not-given',
+      'matching',
+      'matching-headings',
+      'matching-information',
+      'matching-features',
+      'matching-sentence-endings',
+      'sentence-completion',
+      'summary-completion',
+      'diagram-completion',
+      'short-answer',
+      'form-fill',
+      'divider',
+      'static',
+      'image'
+    ],
+    postProcessing: QUESTION_LAYOUT_STEPS
+  },
+
+  writing: {
+    section: 'writing',
+    sectionName: 'Writing',
+    promptName: 'writing',
+    idPrefix: 'writing',
+    layout: 'task',
+    partLabel: 'Task',
+    partCount: 2,
+    totalQuestions: 0,
+    detectImages: true,
+    tasks: [
+      { taskType: 'data-description', timeLimit: '20 minutes', minWords: 150 },
+      { taskType: 'essay', timeLimit: '40 minutes', minWords: 250 }
+    ],
+    allowedTypes: [
+      'line-graph',
+      'bar-chart',
+      'pie-chart',
+      'table',
+      'map',
+      'process-diagram',
+      'mixed-chart',
+      'letter',
+      'opinion-essay',
+      'discussion-essay',
+      'problem-solution-essay',
+      'advantages-disadvantages-essay',
+      'direct-questions-essay'
+    ],
+    postProcessing: [
+      'mergeDuplicateParts',
+      'validateAndFixStructure',
+      'injectTaskImages',
+      'processBase64Images',
+      'standardizeQuestionIds',
+      'validateRequiredFields'
+    ]
+  },
+
+  speaking: {
+    section: 'speaking',
+    sectionName: 'Speaking',
+    promptName: 'speaking',
+    idPrefix: 'speaking',
+    layout: 'speaking',
+    partLabel: 'Part',
+    partCount: 3,
+    totalQuestions: 0,
+    detectImages: false,
+    parts: [
+      { title: 'Part 1 - Introduction and interview', timeLimit: '4-5 minutes' },
+      { title: 'Part 2 - Individual long turn', timeLimit: '3-4 minutes' },
+      { title: 'Part 3 - Two-way discussion', timeLimit: '4-5 minutes' }
+    ],
+    cueCardPart: 2,
+    allowedTypes: ['speaking-question', 'cue-card', 'divider', 'static'],
+    postProcessing: [
+      'mergeDuplicateParts',
+      'validateAndFixStructure',
+      'standardizeQuestionIds',
+      'validateRequiredFields'
+    ]
+  }
+}
+
+function getSectionProfile(section) {
+  return SECTION_PROFILES[String(section || '').toLowerCase()] || null
+}
+
+module.exports = {
+  SECTION_PROFILES,
+  getSectionProfile
+}
@@ -0,0 +1,136 @@
+/**
+ * Examiner scoring for the Speaking section
+ *
+ * Examiners award a whole band (0-9) for each of the four public criteria.
+ * The Speaking band is their average rounded down to the nearest half band
+ * (bandConversion.criteriaBand) and counts towards the overall band.
+ */
+
+const { criteriaBand } = require('./bandConversion')
+
+const SPEAKING_CRITERIA = [
+  { key: 'fluency_coherence', label: 'Fluency and Coherence', aliases: ['fluency', 'fc'] },
+  { key: 'lexical_resource', label: 'Lexical Resource', aliases: ['lexis', 'lexical', 'vocabulary', 'lr'] },
+  { key: 'grammatical_range_accuracy', label: 'Grammatical Range and Accuracy', aliases: ['grammar', 'gra'] },
+  { key: 'pronunciation', label: 'Pronunciation', aliases: ['p'] }
+]
+
+function findCriterion(name) {
+  const key = String(name).trim().toLowerCase().replace(/[\s-]+/g, '_')
+  return SPEAKING_CRITERIA.find(c => c.key === key || c.aliases.includes(key))
+}
+
+/**
+ * Map { fluency: 6, lexis: 7, ... } (any alias) onto the canonical criterion keys.
+ * Returns { criteria, errors }; criteria is only complete when errors is empty.
+ */
+function normaliseSpeakingCriteria(input) {
+  const criteria = {}
+  const errors = []
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { criteria, errors: ['criteria must be an object of criterion bands'] }
+  }
+
+  for (const [name, value] of Object.entries(input)) {
+    const criterion = findCriterion(name)
+    if (!criterion) {
+      errors.push(`Unknown speaking criterion "${name}"`)
+      continue
+    }
+
+    const band = Number(value)
+    if (value === null || value === '' || !Number.isInteger(band) || band < 0 || band > 9) {
+      errors.push(`${criterion.label} must be a whole band from 0 to 9`)
+      continue
+    }
+
+    criteria[criterion.key] = band
+  }
+
+  for (const criterion of SPEAKING_CRITERIA) {
+    if (criteria[criterion.key] === undefined && !errors.some(e => e.startsWith(criterion.label))) {
+      errors.push(`${criterion.label} is missing`)
+    }
+  }
+
+  return { criteria, errors }
+}
+
+/**
+ * Build the `results.speaking_assessment` record for a complete set of criteria
+ */
+function buildSpeakingAssessment(criteria, { examinerId = null, notes = null } = {}) {
+  return {
+    criteria,
+    band: criteriaBand(SPEAKING_CRITERIA.map(c => criteria[c.key])),
+    notes,
+    examinerId,
+    assessedAt: new Date().toISOString()
+  }
+}
+
+const FILLERS = ['um', 'uh', 'er', 'erm', 'ah', 'hmm', 'you know', 'i mean', 'sort of', 'kind of']
+
+// Gap between transcript segments that counts as a hesitation
+const LONG_PAUSE_SECONDS = 2
+
+/**
+ * Deterministic delivery measures from a transcript (and its timed segments when
+ * the speech-to-text adapter provides them). Fed to the evaluator as evidence.
+ */
+function transcriptMetrics({ text = '', segments = [], durationSeconds = null } = {}) {
+  const lower = ` ${text.toLowerCase().replace(/[^a-z'\s]/g, ' ').replace(/\s+/g, ' ')} `
+  const words = lower.trim() ? lower.trim().split(' ') : []
+
+  const fillerCount = FILLERS.reduce((count, filler) => {
+    return count + (lower.split(` ${filler} `).length - 1)
+  }, 0)
+
+  let longPauses = 0
+  for (let i = 1; i < segments.length; i++) {
+    if (segments[i].start - segments[i - 1].end >= LONG_PAUSE_SECONDS) longPauses++
+  }
+
+  const duration = Number(durationSeconds) || null
+
+  return {
+    wordCount: words.length,
+    uniqueWordCount: new Set(words).size,
+    durationSeconds: duration,
+    wordsPerMinute: duration ? Math.round(words.length / (duration / 60)) : null,
+    fillerCount,
+    longPauses: segments.length > 1 ? longPauses : null
+  }
+}
+
+/**
+ * Combine the per-recording drafts of a result into one suggestion:
+ * each criterion is the rounded mean of the drafts that scored it.
+ */
+function combineSpeakingDrafts(drafts) {
+  const usable = drafts.filter(d => d && d.criteria)
+  if (usable.length === 0) return null
+
+  const criteria = {}
+  for (const { key } of SPEAKING_CRITERIA) {
+    const bands = usable.map(d => d.criteria[key]).filter(b => Number.isFinite(b))
+    if (bands.length > 0) criteria[key] = Math.round(bands.reduce((sum, b) => sum + b, 0) / bands.length)
+  }
+
+  const complete = SPEAKING_CRITERIA.every(c => criteria[c.key] !== undefined)
+
+  return {
+    criteria,
+    band: complete ? criteriaBand(SPEAKING_CRITERIA.map(c => criteria[c.key])) : null,
+    recordingCount: usable.length
+  }
+}
+
+module.exports = {
+  SPEAKING_CRITERIA,
+  normaliseSpeakingCriteria,
+  buildSpeakingAssessment,
+  transcriptMetrics,
+  combineSpeakingDrafts
+}
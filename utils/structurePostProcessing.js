@@ -0,0 +1,467 @@
+/**
+ * Post-processing steps for extracted section structures
+ *
+ * Every step takes the structure plus the section profile
+ * (utils/sectionProfiles.js) and returns a new structure. Steps that need
+ * disk access (base64 image upload) live in services/extractionPipeline.js.
+ */
+
+const { parseNumberRange, isScorableQuestion } = require('./scoring')
+const { validateSectionStructure } = require('./structureValidator')
+
+const NON_QUESTION_TYPES = ['divider', 'static', 'image']
+
+const INPUT_TYPES = {
+  'form-fill': 'text',
+  'multiple-choice': 'radio',
+  'multi-select': 'checkbox',
+  'true-false-not-given': 'radio',
+  'yes-no-not-given': 'radio',
+  'matching': 'drag',
+  'matching-headings': 'drag',
+  'matching-information': 'drag',
+  'matching-features': 'drag',
+  'matching-sentence-endings': 'drag',
+  'map-labelling': 'text',
+  'short-answer': 'text',
+  'sentence-completion': 'text',
+  'summary-completion': 'text',
+  'diagram-completion': 'text'
+}
+
+const DEFAULT_ANSWER_CONSTRAINTS = {
+  'form-fill': 'ONE WORD AND/OR A NUMBER',
+  'multiple-choice': 'CHOOSE THE CORRECT LETTER A, B OR C',
+  'multi-select': 'CHOOSE TWO LETTERS A-E',
+  'true-false-not-given': 'TRUE, FALSE OR NOT GIVEN',
+  'yes-no-not-given': 'YES, NO OR NOT GIVEN',
+  'matching': 'CHOOSE FROM THE BOX A-H',
+  'matching-headings': 'CHOOSE THE CORRECT HEADING',
+  'matching-information': 'CHOOSE THE CORRECT LETTER',
+  'matching-features': 'CHOOSE THE CORRECT LETTER',
+  'matching-sentence-endings': 'CHOOSE THE CORRECT LETTER',
+  'map-labelling': 'LABEL FROM MAP A-H',
+  'short-answer': 'NO MORE THAN THREE WORDS',
+  'sentence-completion': 'ONE WORD ONLY',
+  'summary-completion': 'ONE WORD ONLY',
+  'diagram-completion': 'NO MORE THAN TWO WORDS'
+}
+
+function clone(structure) {
+  return JSON.parse(JSON.stringify(structure))
+}
+
+// Merge parts the model returned more than once (e.g. split across pages)
+function mergeDuplicateParts(structure) {
+  const partMap = new Map()
+
+  for (const part of structure.parts || []) {
+    if (partMap.has(part.part)) {
+      const existingPart = partMap.get(part.part)
+      existingPart.questions = (existingPart.questions || []).concat(part.questions || [])
+      if (!existingPart.task && part.task) existingPart.task = part.task
+      if (!existingPart.passage && part.passage) existingPart.passage = part.passage
+    } else {
+      partMap.set(part.part, { ...part, questions: part.questions || [] })
+    }
+  }
+
+  // Convert map back to array, sorted by part number
+  return {
+    ...structure,
+    parts: Array.from(partMap.values()).sort((a, b) => a.part - b.part)
+  }
+}
+
+function autoDetectQuestionType(question, profile) {
+  const text = (question.text || question.questionText || '').toLowerCase()
+  const instructions = (question.instructions || '').toLowerCase()
+  const allowed = type => profile.allowedTypes.includes(type)
+
+  // Type detection based on common patterns
+  if (/^(true|false|not given)$/i.test(question.textList?.[0]?.variant || '')) {
+    return allowed('true-false-not-given') ? 'true-false-not-given' : 'multiple-choice'
+  }
+
+  if (/^(yes|no)$/i.test(question.textList?.[0]?.variant || '')) {
+    return allowed('yes-no-not-given') ? 'yes-no-not-given' : 'multiple-choice'
+  }
+
+  if (text.includes('____') || text.includes('...')) {
+    if (instructions.includes('map') || instructions.includes('plan')) {
+      if (allowed('map-labelling')) return 'map-labelling'
+    }
+    if (instructions.includes('diagram') || instructions.includes('label')) {
+      if (allowed('diagram-completion')) return 'diagram-completion'
+      if (allowed('map-labelling')) return 'map-labelling'
+    }
+    if (instructions.includes('summary') && allowed('summary-completion')) {
+      return 'summary-completion'
+    }
+    if ((instructions.includes('form') || instructions.includes('notes') || instructions.includes('table')) && allowed('form-fill')) {
+      return 'form-fill'
+    }
+    return 'sentence-completion'
+  }
+
+  if (question.textList || question.options) {
+    if (instructions.includes('choose two') || instructions.includes('choose three')) {
+      return 'multi-select'
+    }
+    return 'multiple-choice'
+  }
+
+  if (question.draggableVariants || instructions.includes('match')) {
+    return 'matching'
+  }
+
+  if (instructions.includes('short answer') || instructions.includes('no more than')) {
+    return 'short-answer'
+  }
+
+  // Default fallback
+  return profile.defaultType
+}
+
+function getInputTypeForQuestionType(type) {
+  return INPUT_TYPES[type] || 'text'
+}
+
+function getDefaultAnswerConstraints(type) {
+  return DEFAULT_ANSWER_CONSTRAINTS[type] || 'ONE WORD AND/OR A NUMBER'
+}
+
+function defaultQuestionsRange(part, profile) {
+  return profile.questionRanges?.[part.part - 1] || null
+}
+
+function buildQuestionId(profile, test, part, suffix) {
+  return `${profile.idPrefix}-${test}-${part}-${suffix}`
+}
+
+function fixQuestionPart(part, structure, profile) {
+  if (!part.questionsRange) {
+    const range = defaultQuestionsRange(part, profile)
+    if (range) part.questionsRange = range
+  }
+  if (!Array.isArray(part.questions)) part.questions = []
+
+  const [rangeStart] = parseNumberRange(part.questionsRange)
+  let nextNumber = rangeStart || 1
+
+  part.questions.forEach(question => {
+    if (question.type && !profile.allowedTypes.includes(question.type)) {
+      console.log(`⚠️  Unsupported ${profile.sectionName} question type "${question.type}", re-detecting`)
+      question.type = null
+    }
+    if (!question.type) {
+      question.type = autoDetectQuestionType(question, profile)
+    }
+
+    // Dividers, static text and images carry no number or answer
+    if (NON_QUESTION_TYPES.includes(question.type)) {
+      if (question.isInteractive === undefined) question.isInteractive = false
+      if (question.type === 'image' && !question.questionId) {
+        question.questionId = buildQuestionId(profile, structure.test, part.part, 'image')
+      }
+      return
+    }
+
+    const numbers = parseNumberRange(question.numberRange)
+    if (!question.number && numbers.length === 0) {
+      question.number = nextNumber
+    }
+    const lastNumber = numbers.length ? numbers[numbers.length - 1] : parseInt(question.number, 10)
+    nextNumber = Number.isNaN(lastNumber) ? nextNumber + 1 : lastNumber + 1
+
+    if (!question.questionId) {
+      question.questionId = buildQuestionId(profile, structure.test, part.part, question.numberRange || question.number)
+    }
+    if (!question.inputType) {
+      question.inputType = getInputTypeForQuestionType(question.type)
+    }
+    if (!question.answerConstraints) {
+      question.answerConstraints = getDefaultAnswerConstraints(question.type)
+    }
+    if (question.isInteractive === undefined) {
+      question.isInteractive = true
+    }
+    if (!question.answer) {
+      question.answer = { correct: question.type === 'multi-select' ? [] : '', accepted: [] }
+    }
+  })
+}
+
+function fixTaskPart(part, structure, profile) {
+  const defaults = profile.tasks?.[part.part - 1] || {}
+
+  if (!part.taskType && defaults.taskType) part.taskType = defaults.taskType
+  if (!part.title) part.title = `${profile.sectionName} ${profile.partLabel} ${part.part}`
+  if (!part.timeLimit && defaults.timeLimit) part.timeLimit = defaults.timeLimit
+  if (!part.wordLimit && defaults.minWords) part.wordLimit = `at least ${defaults.minWords} words`
+  if (!part.task || typeof part.task !== 'object') part.task = {}
+
+  const task = part.task
+  if (!task.questionId) {
+    task.questionId = buildQuestionId(profile, structure.test, part.part, `task${part.part}`)
+  }
+  if (task.type && !profile.allowedTypes.includes(task.type)) {
+    console.log(`⚠️  Unknown ${profile.sectionName} task type "${task.type}"`)
+  }
+  if (!task.taskType && part.taskType) task.taskType = part.taskType
+  if (!task.inputType) task.inputType = 'textarea'
+  if (!task.answerConstraints && defaults.minWords) {
+    task.answerConstraints = `Write at least ${defaults.minWords} words`
+  }
+  if (task.isInteractive === undefined) task.isInteractive = true
+  if (!task.answer) task.answer = { correct: '', accepted: [] }
+}
+
+// Speaking questions are asked, not answered in writing: IDs only, no numbers or answer keys
+function fixSpeakingPart(part, structure, profile) {
+  const defaults = profile.parts?.[part.part - 1] || {}
+
+  if (!part.title && defaults.title) part.title = defaults.title
+  if (!part.timeLimit && defaults.timeLimit) part.timeLimit = defaults.timeLimit
+  if (!Array.isArray(part.questions)) part.questions = []
+
+  let questionIndex = 0
+  part.questions.forEach(question => {
+    if (!question.type) {
+      question.type = question.bulletPoints || question.topic ? 'cue-card' : 'speaking-question'
+    }
+
+    if (NON_QUESTION_TYPES.includes(question.type)) {
+      if (question.isInteractive === undefined) question.isInteractive = false
+      return
+    }
+
+    if (question.type === 'cue-card') {
+      if (!question.questionId) question.questionId = buildQuestionId(profile, structure.test, part.part, 'cue-card')
+      if (!Array.isArray(question.bulletPoints)) question.bulletPoints = []
+      question.bulletPoints = question.bulletPoints.map(point => String(point).replace(/^[\s•\-–*]+/, '').trim())
+      if (!question.preparationSeconds) question.preparationSeconds = 60
+      if (!question.speakingSeconds) question.speakingSeconds = 120
+    } else {
+      questionIndex++
+      if (!question.questionId) question.questionId = buildQuestionId(profile, structure.test, part.part, questionIndex)
+    }
+
+    if (question.isInteractive === undefined) question.isInteractive = true
+    delete question.number
+    delete question.answer
+  })
+}
+
+const PART_FIXERS = {
+  questions: fixQuestionPart,
+  task: fixTaskPart,
+  speaking: fixSpeakingPart
+}
+
+// Fill in fields the model left out, using the profile's defaults
+function validateAndFixStructure(structure, profile) {
+  console.log(`🔧 Validating and fixing ${profile.sectionName} structure...`)
+
+  const fixed = clone(structure)
+
+  // Ensure basic structure exists
+  if (!fixed.test) fixed.test = '1'
+  if (!fixed.section) fixed.section = profile.sectionName
+  if (!Array.isArray(fixed.parts)) fixed.parts = []
+
+  fixed.parts.forEach((part, index) => {
+    if (!part.part) part.part = index + 1
+    if (!part.instructions) part.instructions = `${profile.partLabel} ${part.part} instructions`
+
+    PART_FIXERS[profile.layout](part, fixed, profile)
+  })
+
+  console.log('✅ Structure validation complete')
+  return fixed
+}
+
+// Insert the detected map image before the first map-labelling question of a part
+function injectImageObjects(structure, profile, { uploadedImages } = {}) {
+  if (!uploadedImages || uploadedImages.length === 0) return structure
+
+  const modifiedStructure = clone(structure)
+  const mapImage = uploadedImages.find(img => img.isMap)
+  if (!mapImage) return modifiedStructure
+
+  modifiedStructure.parts.forEach(part => {
+    const questions = part.questions || []
+    const newQuestions = []
+
+    for (const question of questions) {
+      if (question.type === 'map-labelling' && !newQuestions.some(q => q.type === 'image') && !questions.some(q => q.type === 'image')) {
+        newQuestions.push({
+          type: 'image',
+          questionId: buildQuestionId(profile, structure.test, part.part, 'map'),
+          url: mapImage.url,
+          headline: 'Map',
+          isInteractive: false
+        })
+      }
+
+      newQuestions.push(question)
+    }
+
+    part.questions = newQuestions
+  })
+
+  return modifiedStructure
+}
+
+// Attach a detected visual to Writing Task 1 when the model returned none
+function injectTaskImages(structure, profile, { uploadedImages } = {}) {
+  if (!uploadedImages || uploadedImages.length === 0) return structure
+
+  const modifiedStructure = clone(structure)
+  const firstTask = modifiedStructure.parts.find(part => part.part === 1)?.task
+  if (!firstTask) return modifiedStructure
+
+  const image = firstTask.image
+  if (image && (image.url || image.base64)) return modifiedStructure
+
+  const visual = uploadedImages.find(img => img.isMap) || uploadedImages[0]
+  firstTask.image = {
+    ...(image || {}),
+    type: 'image',
+    questionId: image?.questionId || buildQuestionId(profile, structure.test, 1, 'visual'),
+    url: visual.url,
+    headline: image?.headline || 'Task 1 visual'
+  }
+
+  return modifiedStructure
+}
+
+// Link matching questions with the draggable variants of their divider
+function linkMatchingQuestions(structure) {
+  const modifiedStructure = clone(structure)
+
+  modifiedStructure.parts.forEach(part => {
+    let draggableVariants = []
+
+    for (const question of part.questions || []) {
+      if (question.type === 'divider') {
+        draggableVariants = question.draggableVariants || []
+      } else if (question.type?.startsWith('matching') && draggableVariants.length > 0 && !question.draggableVariants) {
+        question.draggableVariants = draggableVariants
+      }
+    }
+  })
+
+  return modifiedStructure
+}
+
+// Ensure hyphens, not en-dashes, in question IDs and ranges
+function standardizeQuestionIds(structure) {
+  const modifiedStructure = clone(structure)
+  const fixDashes = value => (typeof value === 'string' ? value.replace(/[–—]/g, '-') : value)
+
+  modifiedStructure.parts.forEach(part => {
+    part.questionsRange = fixDashes(part.questionsRange)
+
+    const items = [...(part.questions || [])]
+    if (part.task) items.push(part.task)
+    if (part.task?.image) items.push(part.task.image)
+
+    items.forEach(question => {
+      question.questionId = fixDashes(question.questionId)
+      question.numberRange = fixDashes(question.numberRange)
+    })
+  })
+
+  return modifiedStructure
+}
+
+/**
+ * Renumber questions sequentially and rebuild their IDs.
+ * Listening parts always start at their fixed range (1, 11, 21, 31);
+ * Reading passages continue from the previous passage.
+ */
+function enforceQuestionNumbering(structure, profile) {
+  console.log('🔢 Enforcing proper question numbering...')
+
+  const modifiedStructure = clone(structure)
+  let nextNumber = 1
+
+  modifiedStructure.parts.forEach(part => {
+    const [defaultStart] = parseNumberRange(defaultQuestionsRange(part, profile))
+    const start = profile.fixedRanges && defaultStart ? defaultStart : nextNumber
+    nextNumber = start
+
+    for (const question of part.questions || []) {
+      if (!isScorableQuestion(question)) continue
+
+      const span = Math.max(parseNumberRange(question.numberRange).length, 1)
+      const first = nextNumber
+      const last = nextNumber + span - 1
+
+      question.number = first
+      if (span > 1) question.numberRange = `${first}-${last}`
+      question.questionId = buildQuestionId(profile, modifiedStructure.test, part.part, span > 1 ? question.numberRange : first)
+
+      nextNumber = last + 1
+    }
+
+    if (nextNumber > start) part.questionsRange = `${start}-${nextNumber - 1}`
+  })
+
+  console.log('✅ Question numbering complete')
+  return modifiedStructure
+}
+
+// Check the final structure against the section's JSON Schema (utils/testSchemas.js)
+function validateRequiredFields(structure, profile) {
+  console.log('🔍 Validating required fields...')
+
+  const report = validateSectionStructure(profile.section, structure)
+
+  if (!report.valid) {
+    console.log('⚠️  Validation errors found:', report.errors.map(e => `${e.path} ${e.message}`))
+  } else {
+    console.log('✅ All required fields validated')
+  }
+  if (report.warnings.length > 0) {
+    console.log(`⚠️  ${report.warnings.length} validation warning(s)`)
+  }
+
+  return report
+}
+
+// Steps that only reshape the structure (no uploads, no file writes)
+const DETERMINISTIC_STEPS = [
+  'mergeDuplicateParts',
+  'validateAndFixStructure',
+  'linkMatchingQuestions',
+  'standardizeQuestionIds',
+  'enforceQuestionNumbering'
+]
+
+/**
+ * Apply the profile's deterministic steps to a copy of a raw model structure.
+ * Used to check model output against the section schema before the full
+ * pipeline runs, so the model is only asked to fix what the steps cannot.
+ */
+function previewStructure(structure, profile) {
+  return profile.postProcessing
+    .filter(name => DETERMINISTIC_STEPS.includes(name))
+    .reduce((current, name) => module.exports[name](current, profile, {}), clone(structure))
+}
+
+module.exports = {
+  mergeDuplicateParts,
+  validateAndFixStructure,
+  injectImageObjects,
+  injectTaskImages,
+  linkMatchingQuestions,
+  standardizeQuestionIds,
+  enforceQuestionNumbering,
+  validateRequiredFields,
+  previewStructure,
+  autoDetectQuestionType,
+  getInputTypeForQuestionType,
+  getDefaultAnswerConstraints
+}
@@ -0,0 +1,197 @@
+/**
+ * Validate section documents against utils/testSchemas.js
+ *
+ * Returns { valid, errors, warnings } where every entry carries a JSON pointer
+ * (`path`) into the validated document, e.g. "/parts/1/questions/4/answer".
+ *
+ *   errors   - schema violations; saving is rejected unless the caller opts into warn mode
+ *   warnings - structurally valid but suspicious content (wrong question count,
+ *              duplicate numbers, missing answer keys); never block saving
+ */
+
+const Ajv = require('ajv')
+const { SCHEMAS, NON_QUESTION_TYPES } = require('./testSchemas')
+const { SECTION_PROFILES } = require('./sectionProfiles')
+const { parseNumberRange, isScorableQuestion } = require('./scoring')
+
+const ajv = new Ajv({ allErrors: true, strict: false, verbose: true })
+
+const validators = Object.fromEntries(
+  Object.entries(SCHEMAS).map(([section, schema]) => [section, ajv.compile(schema)])
+)
+
+function escapePointerSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+function describeError(error) {
+  switch (error.keyword) {
+    case 'required':
+      return 'is required'
+    case 'enum':
+      return `must be one of: ${error.params.allowedValues.join(', ')}`
+    case 'const':
+      return `must be ${JSON.stringify(error.params.allowedValue)}`
+    case 'anyOf': {
+      const alternatives = (error.schema || [])
+        .map(branch => (branch.required || []).join(' + '))
+        .filter(Boolean)
+      return alternatives.length > 0
+        ? `must have one of: ${alternatives.join(', ')}`
+        : error.message
+    }
+    default:
+      return error.message
+  }
+}
+
+function formatAjvErrors(ajvErrors) {
+  const seen = new Set()
+
+  return (ajvErrors || [])
+    // if/then wrappers and the individual failures inside an anyOf add nothing
+    // on top of the error reported for the rule itself
+    .filter(error => error.keyword !== 'if' && !/\/anyOf\/\d+\//.test(error.schemaPath))
+    .map(error => {
+      const path = error.keyword === 'required'
+        ? `${error.instancePath}/${escapePointerSegment(error.params.missingProperty)}`
+        : error.instancePath || '/'
+
+      return { path, keyword: error.keyword, message: describeError(error) }
+    })
+    .filter(error => {
+      const key = `${error.path}|${error.keyword}|${error.message}`
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+}
+
+function countQuestions(structure) {
+  return (structure.parts || []).reduce((total, part) => {
+    return total + (part.questions || [])
+      .filter(isScorableQuestion)
+      .reduce((sum, q) => sum + Math.max(parseNumberRange(q.numberRange).length, 1), 0)
+  }, 0)
+}
+
+function hasAnswerKey(question) {
+  const correct = question.answer?.correct
+  if (Array.isArray(correct)) return correct.length > 0
+  return correct !== undefined && correct !== null && String(correct).trim() !== ''
+}
+
+function collectWarnings(structure, profile) {
+  const warnings = []
+  const parts = Array.isArray(structure.parts) ? structure.parts : []
+
+  if (parts.length !== profile.partCount) {
+    warnings.push({
+      path: '/parts',
+      message: `expected ${profile.partCount} ${profile.partLabel.toLowerCase()}s, found ${parts.length}`
+    })
+  }
+
+  if (profile.layout === 'task') return warnings
+
+  if (profile.layout === 'speaking') {
+    const cueCardIndex = parts.findIndex(part => part.part === profile.cueCardPart)
+    const cueCards = (parts[cueCardIndex]?.questions || []).filter(q => q.type === 'cue-card')
+    if (cueCardIndex !== -1 && cueCards.length !== 1) {
+      warnings.push({
+        path: `/parts/${cueCardIndex}/questions`,
+        message: `expected exactly one cue card in Part ${profile.cueCardPart}, found ${cueCards.length}`
+      })
+    }
+    return warnings
+  }
+
+  const total = countQuestions(structure)
+  if (total !== profile.totalQuestions) {
+    warnings.push({ path: '/parts', message: `expected ${profile.totalQuestions} questions, found ${total}` })
+  }
+
+  const seenNumbers = new Map()
+  parts.forEach((part, partIndex) => {
+    (part.questions || []).forEach((question, questionIndex) => {
+      if (NON_QUESTION_TYPES.includes(question.type) || !isScorableQuestion(question)) return
+
+      const path = `/parts/${partIndex}/questions/${questionIndex}`
+      const numbers = question.numberRange
+        ? parseNumberRange(question.numberRange)
+        : [parseInt(question.number, 10)].filter(n => !Number.isNaN(n))
+
+      for (const number of numbers) {
+        if (seenNumbers.has(number)) {
+          warnings.push({ path, message: `question number ${number} is also used at ${seenNumbers.get(number)}` })
+        } else {
+          seenNumbers.set(number, path)
+        }
+      }
+
+      if (!hasAnswerKey(question)) {
+        warnings.push({ path: `${path}/answer/correct`, message: 'no answer key; this question will not be scored' })
+      }
+    })
+  })
+
+  return warnings
+}
+
+/**
+ * Validate one section document ('listening' | 'reading' | 'writing' | 'speaking')
+ */
+function validateSectionStructure(section, structure) {
+  const key = String(section || '').toLowerCase()
+  const validate = validators[key]
+  if (!validate) {
+    return { valid: false, errors: [{ path: '/', keyword: 'section', message: `unknown section "${section}"` }], warnings: [] }
+  }
+
+  const valid = validate(structure)
+  const errors = valid ? [] : formatAjvErrors(validate.errors)
+  const warnings = structure && typeof structure === 'object'
+    ? collectWarnings(structure, SECTION_PROFILES[key])
+    : []
+
+  return { valid, errors, warnings }
+}
+
+const compiledSchemas = new WeakMap()
+
+/**
+ * Validate any JSON document against a schema (compiled once per schema object).
+ * Returns formatted errors ([] when valid), e.g. for LLM evaluation output.
+ */
+function validateAgainstSchema(schema, data) {
+  if (!compiledSchemas.has(schema)) compiledSchemas.set(schema, ajv.compile(schema))
+  const validate = compiledSchemas.get(schema)
+
+  return validate(data) ? [] : formatAjvErrors(validate.errors)
+}
+
+/**
+ * Validate every section present in a test payload ({ listening, reading, writing, speaking }).
+ * Sections that are missing or null are skipped.
+ */
+function validateTestSections(sections) {
+  const reports = {}
+
+  for (const section of Object.keys(SCHEMAS)) {
+    const structure = sections?.[section]
+    if (structure === undefined || structure === null) continue
+    reports[section] = validateSectionStructure(section, structure)
+  }
+
+  return {
+    valid: Object.values(reports).every(report => report.valid),
+    sections: reports
+  }
+}
+
+module.exports = {
+  validateSectionStructure,
+  validateTestSections,
+  validateAgainstSchema,
+  countQuestions
+}
@@ -0,0 +1,340 @@
+/**
+ * JSON Schemas (draft-07) for the section documents stored in
+ * `tests.listening`, `tests.reading`, `tests.writing` and `tests.speaking`
+ *
+ * They describe the structures the extraction prompts produce (prompts/*.txt).
+ * Allowed question / task types come from the section profiles so the schemas
+ * and the extraction pipeline cannot drift apart.
+ *
+ * Extra properties are allowed everywhere: the admin editor and the model add
+ * presentation fields (headline, topText, visualType...) that scoring ignores.
+ */
+
+const { SECTION_PROFILES } = require('./sectionProfiles')
+
+const NON_QUESTION_TYPES = ['divider', 'static', 'image']
+
+const CHOICE_TYPES = ['multiple-choice', 'true-false-not-given', 'yes-no-not-given']
+
+const definitions = {
+  nonEmptyString: { type: 'string', minLength: 1 },
+
+  answerValue: {
+    anyOf: [
+      { type: 'string' },
+      { type: 'number' },
+      { type: 'array', items: { type: ['string', 'number'] } }
+    ]
+  },
+
+  answer: {
+    type: 'object',
+    required: ['correct'],
+    properties: {
+      correct: { $ref: '#/definitions/answerValue' },
+      accepted: { type: 'array', items: { type: ['string', 'number'] } }
+    }
+  },
+
+  option: {
+    type: 'object',
+    required: ['variant'],
+    properties: {
+      variant: { type: 'string', minLength: 1 },
+      text: { type: 'string' },
+      isInteractive: { type: 'boolean' }
+    }
+  },
+
+  options: {
+    type: 'array',
+    minItems: 2,
+    items: { $ref: '#/definitions/option' }
+  },
+
+  numberRange: {
+    type: 'string',
+    pattern: '^\\d+-\\d+$'
+  },
+
+  divider: {
+    properties: {
+      topText: { type: 'string' },
+      topInstructions: { type: 'string' },
+      instructions: { type: 'string' },
+      draggableVariants: { type: 'array', items: { $ref: '#/definitions/option' } },
+      isInteractive: { const: false }
+    }
+  },
+
+  static: {
+    required: ['text'],
+    properties: {
+      text: { type: 'string' },
+      isInteractive: { const: false }
+    }
+  },
+
+  image: {
+    type: 'object',
+    anyOf: [{ required: ['url'] }, { required: ['base64'] }],
+    properties: {
+      type: { const: 'image' },
+      questionId: { type: 'string' },
+      url: { $ref: '#/definitions/nonEmptyString' },
+      base64: { type: 'string', pattern: '^data:image/' },
+      headline: { type: 'string' },
+      isInteractive: { const: false }
+    }
+  },
+
+  // Anything a candidate answers: numbered, interactive, with an answer key slot
+  numberedQuestion: {
+    required: ['questionId', 'inputType', 'isInteractive', 'answer'],
+    anyOf: [{ required: ['number'] }, { required: ['numberRange'] }],
+    properties: {
+      questionId: { $ref: '#/definitions/nonEmptyString' },
+      number: { type: 'integer', minimum: 1, maximum: 40 },
+      numberRange: { $ref: '#/definitions/numberRange' },
+      inputType: { enum: ['text', 'radio', 'checkbox', 'drag', 'select'] },
+      answerConstraints: { type: 'string' },
+      isInteractive: { const: true },
+      answer: { $ref: '#/definitions/answer' }
+    }
+  },
+
+  choiceQuestion: {
+    anyOf: [{ required: ['textList'] }, { required: ['options'] }],
+    properties: {
+      textList: { $ref: '#/definitions/options' },
+      options: { $ref: '#/definitions/options' }
+    }
+  },
+
+  multiSelectQuestion: {
+    required: ['numberRange'],
+    anyOf: [{ required: ['textList'] }, { required: ['options'] }],
+    properties: {
+      textList: { $ref: '#/definitions/options' },
+      options: { $ref: '#/definitions/options' },
+      inputType: { const: 'checkbox' },
+      answer: {
+        properties: { correct: { type: 'array' } }
+      }
+    }
+  },
+
+  completionQuestion: {
+    anyOf: [{ required: ['text'] }, { required: ['questionText'] }]
+  }
+}
+
+// Per-type rules applied with if/then so errors point at the offending field
+function questionRules(type) {
+  if (type === 'divider') return { $ref: '#/definitions/divider' }
+  if (type === 'static') return { $ref: '#/definitions/static' }
+  if (type === 'image') return { $ref: '#/definitions/image' }
+
+  const rules = [{ $ref: '#/definitions/numberedQuestion' }]
+  if (type === 'multi-select') rules.push({ $ref: '#/definitions/multiSelectQuestion' })
+  else if (CHOICE_TYPES.includes(type)) rules.push({ $ref: '#/definitions/choiceQuestion' })
+  else rules.push({ $ref: '#/definitions/completionQuestion' })
+
+  return { allOf: rules }
+}
+
+function questionSchema(profile) {
+  return {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { enum: profile.allowedTypes },
+      questionId: {
+        type: 'string',
+        pattern: `^${profile.idPrefix}-[^-]+-\\d+-`
+      }
+    },
+    allOf: profile.allowedTypes.map(type => ({
+      if: { properties: { type: { const: type } }, required: ['type'] },
+      then: questionRules(type)
+    }))
+  }
+}
+
+function questionSectionSchema(profile, partProperties = {}, partRequired = []) {
+  return {
+    $id: `${profile.section}.schema.json`,
+    title: `IELTS ${profile.sectionName} test`,
+    type: 'object',
+    required: ['test', 'section', 'parts'],
+    definitions: { ...definitions, question: questionSchema(profile) },
+    properties: {
+      test: { type: ['string', 'integer'] },
+      section: { const: profile.sectionName },
+      parts: {
+        type: 'array',
+        minItems: 1,
+        maxItems: profile.partCount,
+        items: {
+          type: 'object',
+          required: ['part', 'questions', ...partRequired],
+          properties: {
+            part: { type: 'integer', minimum: 1, maximum: profile.partCount },
+            title: { type: 'string' },
+            instructions: { type: 'string' },
+            questionsRange: { $ref: '#/definitions/numberRange' },
+            questions: {
+              type: 'array',
+              items: { $ref: '#/definitions/question' }
+            },
+            ...partProperties
+          }
+        }
+      }
+    }
+  }
+}
+
+function writingSchema(profile) {
+  return {
+    $id: `${profile.section}.schema.json`,
+    title: `IELTS ${profile.sectionName} test`,
+    type: 'object',
+    required: ['test', 'section', 'parts'],
+    definitions: {
+      ...definitions,
+      task: {
+        type: 'object',
+        required: ['questionId', 'type', 'inputType', 'isInteractive', 'answer'],
+        anyOf: [{ required: ['prompt'] }, { required: ['title'] }],
+        properties: {
+          questionId: {
+            type: 'string',
+            pattern: `^${profile.idPrefix}-[^-]+-\\d+-task\\d$`
+          },
+          type: { enum: profile.allowedTypes },
+          taskType: { enum: ['data-description', 'letter', 'essay'] },
+          essayType: { type: 'string' },
+          title: { type: 'string' },
+          prompt: { type: 'string' },
+          instructions: { type: 'string' },
+          image: { $ref: '#/definitions/image' },
+          inputType: { const: 'textarea' },
+          answerConstraints: { type: 'string' },
+          isInteractive: { const: true },
+          answer: { $ref: '#/definitions/answer' }
+        }
+      }
+    },
+    properties: {
+      test: { type: ['string', 'integer'] },
+      section: { const: profile.sectionName },
+      parts: {
+        type: 'array',
+        minItems: 1,
+        maxItems: profile.partCount,
+        items: {
+          type: 'object',
+          required: ['part', 'task'],
+          properties: {
+            part: { type: 'integer', minimum: 1, maximum: profile.partCount },
+            taskType: { enum: ['data-description', 'letter', 'essay'] },
+            title: { type: 'string' },
+            instructions: { type: 'string' },
+            timeLimit: { type: 'string' },
+            wordLimit: { type: 'string' },
+            task: { $ref: '#/definitions/task' }
+          }
+        }
+      }
+    }
+  }
+}
+
+function speakingSchema(profile) {
+  return {
+    $id: `${profile.section}.schema.json`,
+    title: `IELTS ${profile.sectionName} test`,
+    type: 'object',
+    required: ['test', 'section', 'parts'],
+    definitions: {
+      ...definitions,
+      speakingQuestion: {
+        required: ['questionId', 'text'],
+        properties: {
+          questionId: { $ref: '#/definitions/nonEmptyString' },
+          text: { $ref: '#/definitions/nonEmptyString' },
+          isInteractive: { const: true }
+        }
+      },
+      cueCard: {
+        required: ['questionId', 'topic', 'bulletPoints'],
+        properties: {
+          questionId: { $ref: '#/definitions/nonEmptyString' },
+          topic: { $ref: '#/definitions/nonEmptyString' },
+          bulletPoints: { type: 'array', minItems: 1, items: { type: 'string' } },
+          finalPrompt: { type: 'string' },
+          preparationSeconds: { type: 'integer', minimum: 0 },
+          speakingSeconds: { type: 'integer', minimum: 1 },
+          isInteractive: { const: true }
+        }
+      },
+      question: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { enum: profile.allowedTypes },
+          questionId: {
+            type: 'string',
+            pattern: `^${profile.idPrefix}-[^-]+-\\d+-`
+          }
+        },
+        allOf: [
+          { if: { properties: { type: { const: 'speaking-question' } }, required: ['type'] }, then: { $ref: '#/definitions/speakingQuestion' } },
+          { if: { properties: { type: { const: 'cue-card' } }, required: ['type'] }, then: { $ref: '#/definitions/cueCard' } },
+          { if: { properties: { type: { const: 'divider' } }, required: ['type'] }, then: { $ref: '#/definitions/divider' } },
+          { if: { properties: { type: { const: 'static' } }, required: ['type'] }, then: { $ref: '#/definitions/static' } }
+        ]
+      }
+    },
+    properties: {
+      test: { type: ['string', 'integer'] },
+      section: { const: profile.sectionName },
+      parts: {
+        type: 'array',
+        minItems: 1,
+        maxItems: profile.partCount,
+        items: {
+          type: 'object',
+          required: ['part', 'questions'],
+          properties: {
+            part: { type: 'integer', minimum: 1, maximum: profile.partCount },
+            title: { type: 'string' },
+            instructions: { type: 'string' },
+            timeLimit: { type: 'string' },
+            questions: {
+              type: 'array',
+              items: { $ref: '#/definitions/question' }
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+const SCHEMAS = {
+  listening: questionSectionSchema(SECTION_PROFILES.listening),
+  reading: questionSectionSchema(
+    SECTION_PROFILES.reading,
+    { passage: { $ref: '#/definitions/nonEmptyString' } },
+    ['passage']
+  ),
+  writing: writingSchema(SECTION_PROFILES.writing),
+  speaking: speakingSchema(SECTION_PROFILES.speaking)
+}
+
+module.exports = {
+  SCHEMAS,
+  NON_QUESTION_TYPES
+}
@@ -0,0 +1,118 @@
+/**
+ * Examiner scoring for the Writing section
+ *
+ * Each task is scored on four criteria (0-9, half bands allowed for AI drafts and
+ * examiner adjustments). Criterion keys match the AI evaluation output the admin
+ * UI already renders. A task band is the criteria average rounded down to the
+ * nearest half band; the Writing band weights Task 2 double (bandConversion.writingBand).
+ */
+
+const { criteriaBand, writingBand } = require('./bandConversion')
+const { getSubmittedSection, indexSubmittedAnswers } = require('./scoring')
+
+const WRITING_TASKS = ['task1', 'task2']
+
+const WRITING_CRITERIA = [
+  { key: 'taskAchievement', label: 'Task Achievement / Task Response' },
+  { key: 'coherenceAndCohesion', label: 'Coherence and Cohesion' },
+  { key: 'lexicalResource', label: 'Lexical Resource' },
+  { key: 'grammaticalRangeAndAccuracy', label: 'Grammatical Range and Accuracy' }
+]
+
+function isValidCriterionBand(value) {
+  const band = Number(value)
+  return value !== null && value !== '' && Number.isFinite(band) && band >= 0 && band <= 9 && Number.isInteger(band * 2)
+}
+
+/**
+ * Validate criterion scores. With `partial` only the given criteria are checked
+ * (used for examiner adjustments on top of an AI draft).
+ */
+function normaliseWritingCriteria(input, { partial = false } = {}) {
+  const criteria = {}
+  const errors = []
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { criteria, errors: ['criteria must be an object of criterion bands'] }
+  }
+
+  for (const [key, value] of Object.entries(input)) {
+    const criterion = WRITING_CRITERIA.find(c => c.key === key)
+    if (!criterion) {
+      errors.push(`Unknown writing criterion "${key}"`)
+    } else if (!isValidCriterionBand(value)) {
+      errors.push(`${criterion.label} must be a band from 0 to 9 in half-band steps`)
+    } else {
+      criteria[key] = Number(value)
+    }
+  }
+
+  if (!partial) {
+    for (const criterion of WRITING_CRITERIA) {
+      if (criteria[criterion.key] === undefined && !errors.some(e => e.startsWith(criterion.label))) {
+        errors.push(`${criterion.label} is missing`)
+      }
+    }
+  }
+
+  return { criteria, errors }
+}
+
+function taskBand(criteria) {
+  if (!criteria) return null
+  return criteriaBand(WRITING_CRITERIA.map(c => criteria[c.key]))
+}
+
+/**
+ * Build `results.writing_assessment` from the confirmed evaluation of each task
+ * ({ task1: row|null, task2: row|null }). `band` stays null until both are confirmed.
+ */
+function buildWritingAssessment(confirmed) {
+  const tasks = {}
+
+  for (const task of WRITING_TASKS) {
+    const evaluation = confirmed[task]
+    tasks[task] = evaluation
+      ? {
+        evaluationId: evaluation.id,
+        status: evaluation.status,
+        criteria: evaluation.final_criteria,
+        band: evaluation.final_band
+      }
+      : null
+  }
+
+  return {
+    ...tasks,
+    band: writingBand(tasks.task1?.band, tasks.task2?.band),
+    updatedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Candidate responses from the Writing section of a `results` array,
+ * as { task1, task2 } strings (null when a task was not answered).
+ * Answers are matched by questionId (writing-…-task1), by task key or by part number.
+ */
+function getWritingResponses(results) {
+  const section = getSubmittedSection(results, 'Writing')
+  const { byId, byNumber } = indexSubmittedAnswers(section)
+  const responses = {}
+
+  WRITING_TASKS.forEach((task, index) => {
+    const idMatch = [...byId.keys()].find(id => id === task || id.endsWith(`-${task}`))
+    const value = idMatch !== undefined ? byId.get(idMatch) : byNumber.get(index + 1)
+    responses[task] = typeof value === 'string' && value.trim() ? value : null
+  })
+
+  return responses
+}
+
+module.exports = {
+  WRITING_TASKS,
+  WRITING_CRITERIA,
+  normaliseWritingCriteria,
+  taskBand,
+  buildWritingAssessment,
+  getWritingResponses
+}